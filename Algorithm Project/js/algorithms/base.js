@@ -8,6 +8,34 @@ class SortingAlgorithm {
         this.timeComplexity = timeComplexity;
         this.spaceComplexity = spaceComplexity;
         this.steps = [];
+        this.options = {};
+    }
+
+    /**
+     * Get the configurable variants of the algorithm
+     * @returns {Object[]} Option definitions {key, label, choices: [{value, label}]}
+     */
+    getOptions() {
+        return [];
+    }
+
+    /**
+     * Set an algorithm option to one of its declared choices
+     * @param {string} key - Option key
+     * @param {string|number} value - Choice value (strings from the DOM are matched too)
+     */
+    setOption(key, value) {
+        const option = this.getOptions().find(o => o.key === key);
+        if (!option) {
+            throw new Error(`Unknown option: ${key}`);
+        }
+
+        const choice = option.choices.find(c => String(c.value) === String(value));
+        if (!choice) {
+            throw new Error(`Invalid value for ${key}: ${value}`);
+        }
+
+        this.options[key] = choice.value;
     }
 
     /**
@@ -21,12 +49,20 @@ class SortingAlgorithm {
 
     /**
      * Validate if a user's move is correct at the current step
+     * Playable algorithms override this; the default serves demo-only algorithms,
+     * which have no user actions.
      * @param {number} stepIndex - Current step index
      * @param {Object} userAction - User's action {type, indices}
-     * @returns {boolean} Whether the move is valid
+     * @returns {Object} {valid: boolean, message: string}
      */
     validateMove(stepIndex, userAction) {
-        throw new Error('Must implement validateMove');
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        return { valid: false, message: 'No user action required at this step' };
     }
 
     /**
@@ -74,19 +110,70 @@ class SortingAlgorithm {
      * @param {number[]} arrayState - Current array state (copy)
      * @param {string} description - Human-readable description
      * @param {boolean} isUserAction - Whether user must perform this action
+     * @param {Object} details - Extra algorithm-specific fields (e.g. {gap} for shell sort)
      * @returns {Object} Step object
      */
-    createStep(type, indices, arrayState, description, isUserAction = false) {
+    createStep(type, indices, arrayState, description, isUserAction = false, details = {}) {
         return {
             type,
             indices: [...indices],
             values: indices.map(i => arrayState[i]),
             arrayState: [...arrayState],
             description,
-            isUserAction
+            isUserAction,
+            ...details
+        };
+    }
+
+    /**
+     * Step recorder for the shared routines in routines.js
+     * Every step is taken on arr and pushed onto this algorithm's steps.
+     * @param {number[]} arr - Array the routine works on
+     * @param {string[]} moves - Step types the player performs, e.g. [StepType.SWAP]; none by default
+     * @param {Object} details - Extra fields for every step (e.g. {runs})
+     * @returns {Function} (type, indices, description, extra = {}) => void
+     */
+    recorder(arr, moves = [], details = {}) {
+        return (type, indices, description, extra = {}) => {
+            this.steps.push(this.createStep(type, indices, arr, description, moves.includes(type), { ...details, ...extra }));
         };
     }
 
+    /**
+     * Whether the algorithm can be played in game mode (it has swaps to perform)
+     * @returns {boolean} True if game mode is supported
+     */
+    isPlayable() {
+        return true;
+    }
+
+    /**
+     * The kind of move the player makes in game mode
+     * 'swap' selects two bars; 'reverse' clicks one bar to flip the prefix up to it.
+     * @returns {string} 'swap' or 'reverse'
+     */
+    getMoveType() {
+        return 'swap';
+    }
+
+    /**
+     * Whether the algorithm can sort arrays of the given input type
+     * Comparison sorts handle every type; sorts that compute with the values override this.
+     * @param {string} inputType - Key of GameManager.inputTypes
+     * @returns {boolean} True if the input type is supported
+     */
+    supportsInput(inputType) {
+        return true;
+    }
+
+    /**
+     * Message shown in game mode once every step is done
+     * @returns {string} Completion text
+     */
+    getCompletionMessage() {
+        return 'Array is sorted!';
+    }
+
     /**
      * Get the total number of user actions required
      * @returns {number} Count of steps requiring user action
@@ -103,6 +190,27 @@ class SortingAlgorithm {
         return this.steps.filter(s => s.type === 'swap').length;
     }
 
+    /**
+     * Format an inclusive index range for step descriptions
+     * @param {number} start - First index
+     * @param {number} end - Last index
+     * @returns {string} "[start..end]", or "none" for an empty range
+     */
+    formatRange(start, end) {
+        return start > end ? 'none' : `[${start}..${end}]`;
+    }
+
+    /**
+     * Summary counts for the demo screen, taken from the generated steps
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            { label: 'Comparisons', value: this.steps.filter(s => s.type === 'compare').length },
+            { label: 'Swaps', value: this.getOptimalSwapCount() }
+        ];
+    }
+
     /**
      * Reset steps array
      */
@@ -120,7 +228,16 @@ const StepType = {
     SORTED: 'sorted',
     SELECT: 'select',      // For selection sort minimum finding
     INSERT: 'insert',      // For insertion sort
-    PIVOT: 'pivot'         // For quick sort pivot selection
+    PIVOT: 'pivot',        // For quick sort pivot selection
+    COUNT: 'count',        // For counting sort tallies
+    DISTRIBUTE: 'distribute', // For dropping an element into a bucket
+    WRITE: 'write',        // For writing a value back into the array
+    RUN: 'run',            // For TimSort natural run detection
+    REVERSE: 'reverse',    // For reversing a range (pancake flips)
+    RECURSE: 'recurse',    // For choosing which side of a pivot to keep (quickselect)
+    RELINK: 'relink',      // For pointing a list node's next at another node
+    CUT: 'cut',            // For setting a list node's next to null, splitting the list
+    ROTATE: 'rotate'       // For two neighbouring blocks trading places (in-place merge)
 };
 
 // Export for use in other modules
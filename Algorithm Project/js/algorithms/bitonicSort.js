@@ -0,0 +1,134 @@
+/**
+ * Bitonic Sort Network with Step Tracking
+ * Time Complexity: O(n log² n) comparisons, O(log² n) parallel stages
+ * Space Complexity: O(1)
+ *
+ * Builds bitonic sequences of doubling size and merges each one with half
+ * cleaners. Uses the "flip" form of the network, in which every comparator
+ * points the same way.
+ */
+class BitonicSort extends SortingNetwork {
+    constructor() {
+        super(
+            'Bitonic Sort',
+            { best: 'O(n log² n)', average: 'O(n log² n)', worst: 'O(n log² n)' },
+            'O(1)'
+        );
+    }
+
+    /**
+     * Stages of the bitonic network: per block size, one flip and then half cleaners
+     * @param {number} size - Network width (power of two)
+     * @returns {Object[]} Stages {label, comparators}
+     */
+    getStages(size) {
+        const stages = [];
+
+        for (let block = 2; block <= size; block *= 2) {
+            // Flip: compare mirrored positions inside each block
+            stages.push({
+                label: `flip blocks of ${block}`,
+                comparators: this.getComparators(size, i => i ^ (block - 1))
+            });
+
+            // Half cleaners at distance block/4, block/8, ..., 1
+            for (let distance = block / 4; distance >= 1; distance /= 2) {
+                stages.push({
+                    label: `half-clean at distance ${distance}`,
+                    comparators: this.getComparators(size, i => i ^ distance)
+                });
+            }
+        }
+
+        return stages;
+    }
+
+    /**
+     * Comparators [i, partner(i)] for every i below its partner
+     * @param {number} size - Network width
+     * @param {Function} partner - Maps a position to the one it is compared with
+     * @returns {number[][]} Comparators
+     */
+    getComparators(size, partner) {
+        const comparators = [];
+        for (let i = 0; i < size; i++) {
+            const j = partner(i);
+            if (j > i) {
+                comparators.push([i, j]);
+            }
+        }
+        return comparators;
+    }
+
+    getExplanation() {
+        return `
+**Bitonic Sort** is a sorting network: a fixed sequence of compare-exchange operations that does not depend on the data. Comparators in the same stage never share a position, so a parallel machine runs a whole stage at once.
+
+### How It Works:
+1. A **bitonic** sequence rises then falls (or is a rotation of one)
+2. Sorted blocks of size k, placed side by side, are turned into one bitonic block of size 2k by comparing mirrored positions (the **flip**)
+3. A **half cleaner** compares i with i + d: afterwards both halves are bitonic and every element of the left half is ≤ every element of the right half
+4. After the flip, half cleaners at distances k/2, k/4, ..., 1 finish sorting the block of size 2k
+5. Repeat for block sizes 2, 4, 8, ..., n
+
+### Stages and Parallelism:
+- The demo plays each stage as one frame: all of its comparators fire together
+- log₂ n · (log₂ n + 1) / 2 stages in total, each with at most n/2 comparators
+- On n processors the running time is the number of stages: O(log² n)
+- Arrays whose size is not a power of two are padded with +∞; comparators that touch the padding are left out
+
+### Key Characteristics:
+- **Data-oblivious**: The same comparisons happen for every input
+- **Not Stable**: Equal elements may change their relative order
+- **In-place**: Only requires O(1) extra space
+- **More work**: O(n log² n) comparisons, versus O(n log n) for merge sort
+
+### When to Use:
+- GPUs and SIMD units, where every lane must do the same thing
+- Hardware sorters built from fixed comparator circuits
+- Constant-time code, where data-dependent branches leak information
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure bitonicSort(A: list of sortable items)   // length(A) = 2^m
+    n := length(A)
+    for block := 2, 4, 8, ..., n do
+        // Flip stage: all comparators run in parallel
+        for each i in 0..n-1 in parallel do
+            j := i XOR (block - 1)
+            if j > i then compareExchange(A, i, j)
+        end for
+
+        // Half cleaners
+        for distance := block / 4, block / 8, ..., 1 do
+            for each i in 0..n-1 in parallel do
+                j := i XOR distance
+                if j > i then compareExchange(A, i, j)
+            end for
+        end for
+    end for
+end procedure
+
+procedure compareExchange(A, i, j)               // i < j
+    if A[i] > A[j] then swap(A[i], A[j])
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [5, 2, 8, 1], action: 'Initial array: 4 elements, 3 stages', highlight: [] },
+            { array: [2, 5, 1, 8], action: 'Stage 1 (flip blocks of 2): (0,1) swaps 5↔2 and (2,3) swaps 8↔1 at the same time', highlight: [0, 1, 2, 3] },
+            { array: [2, 1, 5, 8], action: 'Stage 2 (flip blocks of 4): (0,3) keeps 2,8; (1,2) swaps 5↔1', highlight: [0, 1, 2, 3] },
+            { array: [1, 2, 5, 8], action: 'Stage 3 (half-clean at distance 1): (0,1) swaps 2↔1; (2,3) keeps 5,8', highlight: [0, 1, 2, 3] },
+            { array: [1, 2, 5, 8], action: 'Sorted after 3 parallel stages and 6 comparators', highlight: [], sorted: [0, 1, 2, 3] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BitonicSort };
+}
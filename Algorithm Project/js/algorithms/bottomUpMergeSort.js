@@ -0,0 +1,159 @@
+/**
+ * Bottom-Up Merge Sort Algorithm with Step Tracking
+ * Time Complexity: O(n log n) for all cases
+ * Space Complexity: O(n)
+ *
+ * Iterative merge sort: no recursion, just passes over the array that merge
+ * neighbouring runs of width 1, 2, 4, ... until one run remains.
+ */
+class BottomUpMergeSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Bottom-Up Merge Sort',
+            { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)' },
+            'O(n)'
+        );
+    }
+
+    /**
+     * Merges write values from a buffer instead of swapping, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Generate all steps for bottom-up merge sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        let pass = 1;
+
+        for (let width = 1; width < n; width *= 2, pass++) {
+            const runs = this.getRuns(n, width);
+            const merges = Math.floor(n / (2 * width)) + (n % (2 * width) > width ? 1 : 0);
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                `Pass ${pass}: merge neighbouring runs of width ${width} (${merges} merge${merges === 1 ? '' : 's'})`,
+                false,
+                { runs }
+            ));
+
+            for (let low = 0; low < n - width; low += 2 * width) {
+                const mid = low + width - 1;
+                const high = Math.min(low + 2 * width - 1, n - 1);
+                mergeRuns(arr, low, mid, high, this.recorder(arr, [], { runs }));
+            }
+
+            // A last run without a partner is carried over to the next pass
+            const leftover = n % (2 * width);
+            if (leftover > 0 && leftover <= width) {
+                this.steps.push(this.createStep(
+                    StepType.SELECT,
+                    [n - leftover],
+                    arr,
+                    `Run [${arr.slice(n - leftover).join(', ')}] has no partner in this pass and is carried over`,
+                    false,
+                    { runs }
+                ));
+            }
+        }
+
+        // Mark all as sorted at the end
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Array is completely sorted`,
+                false,
+                i === 0 ? { runs: [] } : {}
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Split [0, n) into runs of the given width
+     * @param {number} n - Array length
+     * @param {number} width - Run width of the current pass
+     * @returns {number[][]} [start, end] ranges, inclusive
+     */
+    getRuns(n, width) {
+        const runs = [];
+        for (let start = 0; start < n; start += width) {
+            runs.push([start, Math.min(start + width - 1, n - 1)]);
+        }
+        return runs;
+    }
+
+    getExplanation() {
+        return `
+**Bottom-Up Merge Sort** does the same merges as recursive merge sort, but in the opposite order: it starts from single elements and works its way up, one whole level at a time.
+
+### How It Works:
+1. Treat every element as a sorted run of width 1
+2. **Pass**: merge runs pairwise: [0,1], [2,3], ... giving runs of width 2
+3. Double the width and repeat: 4, 8, 16, ...
+4. A run without a partner is carried over to the next pass
+5. After ⌈log₂ n⌉ passes a single run remains
+
+### Top-Down vs Bottom-Up:
+- Top-down splits recursively and merges on the way back up, finishing the left half before touching the right
+- Bottom-up needs no recursion and no split step - just two nested loops
+- Each pass streams through the whole array sequentially
+
+### Where It Is Used:
+- **Linked lists**: merging neighbouring runs needs no random access
+- **External sorting**: each pass reads and writes the data once, so the I/O cost is the number of passes
+- Embedded code where recursion is not allowed
+
+### Key Characteristics:
+- **Stable**: Equal elements maintain their relative order
+- **Not in-place**: O(n) buffer for merging
+- **Predictable**: O(n log n) for all inputs
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure bottomUpMergeSort(A)
+    n := length(A)
+    width := 1
+    while width < n do                        // One pass per level
+        for low := 0 to n - width - 1 step 2 * width do
+            mid := low + width - 1
+            high := min(low + 2 * width - 1, n - 1)
+            merge(A, low, mid, high)          // Same merge as top-down
+        end for
+        width := width * 2
+    end while
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [38, 27, 43, 3, 9, 82, 10], action: 'Initial array: 7 runs of width 1', highlight: [] },
+            { array: [27, 38, 3, 43, 9, 82, 10], action: 'Pass 1 (width 1): merge pairs; 10 is carried over', highlight: [0, 1, 2, 3, 4, 5] },
+            { array: [3, 27, 38, 43, 9, 82, 10], action: 'Pass 2 (width 2): merge [27, 38] with [3, 43]', highlight: [0, 1, 2, 3] },
+            { array: [3, 27, 38, 43, 9, 10, 82], action: 'Pass 2: merge [9, 82] with [10]', highlight: [4, 5, 6] },
+            { array: [3, 9, 10, 27, 38, 43, 82], action: 'Pass 3 (width 4): merge the last two runs', highlight: [0, 1, 2, 3, 4, 5, 6] },
+            { array: [3, 9, 10, 27, 38, 43, 82], action: 'Sorted after ⌈log₂ 7⌉ = 3 passes', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BottomUpMergeSort };
+}
@@ -0,0 +1,263 @@
+/**
+ * Bucket Sort Algorithm with Step Tracking
+ * Time Complexity: O(n) average for uniform input, O(n²) worst
+ * Space Complexity: O(n)
+ *
+ * Scatters floating-point values into n equal-width buckets, gathers them
+ * back bucket by bucket and insertion-sorts each bucket's segment.
+ */
+class BucketSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Bucket Sort',
+            { best: 'O(n)', average: 'O(n)', worst: 'O(n²)' },
+            'O(n)'
+        );
+        this.largestBucket = 0;
+    }
+
+    /**
+     * Scatter and gather write values instead of swapping, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Buckets split a numeric range, so strings cannot be bucketed
+     * @param {string} inputType - Key of GameManager.inputTypes
+     * @returns {boolean} False for strings
+     */
+    supportsInput(inputType) {
+        return inputType !== 'strings';
+    }
+
+    /**
+     * Value range covered by the buckets: [0, 1) when every value fits, else [min, max]
+     * @param {number[]} arr - Values to sort
+     * @returns {Object} {low, high}
+     */
+    getRange(arr) {
+        const min = Math.min(...arr);
+        const max = Math.max(...arr);
+
+        if (min >= 0 && max < 1) {
+            return { low: 0, high: 1 };
+        }
+        return { low: min, high: max };
+    }
+
+    /**
+     * Bucket for a value: ⌊n · (x − low) / (high − low)⌋, with the maximum put in the last bucket
+     * @param {number} value - Value to place
+     * @param {Object} range - {low, high}
+     * @param {number} count - Number of buckets
+     * @returns {number} Bucket index
+     */
+    getBucket(value, range, count) {
+        if (range.high === range.low) {
+            return 0;
+        }
+        const bucket = Math.floor(count * (value - range.low) / (range.high - range.low));
+        return Math.min(bucket, count - 1);
+    }
+
+    /**
+     * Format a bucket boundary for labels and descriptions
+     * @param {number} value - Boundary value
+     * @returns {string} Value rounded to two decimals
+     */
+    formatBound(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Generate all steps for bucket sort
+     * @param {number[]} inputArray - The array to sort (floats, ideally uniform in [0, 1))
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        this.largestBucket = 0;
+
+        if (n === 0) {
+            return this.steps;
+        }
+
+        const range = this.getRange(arr);
+        const unit = range.low === 0 && range.high === 1;
+        const width = (range.high - range.low) / n;
+        const buckets = arr.map(() => []);
+        const labels = buckets.map((bucket, b) => String(b));
+        const snapshot = active => ({ labels, contents: buckets.map(bucket => [...bucket]), active });
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `Scatter ${n} values into ${n} buckets of width ${this.formatBound(width)} covering [${this.formatBound(range.low)}, ${this.formatBound(range.high)}${unit ? ')' : ']'}`,
+            false,
+            { lane: snapshot(-1) }
+        ));
+
+        // Scatter: each value goes to the bucket covering it
+        for (let i = 0; i < n; i++) {
+            const b = this.getBucket(arr[i], range, n);
+            buckets[b].push(arr[i]);
+
+            this.steps.push(this.createStep(
+                StepType.DISTRIBUTE,
+                [i],
+                arr,
+                unit
+                    ? `${arr[i]}: ⌊${n} × ${arr[i]}⌋ = ${b} → bucket ${b}`
+                    : `${arr[i]} falls in the range starting at ${this.formatBound(range.low + b * width)} → bucket ${b}`,
+                false,
+                { lane: snapshot(b) }
+            ));
+        }
+
+        this.largestBucket = Math.max(...buckets.map(bucket => bucket.length));
+
+        // Gather: concatenate the buckets in order; each one becomes a segment
+        const segments = [];
+        let k = 0;
+        for (let b = 0; b < n; b++) {
+            if (buckets[b].length === 0) continue;
+
+            segments.push({ start: k, end: k + buckets[b].length - 1, bucket: b });
+
+            while (buckets[b].length > 0) {
+                const value = buckets[b].shift();
+
+                this.steps.push(this.createStep(
+                    StepType.WRITE,
+                    [k],
+                    arr,
+                    `Write ${value} from bucket ${b} back to position ${k}`,
+                    false,
+                    { value, lane: snapshot(b) }
+                ));
+
+                arr[k] = value;
+                k++;
+            }
+        }
+
+        // Sort each bucket's segment with insertion sort
+        const runs = segments.map(({ start, end, bucket }) => [start, end, `bucket ${bucket} · ${end - start + 1}`]);
+        segments.forEach(({ start, end, bucket }) => {
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [start, end],
+                arr,
+                start === end
+                    ? `Bucket ${bucket} holds only ${arr[start]}: already sorted`
+                    : `Insertion sort bucket ${bucket}: [${arr.slice(start, end + 1).join(', ')}] in positions ${this.formatRange(start, end)}`,
+                false,
+                { runs }
+            ));
+
+            insertRange(arr, start, end, this.recorder(arr));
+        });
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false,
+                i === 0 ? { runs: [] } : {}
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Counts for the demo screen, including the largest bucket
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            ...super.getStats(),
+            { label: 'Largest bucket', value: this.largestBucket }
+        ];
+    }
+
+    getExplanation() {
+        return `
+**Bucket Sort** splits the value range into n equal-width buckets. Uniformly spread values land about one per bucket, so sorting inside the buckets costs almost nothing.
+
+### How It Works:
+1. Create n empty buckets, each covering 1/n of the value range
+2. **Scatter**: put value x into bucket ⌊n · x⌋ (for values in [0, 1))
+3. **Gather**: concatenate the buckets in order - each bucket becomes a segment of the array
+4. Insertion sort each segment
+5. No element ever needs to leave its bucket's segment, so the array is sorted
+
+### Why O(n) on Average:
+- Let nᵢ be the size of bucket i; insertion sort on it costs O(nᵢ²)
+- For n values drawn uniformly from [0, 1), nᵢ is binomial with p = 1/n, so E[nᵢ²] = 2 − 1/n
+- Summed over n buckets: E[Σ nᵢ²] = 2n − 1 = O(n)
+- Scatter and gather are O(n) as well, so the expected total is **O(n)**
+- The demo reports the largest bucket: it stays small on uniform input
+
+### Worst Case:
+- If the values cluster, one bucket can receive all n of them
+- Insertion sort on that bucket is O(n²)
+
+### Key Characteristics:
+- **Stable**: Scatter keeps arrival order and insertion sort is stable
+- **Not In-place**: The buckets hold O(n) elements
+- **Distribution-dependent**: Fast only when the input is spread evenly
+
+### When to Use:
+- Floating-point keys known to be uniform, e.g. random numbers or hash values
+- Try it with the **Uniform Floats** input type
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure bucketSort(A: list of floats in [0, 1))
+    n := length(A)
+    B := n empty lists
+
+    for each x in A do                     // Scatter
+        append x to B[floor(n * x)]
+    end for
+
+    k := 0
+    for b := 0 to n - 1 do                 // Gather
+        start := k
+        for each x in B[b] do
+            A[k] := x
+            k := k + 1
+        end for
+        insertionSort(A[start..k-1])       // Expected O(1) per bucket
+    end for
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [0.78, 0.17, 0.39, 0.72, 0.94], action: 'Initial array: 5 buckets of width 0.2', highlight: [] },
+            { array: [0.78, 0.17, 0.39, 0.72, 0.94], action: 'Scatter: 0.78 → 3, 0.17 → 0, 0.39 → 1, 0.72 → 3, 0.94 → 4', highlight: [0, 1, 2, 3, 4] },
+            { array: [0.17, 0.39, 0.78, 0.72, 0.94], action: 'Gather buckets 0, 1, 3, 4 in order; bucket 3 holds [0.78, 0.72]', highlight: [2, 3] },
+            { array: [0.17, 0.39, 0.72, 0.78, 0.94], action: 'Insertion sort bucket 3: shift 0.78 right, insert 0.72', highlight: [2, 3] },
+            { array: [0.17, 0.39, 0.72, 0.78, 0.94], action: 'Every other bucket holds one value - sorted', highlight: [], sorted: [0, 1, 2, 3, 4] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BucketSort };
+}
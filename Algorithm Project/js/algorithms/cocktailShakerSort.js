@@ -0,0 +1,219 @@
+/**
+ * Cocktail Shaker Sort Algorithm with Step Tracking
+ * Time Complexity: O(n²) average/worst, O(n) best
+ * Space Complexity: O(1)
+ *
+ * A bidirectional bubble sort: alternates a left-to-right pass that bubbles
+ * the maximum up with a right-to-left pass that sinks the minimum down.
+ */
+class CocktailShakerSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Cocktail Shaker Sort',
+            { best: 'O(n)', average: 'O(n²)', worst: 'O(n²)' },
+            'O(1)'
+        );
+    }
+
+    /**
+     * Generate all steps for cocktail shaker sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        let start = 0;
+        let end = arr.length - 1;
+        let swapped = true;
+
+        while (swapped && start < end) {
+            // Forward pass: bubble the largest element to the end
+            swapped = this.shakePass(arr, start, end, 1);
+
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [end],
+                arr,
+                `Forward pass done: ${arr[end]} is in its final position`,
+                false
+            ));
+            end--;
+
+            if (!swapped || start >= end) {
+                break;
+            }
+
+            // Backward pass: sink the smallest element to the start
+            swapped = this.shakePass(arr, start, end, -1);
+
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [start],
+                arr,
+                `Backward pass done: ${arr[start]} is in its final position`,
+                false
+            ));
+            start++;
+        }
+
+        // Mark whatever is left in the middle as sorted
+        for (let k = start; k <= end; k++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [k],
+                arr,
+                `Element ${arr[k]} is in its final sorted position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * One pass over arr[start..end] comparing adjacent pairs
+     * @param {number[]} arr - Array being sorted
+     * @param {number} start - Left boundary
+     * @param {number} end - Right boundary
+     * @param {number} direction - 1 for left-to-right, -1 for right-to-left
+     * @returns {boolean} Whether any swap happened
+     */
+    shakePass(arr, start, end, direction) {
+        let swapped = false;
+        const first = direction === 1 ? start : end - 1;
+        const last = direction === 1 ? end - 1 : start;
+
+        for (let j = first; direction === 1 ? j <= last : j >= last; j += direction) {
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [j, j + 1],
+                arr,
+                `${direction === 1 ? 'Forward' : 'Backward'} pass: comparing ${arr[j]} and ${arr[j + 1]}`,
+                false
+            ));
+
+            if (arr[j] > arr[j + 1]) {
+                this.steps.push(this.createStep(
+                    StepType.SWAP,
+                    [j, j + 1],
+                    arr,
+                    `Swap ${arr[j]} and ${arr[j + 1]} because ${arr[j]} > ${arr[j + 1]}`,
+                    true  // User must perform this swap
+                ));
+
+                [arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];
+                swapped = true;
+            }
+        }
+
+        return swapped;
+    }
+
+    /**
+     * Validate if user's swap is correct for cocktail shaker sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: 'Correct swap!' };
+        }
+
+        return {
+            valid: false,
+            message: `Incorrect. In Cocktail Shaker Sort, swap the adjacent out-of-order pair in the current pass direction.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Cocktail Shaker Sort** (bidirectional bubble sort) fixes bubble sort's "turtle" problem by sweeping the array in both directions.
+
+### Rabbits and Turtles:
+- In bubble sort, a large value near the start (a **rabbit**) reaches the end in one pass
+- A small value near the end (a **turtle**) moves only one step left per pass
+- Shaking backwards lets turtles travel all the way to the front in a single pass
+
+### How It Works:
+1. Forward pass: compare adjacent pairs left to right, swapping if out of order - the maximum reaches the end
+2. Backward pass: compare adjacent pairs right to left - the minimum reaches the start
+3. Shrink both ends of the unsorted range
+4. Stop as soon as a pass makes no swaps
+
+### Key Characteristics:
+- **Stable**: Equal elements maintain their relative order
+- **In-place**: Only requires O(1) extra space
+- **Adaptive**: O(n) on already-sorted data
+- Still O(n²) on average, but typically about twice as fast as bubble sort
+
+### When to Use:
+- Small, nearly sorted data with a few small values near the end
+- Teaching how pass direction affects element movement
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure cocktailShakerSort(A: list of sortable items)
+    start := 0
+    end := length(A) - 1
+    repeat
+        swapped := false
+        for i := start to end - 1 do          // Forward pass
+            if A[i] > A[i + 1] then
+                swap(A[i], A[i + 1])
+                swapped := true
+            end if
+        end for
+        end := end - 1
+        if not swapped then break
+
+        swapped := false
+        for i := end - 1 down to start do     // Backward pass
+            if A[i] > A[i + 1] then
+                swap(A[i], A[i + 1])
+                swapped := true
+            end if
+        end for
+        start := start + 1
+    until not swapped
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [2, 3, 4, 5, 1], action: 'Initial array - 1 is a "turtle" at the end', highlight: [4] },
+            { array: [2, 3, 4, 5, 1], action: 'Forward pass: 2, 3, 4 and 5 are in order', highlight: [0, 1, 2, 3] },
+            { array: [2, 3, 4, 1, 5], action: 'Compare 5 and 1: swap. 5 is sorted', highlight: [3, 4], sorted: [4] },
+            { array: [2, 3, 1, 4, 5], action: 'Backward pass: compare 4 and 1, swap', highlight: [2, 3], sorted: [4] },
+            { array: [2, 1, 3, 4, 5], action: 'Compare 3 and 1, swap', highlight: [1, 2], sorted: [4] },
+            { array: [1, 2, 3, 4, 5], action: 'Compare 2 and 1, swap. 1 reached the front in one pass', highlight: [0, 1], sorted: [0, 4] },
+            { array: [1, 2, 3, 4, 5], action: 'Next forward pass makes no swaps - sorted', highlight: [], sorted: [0, 1, 2, 3, 4] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CocktailShakerSort };
+}
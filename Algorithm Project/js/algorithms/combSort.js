@@ -0,0 +1,187 @@
+/**
+ * Comb Sort Algorithm with Step Tracking
+ * Time Complexity: O(n²) worst, O(n² / 2^p) average, O(n log n) best
+ * Space Complexity: O(1)
+ *
+ * Bubble sort with a shrinking gap: compares elements gap apart, dividing the
+ * gap by 1.3 after every pass, so turtles are moved long distances early.
+ */
+class CombSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Comb Sort',
+            { best: 'O(n log n)', average: 'O(n²/2^p)', worst: 'O(n²)' },
+            'O(1)'
+        );
+        this.shrinkFactor = 1.3;
+    }
+
+    /**
+     * Generate all steps for comb sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        let gap = n;
+        let swapped = true;
+
+        while (gap > 1 || swapped) {
+            gap = Math.max(1, Math.floor(gap / this.shrinkFactor));
+            swapped = false;
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                gap === 1
+                    ? 'Gap 1: bubble sort passes until no swaps remain'
+                    : `Gap shrinks to ${gap}: compare elements ${gap} positions apart`,
+                false,
+                { gap }
+            ));
+
+            for (let i = 0; i + gap < n; i++) {
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [i, i + gap],
+                    arr,
+                    `Comparing ${arr[i]} and ${arr[i + gap]} (${gap} apart)`,
+                    false,
+                    { gap }
+                ));
+
+                if (arr[i] > arr[i + gap]) {
+                    this.steps.push(this.createStep(
+                        StepType.SWAP,
+                        [i, i + gap],
+                        arr,
+                        `Swap ${arr[i]} and ${arr[i + gap]} because ${arr[i]} > ${arr[i + gap]}`,
+                        true,  // User must perform this swap
+                        { gap }
+                    ));
+
+                    [arr[i], arr[i + gap]] = [arr[i + gap], arr[i]];
+                    swapped = true;
+                }
+            }
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Validate if user's swap is correct for comb sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: `Correct! You swapped across a gap of ${step.gap}.` };
+        }
+
+        return {
+            valid: false,
+            message: `Incorrect. In Comb Sort, the current gap is ${step.gap}: swap the next pair ${step.gap} apart that is out of order.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Comb Sort** improves bubble sort by comparing elements that are far apart. The gap starts at the array length and shrinks by a factor of 1.3 after every pass.
+
+### How It Works:
+1. Start with gap = n
+2. Shrink the gap: gap = floor(gap / 1.3)
+3. Compare every pair (i, i + gap) and swap if out of order
+4. Repeat until the gap is 1 and a full pass makes no swaps
+
+### Killing Turtles:
+- Bubble sort moves small values near the end (turtles) only one step per pass
+- With a large gap, a turtle can jump most of the way to the front in one swap
+- By the time the gap reaches 1, the array is nearly sorted and bubble sort finishes quickly
+
+### Why 1.3?
+- Empirically, shrink factors near 1.3 give the best results
+- Too small: many redundant passes; too large: turtles survive to the gap-1 phase
+
+### Key Characteristics:
+- **Not Stable**: Long-distance swaps can reorder equal elements
+- **In-place**: Only requires O(1) extra space
+- **Simple**: Two extra lines on top of bubble sort
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure combSort(A: list of sortable items)
+    gap := length(A)
+    shrink := 1.3
+    sorted := false
+
+    while not sorted do
+        gap := floor(gap / shrink)
+        if gap <= 1 then
+            gap := 1
+            sorted := true        // Final bubble pass decides
+        end if
+
+        for i := 0 to length(A) - gap - 1 do
+            if A[i] > A[i + gap] then
+                swap(A[i], A[i + gap])
+                sorted := false
+            end if
+        end for
+    end while
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [8, 4, 1, 56, 3, 44, 23, 2], action: 'Initial array, gap = 8 / 1.3 = 6', highlight: [] },
+            { array: [8, 2, 1, 56, 3, 44, 23, 4], action: 'Gap 6: 8 < 23 ok, 4 > 2 swap', highlight: [1, 7] },
+            { array: [8, 2, 1, 56, 3, 44, 23, 4], action: 'Gap 4: 8 > 3 swap, 2 < 44, 1 < 23, 56 > 4 swap', highlight: [0, 4] },
+            { array: [3, 2, 1, 4, 8, 44, 23, 56], action: 'After gap 4 pass', highlight: [0, 3, 4, 7] },
+            { array: [1, 2, 3, 4, 8, 44, 23, 56], action: 'Gap 3: no swaps. Gap 2: 3 > 1 swap - the turtles are gone', highlight: [0, 2] },
+            { array: [1, 2, 3, 4, 8, 23, 44, 56], action: 'Gap 1: 44 > 23 swap', highlight: [5, 6] },
+            { array: [1, 2, 3, 4, 8, 23, 44, 56], action: 'Gap 1 pass makes no swaps - sorted', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6, 7] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CombSort };
+}
@@ -0,0 +1,183 @@
+/**
+ * Counting Sort Algorithm with Step Tracking
+ * Time Complexity: O(n + k) for all cases, where k is the range of values
+ * Space Complexity: O(k)
+ *
+ * A non-comparison sort: tallies how often each value occurs,
+ * then writes the values back in order from the count array.
+ */
+class CountingSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Counting Sort',
+            { best: 'O(n + k)', average: 'O(n + k)', worst: 'O(n + k)' },
+            'O(k)'
+        );
+    }
+
+    /**
+     * Generate all steps for counting sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+
+        if (n === 0) {
+            return this.steps;
+        }
+
+        const min = Math.min(...arr);
+        const max = Math.max(...arr);
+        const labels = [];
+        for (let v = min; v <= max; v++) {
+            labels.push(String(v));
+        }
+        const count = new Array(max - min + 1).fill(0);
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `Values range from ${min} to ${max}: create a count array of size k = ${count.length}`,
+            false,
+            { lane: { labels, contents: [...count], active: -1 } }
+        ));
+
+        // Phase 1: count occurrences
+        for (let i = 0; i < n; i++) {
+            const slot = arr[i] - min;
+            count[slot]++;
+
+            this.steps.push(this.createStep(
+                StepType.COUNT,
+                [i],
+                arr,
+                `Count ${arr[i]}: count[${arr[i]}] is now ${count[slot]}`,
+                false,
+                { lane: { labels, contents: [...count], active: slot } }
+            ));
+        }
+
+        // Phase 2: write values back in order, emptying the count array
+        let k = 0;
+        for (let slot = 0; slot < count.length; slot++) {
+            while (count[slot] > 0) {
+                const value = slot + min;
+                count[slot]--;
+
+                this.steps.push(this.createStep(
+                    StepType.WRITE,
+                    [k],
+                    arr,
+                    `Write ${value} to position ${k} (${count[slot]} more ${value}'s left)`,
+                    false,
+                    { value, lane: { labels, contents: [...count], active: slot } }
+                ));
+
+                arr[k] = value;
+                k++;
+            }
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Counting sort never compares or swaps, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Values are used as count-array indices, so they must be integers
+     * @param {string} inputType - Key of GameManager.inputTypes
+     * @returns {boolean} False for floats and strings
+     */
+    supportsInput(inputType) {
+        return inputType !== 'uniformFloat' && inputType !== 'strings';
+    }
+
+    getExplanation() {
+        return `
+**Counting Sort** sorts integers without ever comparing two elements. It counts how many times each value occurs and rebuilds the array from those counts.
+
+### How It Works:
+1. Find the smallest and largest value; the range k = max - min + 1
+2. Create a count array of size k, all zeros
+3. For each element, increment count[value]
+4. Walk the count array in order, writing each value back count[value] times
+
+### Beating the Ω(n log n) Bound:
+- Comparison sorts must make Ω(n log n) comparisons in the worst case
+- Counting sort makes **no comparisons** - it uses the value as an array index
+- That only works because keys are small integers with a known range
+
+### Key Characteristics:
+- **Stable** (in the prefix-sum variant used by radix sort)
+- **Not In-place**: Needs O(k) for the count array
+- **Linear Time**: O(n + k), great when k is O(n)
+- **Range-sensitive**: A range of one million costs a million counters, even for 5 elements
+
+### When to Use:
+- Integer keys from a small range (ages, grades, bytes)
+- As the digit-sorting subroutine of radix sort
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure countingSort(A: list of integers)
+    min := minimum(A), max := maximum(A)
+    count := array of (max - min + 1) zeros
+
+    // Phase 1: count occurrences
+    for i := 0 to n-1 do
+        count[A[i] - min] := count[A[i] - min] + 1
+    end for
+
+    // Phase 2: write values back in order
+    k := 0
+    for v := min to max do
+        while count[v - min] > 0 do
+            A[k] := v
+            k := k + 1
+            count[v - min] := count[v - min] - 1
+        end while
+    end for
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [4, 2, 2, 8, 3, 3, 1], action: 'Initial array, values 1..8 so k = 8', highlight: [] },
+            { array: [4, 2, 2, 8, 3, 3, 1], action: 'Count: 1→1, 2→2, 3→2, 4→1, 8→1', highlight: [0, 1, 2, 3, 4, 5, 6] },
+            { array: [1, 2, 2, 8, 3, 3, 1], action: 'count[1] = 1: write 1 once', highlight: [0], sorted: [0] },
+            { array: [1, 2, 2, 8, 3, 3, 1], action: 'count[2] = 2: write 2 twice', highlight: [1, 2], sorted: [0, 1, 2] },
+            { array: [1, 2, 2, 3, 3, 3, 1], action: 'count[3] = 2: write 3 twice', highlight: [3, 4], sorted: [0, 1, 2, 3, 4] },
+            { array: [1, 2, 2, 3, 3, 4, 8], action: 'count[4] = 1, count[8] = 1: write 4 and 8', highlight: [5, 6], sorted: [0, 1, 2, 3, 4, 5, 6] },
+            { array: [1, 2, 2, 3, 3, 4, 8], action: 'Final sorted array - no comparisons made', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CountingSort };
+}
@@ -0,0 +1,314 @@
+/**
+ * Cycle Sort Algorithm with Step Tracking
+ * Time Complexity: O(n²) for all cases
+ * Space Complexity: O(1)
+ *
+ * Rotates each cycle of the permutation into place. Every element is written
+ * at most once, directly to its final position, which makes it the sort with
+ * the fewest memory writes.
+ */
+class CycleSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Cycle Sort',
+            { best: 'O(n²)', average: 'O(n²)', worst: 'O(n²)' },
+            'O(1)'
+        );
+        this.comparisons = 0;
+        this.writes = 0;
+    }
+
+    /**
+     * Generate all steps for cycle sort
+     *
+     * The item being carried around a cycle is kept at cycleStart, so each
+     * rotation is shown as a swap. A real cycle sort holds it in a register:
+     * one write per swap, plus one to drop the last item at cycleStart.
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        this.comparisons = 0;
+        this.writes = 0;
+
+        const cycles = this.getCycles(arr);
+        if (cycles) {
+            const nonTrivial = cycles.filter(cycle => cycle.length > 1);
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                nonTrivial.length === 0
+                    ? 'Every element is already in its final position'
+                    : `Cycles: ${nonTrivial.map(cycle => `(${cycle.join(' → ')})`).join(' ')}. ` +
+                    `Minimum swaps = n − cycles = ${n} − ${cycles.length} = ${n - cycles.length}`,
+                false
+            ));
+        }
+
+        for (let cycleStart = 0; cycleStart < n - 1; cycleStart++) {
+            let rotations = 0;
+
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                [cycleStart],
+                arr,
+                `Cycle start ${cycleStart}: pick up ${arr[cycleStart]}`,
+                false
+            ));
+
+            while (true) {
+                const item = arr[cycleStart];
+                let pos = this.findPosition(arr, cycleStart, item);
+
+                if (pos === cycleStart) {
+                    if (rotations > 0) {
+                        this.writes++;
+                    }
+
+                    this.steps.push(this.createStep(
+                        StepType.SORTED,
+                        [cycleStart],
+                        arr,
+                        rotations > 0
+                            ? `${item} belongs at ${cycleStart}: the cycle is closed after ${rotations + 1} writes (${this.writes} total)`
+                            : `${item} is already in its final position - no write needed`,
+                        false
+                    ));
+                    break;
+                }
+
+                // Skip over copies of the item that are already in place
+                while (arr[pos] === item) {
+                    this.comparisons++;
+                    pos++;
+                }
+                this.comparisons++;
+
+                this.writes++;
+                rotations++;
+
+                this.steps.push(this.createStep(
+                    StepType.SWAP,
+                    [cycleStart, pos],
+                    arr,
+                    `Write ${item} to its final position ${pos} and pick up ${arr[pos]} (write ${this.writes})`,
+                    true  // User must perform this swap
+                ));
+
+                [arr[cycleStart], arr[pos]] = [arr[pos], arr[cycleStart]];
+
+                this.steps.push(this.createStep(
+                    StepType.SORTED,
+                    [pos],
+                    arr,
+                    `${item} is now in its final position`,
+                    false
+                ));
+            }
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Final position of item: cycleStart plus the number of smaller elements after it
+     * @param {number[]} arr - Array being sorted
+     * @param {number} cycleStart - Position holding the item
+     * @param {number} item - Value being placed
+     * @returns {number} Position before skipping duplicates
+     */
+    findPosition(arr, cycleStart, item) {
+        const scanned = [];
+        let pos = cycleStart;
+
+        for (let i = cycleStart + 1; i < arr.length; i++) {
+            scanned.push(i);
+            if (arr[i] < item) {
+                pos++;
+            }
+        }
+        this.comparisons += scanned.length;
+
+        // One step for the whole counting scan
+        if (scanned.length > 0) {
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [cycleStart, ...scanned],
+                arr,
+                `${pos - cycleStart} of the ${scanned.length} elements after position ${cycleStart} are smaller than ${item}, so it belongs at ${pos}`,
+                false
+            ));
+        }
+
+        return pos;
+    }
+
+    /**
+     * Cycle decomposition of the permutation that sorts arr
+     * @param {number[]} arr - Unsorted array
+     * @returns {number[][]|null} Cycles of positions, or null when values repeat
+     */
+    getCycles(arr) {
+        if (new Set(arr).size !== arr.length) {
+            return null;
+        }
+
+        const sorted = [...arr].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        const target = arr.map(value => sorted.indexOf(value));
+        const visited = new Array(arr.length).fill(false);
+        const cycles = [];
+
+        for (let start = 0; start < arr.length; start++) {
+            if (visited[start]) continue;
+
+            const cycle = [];
+            for (let i = start; !visited[i]; i = target[i]) {
+                visited[i] = true;
+                cycle.push(i);
+            }
+            cycles.push(cycle);
+        }
+
+        return cycles;
+    }
+
+    /**
+     * Counts for the demo and results screens, including memory writes
+     * Comparisons are counted during generation, as one step covers a whole scan
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            { label: 'Comparisons', value: this.comparisons },
+            { label: 'Swaps', value: this.getOptimalSwapCount() },
+            { label: 'Memory writes', value: this.writes }
+        ];
+    }
+
+    /**
+     * Validate if user's swap is correct for cycle sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: 'Correct! One more element written to its final position.' };
+        }
+
+        return {
+            valid: false,
+            message: `Incorrect. In Cycle Sort, count the elements smaller than the item at the cycle start: that count is how far right it belongs. Swap it there.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Cycle Sort** is based on the fact that any permutation splits into cycles. It rotates each cycle into place, writing every element exactly once - directly into its final position.
+
+### How It Works:
+1. Take the item at the cycle start
+2. Count the elements smaller than it: that is its final position
+3. Skip past copies of the same value that are already in place
+4. Write the item there and pick up the element it displaces
+5. Repeat with the displaced element until the cycle returns to the start
+6. Move the cycle start one position right and repeat
+
+### Cycles and Minimum Swaps:
+- Position i holds the element that belongs at target(i); following i → target(i) → ... returns to i
+- A cycle of length L needs exactly L − 1 swaps, and no swap can fix more than one cycle at a time
+- So the minimum number of swaps is n − (number of cycles), and cycle sort achieves it
+- The demo lists the cycles of the input before it starts
+
+### Memory Writes:
+- Cycle sort writes each misplaced element once: at most n writes
+- Selection sort does 2(n − 1) writes through swaps, insertion sort O(n²)
+- The demo and the results screen count memory writes next to comparisons
+
+### Key Characteristics:
+- **Not Stable**: Equal elements may change their relative order
+- **In-place**: Only requires O(1) extra space
+- **Slow**: Always O(n²) comparisons, even on sorted input
+
+### When to Use:
+- Flash memory and EEPROM, where every write wears out the cell
+- Whenever writes are far more expensive than reads
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure cycleSort(A: list of sortable items)
+    for cycleStart := 0 to length(A) - 2 do
+        item := A[cycleStart]
+
+        pos := cycleStart
+        for i := cycleStart + 1 to length(A) - 1 do
+            if A[i] < item then pos := pos + 1
+        end for
+        if pos = cycleStart then continue       // Already in place
+
+        while item = A[pos] do pos := pos + 1   // Skip duplicates
+        swap(item, A[pos])                      // One write
+
+        while pos != cycleStart do              // Rotate the rest of the cycle
+            pos := cycleStart
+            for i := cycleStart + 1 to length(A) - 1 do
+                if A[i] < item then pos := pos + 1
+            end for
+            while item = A[pos] do pos := pos + 1
+            swap(item, A[pos])                  // One write
+        end while
+    end for
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [30, 10, 40, 20], action: 'Cycles: (0 → 2 → 3 → 1). Minimum swaps = 4 − 1 = 3', highlight: [] },
+            { array: [30, 10, 40, 20], action: 'Pick up 30: two elements are smaller, so it belongs at 2', highlight: [0, 2] },
+            { array: [40, 10, 30, 20], action: 'Write 30 to position 2, pick up 40 (write 1)', highlight: [0, 2], sorted: [2] },
+            { array: [20, 10, 30, 40], action: '40 belongs at 3: write it, pick up 20 (write 2)', highlight: [0, 3], sorted: [2, 3] },
+            { array: [10, 20, 30, 40], action: '20 belongs at 1: write it, pick up 10 (write 3)', highlight: [0, 1], sorted: [1, 2, 3] },
+            { array: [10, 20, 30, 40], action: '10 belongs at the cycle start: drop it there (write 4)', highlight: [0], sorted: [0, 1, 2, 3] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CycleSort };
+}
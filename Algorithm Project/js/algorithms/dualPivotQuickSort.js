@@ -0,0 +1,470 @@
+/**
+ * Dual-Pivot Quick Sort Algorithm (Yaroslavskiy) with Step Tracking
+ * Time Complexity: O(n log n) average, O(n²) worst
+ * Space Complexity: O(log n) for call stack
+ *
+ * Picks two pivots p <= q (first and last element) and partitions into
+ * < p, p..q and > q in a single scan. Java's Arrays.sort for primitives
+ * is built on this scheme.
+ */
+class DualPivotQuickSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Dual-Pivot Quick Sort',
+            { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n²)' },
+            'O(log n)'
+        );
+    }
+
+    /**
+     * Generate all steps for dual-pivot quick sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        this.quickSortRecursive(arr, 0, arr.length - 1);
+
+        // Mark all as sorted at the end
+        for (let i = 0; i < arr.length; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Array is completely sorted`,
+                false,
+                i === 0 ? { partitions: [] } : {}
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Recursive dual-pivot quick sort with step tracking
+     * @param {number[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     */
+    quickSortRecursive(arr, low, high) {
+        if (low >= high) {
+            if (low === high) {
+                this.steps.push(this.createStep(
+                    StepType.SORTED,
+                    [low],
+                    arr,
+                    `Single element ${arr[low]} is sorted`,
+                    false
+                ));
+            }
+            return;
+        }
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [low, high],
+            arr,
+            `Sorting subarray from index ${low} to ${high}`,
+            false,
+            { partitions: [] }
+        ));
+
+        const [lp, rp] = this.partition(arr, low, high);
+
+        this.steps.push(this.createStep(
+            StepType.SORTED,
+            [lp, rp],
+            arr,
+            `Pivots ${arr[lp]} and ${arr[rp]} are now in their final positions`,
+            false
+        ));
+
+        this.quickSortRecursive(arr, low, lp - 1);
+        this.quickSortRecursive(arr, lp + 1, rp - 1);
+        this.quickSortRecursive(arr, rp + 1, high);
+    }
+
+    /**
+     * Yaroslavskiy partition with step tracking
+     * Invariant: arr[low+1..l-1] < p, arr[l..k-1] in [p, q], arr[k..g] unscanned, arr[g+1..high-1] > q
+     * @param {number[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @returns {number[]} Final positions of the two pivots
+     */
+    partition(arr, low, high) {
+        this.steps.push(this.createStep(
+            StepType.COMPARE,
+            [low, high],
+            arr,
+            `Comparing the pivot candidates ${arr[low]} and ${arr[high]}`,
+            false
+        ));
+
+        if (arr[low] > arr[high]) {
+            this.steps.push(this.createStep(
+                StepType.SWAP,
+                [low, high],
+                arr,
+                `${arr[low]} > ${arr[high]}: swap so the left pivot is the smaller one`,
+                true,  // User must perform this swap
+                { role: 'pivotOrder' }
+            ));
+
+            [arr[low], arr[high]] = [arr[high], arr[low]];
+        }
+
+        const p = arr[low];
+        const q = arr[high];
+        const pivots = [low, high];
+        let l = low + 1;
+        let g = high - 1;
+        let k = l;
+
+        this.steps.push(this.createStep(
+            StepType.PIVOT,
+            [low, high],
+            arr,
+            `Selected pivots: p = ${p} (first element) and q = ${q} (last element)`,
+            false,
+            { pivots, partitions: this.getPartitions(low, l, k, g, high, p, q) }
+        ));
+
+        while (k <= g) {
+            const details = { pivots, partitions: this.getPartitions(low, l, k, g, high, p, q) };
+
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [k, low],
+                arr,
+                `Comparing ${arr[k]} with p = ${p}`,
+                false,
+                details
+            ));
+
+            if (arr[k] < p) {
+                this.pushLess(arr, k, l, p, details);
+                l++;
+            } else {
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [k, high],
+                    arr,
+                    `Comparing ${arr[k]} with q = ${q}`,
+                    false,
+                    details
+                ));
+
+                if (arr[k] > q) {
+                    // Find an element from the right that does not belong to the > q region
+                    while (true) {
+                        this.steps.push(this.createStep(
+                            StepType.COMPARE,
+                            [g, high],
+                            arr,
+                            `Right scan: comparing ${arr[g]} with q = ${q}`,
+                            false,
+                            { pivots, partitions: this.getPartitions(low, l, k, g, high, p, q) }
+                        ));
+
+                        if (arr[g] > q && k < g) {
+                            g--;
+                        } else {
+                            break;
+                        }
+                    }
+
+                    const scanned = { pivots, partitions: this.getPartitions(low, l, k, g, high, p, q) };
+
+                    if (k !== g) {
+                        this.steps.push(this.createStep(
+                            StepType.SWAP,
+                            [k, g],
+                            arr,
+                            `${arr[k]} > q = ${q}: swap with ${arr[g]} to grow the > q region`,
+                            true,  // User must perform this swap
+                            { ...scanned, role: 'greater' }
+                        ));
+
+                        [arr[k], arr[g]] = [arr[g], arr[k]];
+                    }
+                    g--;
+
+                    // The element that came from the right may belong to the < p region
+                    this.steps.push(this.createStep(
+                        StepType.COMPARE,
+                        [k, low],
+                        arr,
+                        `Comparing ${arr[k]} (from the right) with p = ${p}`,
+                        false,
+                        { pivots, partitions: this.getPartitions(low, l, k, g, high, p, q) }
+                    ));
+
+                    if (arr[k] < p) {
+                        this.pushLess(arr, k, l, p, { pivots, partitions: this.getPartitions(low, l, k, g, high, p, q) });
+                        l++;
+                    }
+                } else {
+                    this.steps.push(this.createStep(
+                        StepType.SELECT,
+                        [k],
+                        arr,
+                        `${p} ≤ ${arr[k]} ≤ ${q}: it stays in the middle region`,
+                        false,
+                        details
+                    ));
+                }
+            }
+            k++;
+        }
+
+        l--;
+        g++;
+
+        // Move the pivots to the borders of the middle region
+        this.placePivot(arr, low, l, pivots);
+        this.placePivot(arr, high, g, pivots);
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [l, g],
+            arr,
+            `Partition done: < ${p} in ${this.formatRange(low, l - 1)}, ${p}..${q} in ${this.formatRange(l + 1, g - 1)}, > ${q} in ${this.formatRange(g + 1, high)}`,
+            false,
+            {
+                partitions: [
+                    { start: low, end: l - 1, kind: 'less', label: `< ${p}` },
+                    { start: l + 1, end: g - 1, kind: 'middle', label: `${p}..${q}` },
+                    { start: g + 1, end: high, kind: 'greater', label: `> ${q}` }
+                ]
+            }
+        ));
+
+        return [l, g];
+    }
+
+    /**
+     * Move arr[k] into the < p region at position l
+     * @param {number[]} arr - Array being sorted
+     * @param {number} k - Index of the element smaller than p
+     * @param {number} l - First index after the < p region
+     * @param {number} p - Left pivot value
+     * @param {Object} details - Pivots and partitions for the step
+     */
+    pushLess(arr, k, l, p, details) {
+        if (k === l) {
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                [k],
+                arr,
+                `${arr[k]} < p = ${p}: already at the end of the < p region`,
+                false,
+                details
+            ));
+            return;
+        }
+
+        this.steps.push(this.createStep(
+            StepType.SWAP,
+            [k, l],
+            arr,
+            `${arr[k]} < p = ${p}: swap with ${arr[l]} to grow the < p region`,
+            true,  // User must perform this swap
+            { ...details, role: 'less' }
+        ));
+
+        [arr[k], arr[l]] = [arr[l], arr[k]];
+    }
+
+    /**
+     * Swap a pivot from the end of the subarray to its final position
+     * @param {number[]} arr - Array being sorted
+     * @param {number} from - Current pivot index (low or high)
+     * @param {number} to - Final pivot index
+     * @param {number[]} pivots - Pivot indices to keep marked
+     */
+    placePivot(arr, from, to, pivots) {
+        if (from === to) {
+            return;
+        }
+
+        this.steps.push(this.createStep(
+            StepType.SWAP,
+            [from, to],
+            arr,
+            `Move pivot ${arr[from]} to its final position by swapping with ${arr[to]}`,
+            true,  // User must perform this swap
+            { pivots, role: 'pivotPlace' }
+        ));
+
+        [arr[from], arr[to]] = [arr[to], arr[from]];
+    }
+
+    /**
+     * Describe the growing regions for the renderer
+     * @param {number} low - Left boundary (left pivot)
+     * @param {number} l - First index after the < p region
+     * @param {number} k - First unscanned index
+     * @param {number} g - Last unscanned index
+     * @param {number} high - Right boundary (right pivot)
+     * @param {number} p - Left pivot value
+     * @param {number} q - Right pivot value
+     * @returns {Object[]} Bands {start, end, kind, label}
+     */
+    getPartitions(low, l, k, g, high, p, q) {
+        return [
+            { start: low + 1, end: l - 1, kind: 'less', label: `< ${p}` },
+            { start: l, end: k - 1, kind: 'middle', label: `${p}..${q}` },
+            { start: g + 1, end: high - 1, kind: 'greater', label: `> ${q}` }
+        ];
+    }
+
+    /**
+     * Counts for the demo screen, next to single-pivot Quick Sort on the same input
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        const stats = super.getStats();
+        if (this.steps.length === 0) {
+            return stats;
+        }
+
+        const single = new QuickSort();
+        single.generateSteps(this.steps[0].arrayState);
+        const [comparisons, swaps] = single.getStats();
+
+        return [
+            ...stats,
+            { label: `Single-pivot ${comparisons.label}`, value: comparisons.value },
+            { label: `Single-pivot ${swaps.label}`, value: swaps.value }
+        ];
+    }
+
+    /**
+     * Validate if user's swap is correct for dual-pivot quick sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: 'Correct! You performed the right partition swap.' };
+        }
+
+        const hints = {
+            pivotOrder: 'The two pivot candidates at the ends are out of order: swap them so p ≤ q.',
+            less: 'The scanned element is smaller than p: swap it to the end of the < p region.',
+            greater: 'The scanned element is larger than q: swap it with the rightmost unscanned element that is not larger than q.',
+            pivotPlace: 'The scan is done: move each pivot next to the middle region.'
+        };
+
+        return {
+            valid: false,
+            message: `Incorrect. ${hints[step.role]}`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Dual-Pivot Quick Sort** (Vladimir Yaroslavskiy, 2009) partitions around two pivots at once, splitting each subarray into three parts. Since Java 7 it is the algorithm behind \`Arrays.sort\` for primitive types.
+
+### How It Works:
+1. **Choose two pivots**: The first and last elements, swapped if needed so p ≤ q
+2. **Partition in one scan** with pointers l, k and g:
+   - arr[k] < p: swap it into the < p region on the left
+   - arr[k] > q: swap it with an element from the right end that is not > q
+   - otherwise: it stays in the middle region
+3. **Place the pivots**: Swap p and q to the borders of the middle region
+4. **Recurse**: Sort the three parts independently
+
+### Why Two Pivots?
+- Each level splits into three parts, so the recursion tree is shallower (log₃ n levels)
+- It does about 5% more comparisons than single-pivot Quick Sort, but fewer cache misses
+- Try the demo: the comparison and swap counts of single-pivot Quick Sort on the same input are shown next to this one
+
+### Key Characteristics:
+- **Not Stable**: May change relative order of equal elements
+- **In-place**: Requires only O(log n) stack space
+- **Fast in practice**: Fewer memory scans than classic Quick Sort
+
+### When to Use:
+- Sorting large arrays of primitives, as the JDK does
+- Where memory bandwidth matters more than comparison count
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure dualPivotQuickSort(A, low, high)
+    if low < high then
+        if A[low] > A[high] then
+            swap(A[low], A[high])
+        end if
+        p := A[low]; q := A[high]      // Two pivots, p <= q
+        l := low + 1; g := high - 1; k := l
+
+        while k <= g do
+            if A[k] < p then
+                swap(A[k], A[l])       // Grow the < p region
+                l := l + 1
+            else if A[k] > q then
+                while A[g] > q and k < g do
+                    g := g - 1
+                end while
+                swap(A[k], A[g])       // Grow the > q region
+                g := g - 1
+                if A[k] < p then
+                    swap(A[k], A[l])
+                    l := l + 1
+                end if
+            end if
+            k := k + 1
+        end while
+
+        l := l - 1; g := g + 1
+        swap(A[low], A[l])             // Place the pivots
+        swap(A[high], A[g])
+
+        dualPivotQuickSort(A, low, l - 1)
+        dualPivotQuickSort(A, l + 1, g - 1)
+        dualPivotQuickSort(A, g + 1, high)
+    end if
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [50, 80, 20, 60, 90, 10, 30], action: 'Initial array: pivot candidates 50 and 30', highlight: [0, 6] },
+            { array: [30, 80, 20, 60, 90, 10, 50], action: '50 > 30: swap them, so p = 30 and q = 50', highlight: [0, 6] },
+            { array: [30, 10, 20, 60, 90, 80, 50], action: '80 > q: the right scan stops at 10, swap them', highlight: [1, 5] },
+            { array: [30, 10, 20, 60, 90, 80, 50], action: '10 and 20 are < p: the < p region grows', highlight: [1, 2] },
+            { array: [30, 10, 20, 60, 90, 80, 50], action: '60 > q: the right scan meets it, so the scan is done', highlight: [3] },
+            { array: [20, 10, 30, 50, 90, 80, 60], action: 'Place the pivots: swap 30 with 20 and 50 with 60', highlight: [2, 3], sorted: [2, 3] },
+            { array: [10, 20, 30, 50, 60, 80, 90], action: 'Recurse on [20, 10] and [90, 80, 60]', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DualPivotQuickSort };
+}
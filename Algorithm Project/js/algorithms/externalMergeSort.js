@@ -0,0 +1,445 @@
+/**
+ * External Merge Sort Simulation with Step Tracking
+ * I/O Complexity: 2N · (1 + ⌈log_F(N / M)⌉) block transfers for N blocks
+ * Memory: M elements, split into frames of one block each
+ *
+ * The array lives on a simulated disk of fixed-size blocks, and only M
+ * elements fit in memory. Run generation sorts one memory load at a time
+ * with mergeSortInPlace from mergeSortPure.js; each merge pass then merges
+ * F = M / B − 1 runs at once through one input frame per run and one output
+ * frame, counting every block read and written.
+ */
+class ExternalMergeSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'External Merge Sort (Simulation)',
+            { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)' },
+            'O(M)'
+        );
+        this.blockSize = 2;
+        this.options = { memory: 6 };
+        this.reads = 0;
+        this.writes = 0;
+        this.passes = 0;
+        this.initialRuns = 0;
+        this.comparisons = 0;
+    }
+
+    /**
+     * Get the configurable variants of the algorithm
+     * @returns {Object[]} Option definitions
+     */
+    getOptions() {
+        return [
+            {
+                key: 'memory',
+                label: 'Memory',
+                choices: [
+                    { value: 6, label: 'M = 6 (3 frames, 2-way merge)' },
+                    { value: 8, label: 'M = 8 (4 frames, 3-way merge)' },
+                    { value: 12, label: 'M = 12 (6 frames, 5-way merge)' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Disk transfers write values instead of swapping, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Generate all steps for the external merge sort simulation
+     * @param {number[]} inputArray - The array on disk
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        const B = this.blockSize;
+        const M = this.options.memory;
+        const fanIn = M / B - 1;
+        this.reads = 0;
+        this.writes = 0;
+        this.passes = 0;
+        this.comparisons = 0;
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `The disk holds ${n} elements in ${Math.ceil(n / B)} blocks of ${B}; memory holds M = ${M} elements (${M / B} frames)`,
+            false
+        ));
+
+        // Pass 0: run generation
+        const runs = this.generateRuns(arr, M);
+        this.initialRuns = runs.length;
+
+        // Merge passes: F runs at a time until one run is left
+        let current = runs;
+        while (current.length > 1) {
+            this.passes++;
+            const src = [...arr];
+            const next = [];
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                `Merge pass ${this.passes}: ${current.length} runs, ${fanIn} at a time → ${Math.ceil(current.length / fanIn)} runs. ` +
+                'Every block is read once and written once.',
+                false,
+                { runs: this.runOutlines(current) }
+            ));
+
+            for (let g = 0; g < current.length; g += fanIn) {
+                const group = current.slice(g, g + fanIn);
+                this.mergeRuns(arr, src, group);
+                next.push([group[0][0], group[group.length - 1][1]]);
+            }
+
+            current = next;
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false,
+                i === 0 ? { runs: [] } : {}
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Pass 0: read M elements at a time, sort them in memory, write them back as a run
+     * @param {number[]} arr - Disk contents
+     * @param {number} M - Memory size in elements
+     * @returns {number[][]} [start, end] of each sorted run
+     */
+    generateRuns(arr, M) {
+        const n = arr.length;
+        const runs = [];
+
+        for (let start = 0; start < n; start += M) {
+            const end = Math.min(start + M, n) - 1;
+            const memory = arr.slice(start, end + 1);
+            const blocks = this.blockCount(start, end);
+            this.reads += blocks;
+
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                Array.from({ length: end - start + 1 }, (_, i) => start + i),
+                arr,
+                `Read ${blocks} block${blocks === 1 ? '' : 's'} (positions ${this.formatRange(start, end)}) into memory`,
+                false,
+                { lane: this.memoryLane(this.toFrames(memory), -1) }
+            ));
+
+            // In-memory phase: the plain merge sort from mergeSortPure.js
+            mergeSortInPlace(memory, 0, memory.length - 1);
+
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [],
+                arr,
+                `Sort the ${memory.length} elements in memory with merge sort - no disk I/O`,
+                false,
+                { lane: this.memoryLane(this.toFrames(memory), -1) }
+            ));
+
+            this.writes += blocks;
+            memory.forEach((value, offset) => {
+                this.steps.push(this.createStep(
+                    StepType.WRITE,
+                    [start + offset],
+                    arr,
+                    `Write run ${runs.length + 1} back to disk: ${value} to position ${start + offset}`,
+                    false,
+                    { value }
+                ));
+                arr[start + offset] = value;
+            });
+
+            runs.push([start, end]);
+            this.steps.push(this.createStep(
+                StepType.RUN,
+                [start, end],
+                arr,
+                `Run ${runs.length} is sorted on disk (${blocks} block${blocks === 1 ? '' : 's'} read, ${blocks} written)`,
+                false,
+                { runs: this.runOutlines(runs), lane: this.memoryLane([], -1) }
+            ));
+        }
+
+        return runs;
+    }
+
+    /**
+     * Merge up to F runs through one input frame each and one output frame
+     * Reads come from src, the file being merged; writes go to arr, the new file.
+     * @param {number[]} arr - Disk file being written (shown by the bars)
+     * @param {number[]} src - Disk file being read
+     * @param {number[][]} group - [start, end] of each run to merge
+     */
+    mergeRuns(arr, src, group) {
+        const B = this.blockSize;
+        const start = group[0][0];
+        const end = group[group.length - 1][1];
+        const next = group.map(([runStart]) => runStart);   // Next unread position of each run
+        const frames = group.map(() => []);
+        const output = [];
+        let pos = start;
+
+        const lane = active => this.memoryLane([...frames, output], active, group.length);
+        const readBlock = r => {
+            const [, runEnd] = group[r];
+            const blockEnd = Math.min(next[r] + B, runEnd + 1);
+            frames[r] = src.slice(next[r], blockEnd);
+            next[r] = blockEnd;
+            this.reads++;
+        };
+        const flush = () => {
+            this.writes++;
+            output.forEach((value, offset) => {
+                this.steps.push(this.createStep(
+                    StepType.WRITE,
+                    [pos],
+                    arr,
+                    offset === 0
+                        ? `Output frame full: write it to disk as one block - ${value} to position ${pos}`
+                        : `... ${value} to position ${pos}`,
+                    false,
+                    { value, lane: lane(group.length) }
+                ));
+                arr[pos] = value;
+                pos++;
+            });
+            output.length = 0;
+        };
+
+        group.forEach((run, r) => readBlock(r));
+
+        this.steps.push(this.createStep(
+            StepType.MERGE,
+            [start, end],
+            arr,
+            group.length === 1
+                ? `Run ${this.formatRange(start, end)} has no partner: copy it through memory (it still costs a read and a write per block)`
+                : `Merge ${group.length} runs ${group.map(([s, e]) => this.formatRange(s, e)).join(', ')}: read the first block of each`,
+            false,
+            { lane: lane(-1) }
+        ));
+
+        while (frames.some(frame => frame.length > 0)) {
+            // Smallest head among the input frames
+            let min = -1;
+            frames.forEach((frame, r) => {
+                if (frame.length === 0) return;
+                if (min !== -1) this.comparisons++;
+                if (min === -1 || frame[0] < frames[min][0]) min = r;
+            });
+
+            const value = frames[min].shift();
+            output.push(value);
+
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                [],
+                arr,
+                `Smallest head is ${value}: move it to the output frame`,
+                false,
+                { lane: lane(min) }
+            ));
+
+            if (output.length === B) {
+                flush();
+            }
+
+            // Refill an empty input frame with the run's next block
+            if (frames[min].length === 0 && next[min] <= group[min][1]) {
+                readBlock(min);
+                this.steps.push(this.createStep(
+                    StepType.SELECT,
+                    [],
+                    arr,
+                    `Input frame ${min + 1} is empty: read the next block of its run (1 read)`,
+                    false,
+                    { lane: lane(min) }
+                ));
+            }
+        }
+
+        if (output.length > 0) {
+            flush();
+        }
+
+        this.steps.push(this.createStep(
+            StepType.RUN,
+            [start, end],
+            arr,
+            `${this.formatRange(start, end)} is now one sorted run`,
+            false,
+            { lane: this.memoryLane([], -1) }
+        ));
+    }
+
+    /**
+     * Number of disk blocks overlapping positions start..end
+     * @param {number} start - First position
+     * @param {number} end - Last position
+     * @returns {number} Block count
+     */
+    blockCount(start, end) {
+        return Math.floor(end / this.blockSize) - Math.floor(start / this.blockSize) + 1;
+    }
+
+    /**
+     * Split a memory load into block-sized frames
+     * @param {number[]} values - Elements in memory
+     * @returns {number[][]} Frames
+     */
+    toFrames(values) {
+        const frames = [];
+        for (let i = 0; i < values.length; i += this.blockSize) {
+            frames.push(values.slice(i, i + this.blockSize));
+        }
+        return frames;
+    }
+
+    /**
+     * Memory frames as a lane, padded to M / B frames
+     * @param {number[][]} frames - Contents of the frames in use
+     * @param {number} active - Frame to highlight
+     * @param {number} inputs - Number of input frames during a merge (the next one is the output frame)
+     * @returns {Object} Lane for the renderer
+     */
+    memoryLane(frames, active, inputs = null) {
+        const count = this.options.memory / this.blockSize;
+        const labels = Array.from({ length: count }, (_, f) => {
+            if (inputs === null) return `frame ${f + 1}`;
+            if (f < inputs) return `in ${f + 1}`;
+            return f === inputs ? 'out' : 'free';
+        });
+
+        return {
+            labels,
+            contents: labels.map((label, f) => (frames[f] ? [...frames[f]] : [])),
+            active,
+            rows: true
+        };
+    }
+
+    /**
+     * Run outlines for the renderer
+     * @param {number[][]} runs - [start, end] of each run
+     * @returns {Array[]} [start, end, label] triples
+     */
+    runOutlines(runs) {
+        return runs.map(([start, end], r) => [start, end, `run ${r + 1}`]);
+    }
+
+    /**
+     * I/O counts for the demo screen; comparisons are only counted while merging
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            { label: 'Block reads', value: this.reads },
+            { label: 'Block writes', value: this.writes },
+            { label: 'Total I/Os', value: this.reads + this.writes },
+            { label: 'Initial runs', value: this.initialRuns },
+            { label: 'Merge passes', value: this.passes },
+            { label: 'Merge comparisons', value: this.comparisons }
+        ];
+    }
+
+    getExplanation() {
+        return `
+**External Merge Sort** sorts data that does not fit in memory. The data sits on disk in **blocks** of B elements, memory holds M elements, and the cost that matters is the number of blocks read and written.
+
+### How It Works:
+1. **Run generation (pass 0)**: read M elements, sort them in memory, write them back as a sorted run. This gives ⌈N / M⌉ runs
+2. **Merge passes**: memory has M / B frames. Use one frame per input run and one for output, so F = M / B − 1 runs are merged at once
+3. Move the smallest head to the output frame; write the output frame when it is full; read a run's next block when its frame is empty
+4. Each pass reads and writes every block once, and divides the number of runs by F
+5. Repeat until one run is left
+
+### Counting I/O:
+- With N blocks, each pass costs **2N** I/Os
+- Number of passes: 1 + ⌈log_F(number of runs)⌉
+- Total: **2N · (1 + ⌈log_F(N / M)⌉)** block transfers
+- Try the memory options: a bigger M means fewer, longer runs and a higher fan-in, so fewer passes
+
+### Why Passes Matter More Than Comparisons:
+- A block transfer costs thousands to millions of times as much as a comparison in memory
+- Comparisons happen in memory, between I/Os, and are effectively free
+- Saving one pass over the data saves 2N I/Os - far more than any comparison count
+- That is why databases maximize fan-in instead of using 2-way merges
+
+### Key Characteristics:
+- **Stable**: Merges prefer the earlier run on ties
+- **Sequential I/O**: Runs are read and written front to back
+- **Not In-place**: Each pass writes a new file (the bars show the file being written)
+
+### When to Use:
+- Sorting tables larger than memory (ORDER BY, sort-merge join, index builds)
+- Sorting huge log files
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure externalSort(file, M, B)
+    F := M / B - 1                        // Input frames per merge
+    runs := empty list
+    while file has unread blocks do       // Pass 0
+        memory := read next M elements
+        mergeSortInPlace(memory)
+        append write(memory) to runs
+    end while
+
+    while length(runs) > 1 do             // One merge pass
+        next := empty list
+        for each group of F runs do
+            read the first block of each run into its frame
+            while some frame is not empty do
+                move the smallest head to the output frame
+                if output frame is full then write it
+                if a frame is empty then read its run's next block
+            end while
+            write the rest of the output frame
+            append the merged run to next
+        end for
+        runs := next
+    end while
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [50, 20, 80, 10, 70, 30, 60, 40], action: 'Disk: 4 blocks of 2. Memory: M = 6 elements, 3 frames', highlight: [] },
+            { array: [10, 20, 30, 50, 70, 80, 60, 40], action: 'Pass 0: read 3 blocks, sort in memory, write run 1 (3 reads, 3 writes)', highlight: [0, 1, 2, 3, 4, 5] },
+            { array: [10, 20, 30, 50, 70, 80, 40, 60], action: 'Read, sort and write run 2 (1 read, 1 write)', highlight: [6, 7] },
+            { array: [10, 20, 30, 50, 70, 80, 40, 60], action: 'Pass 1: input frames hold [10, 20] and [40, 60]; output 10, 20 and write the block', highlight: [0, 1] },
+            { array: [10, 20, 30, 40, 50, 60, 70, 80], action: 'Refill input frames block by block until both runs are used up', highlight: [2, 3, 4, 5, 6, 7] },
+            { array: [10, 20, 30, 40, 50, 60, 70, 80], action: 'Sorted in 2 passes: 8 reads + 8 writes = 16 I/Os', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6, 7] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExternalMergeSort };
+}
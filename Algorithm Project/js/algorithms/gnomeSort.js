@@ -0,0 +1,167 @@
+/**
+ * Gnome Sort Algorithm with Step Tracking
+ * Time Complexity: O(n²) average/worst, O(n) best
+ * Space Complexity: O(1)
+ *
+ * A garden gnome sorting flower pots: step forward while the two pots are in order,
+ * otherwise swap them and step back. Like insertion sort, but with a single loop.
+ */
+class GnomeSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Gnome Sort',
+            { best: 'O(n)', average: 'O(n²)', worst: 'O(n²)' },
+            'O(1)'
+        );
+    }
+
+    /**
+     * Generate all steps for gnome sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        let pos = 1;
+
+        while (pos < n) {
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [pos - 1, pos],
+                arr,
+                `Gnome at position ${pos}: comparing ${arr[pos - 1]} and ${arr[pos]}`,
+                false
+            ));
+
+            if (arr[pos - 1] <= arr[pos]) {
+                // In order: step forward
+                pos++;
+                continue;
+            }
+
+            this.steps.push(this.createStep(
+                StepType.SWAP,
+                [pos - 1, pos],
+                arr,
+                `Swap ${arr[pos - 1]} and ${arr[pos]} because ${arr[pos - 1]} > ${arr[pos]}, then step back`,
+                true  // User must perform this swap
+            ));
+
+            [arr[pos - 1], arr[pos]] = [arr[pos], arr[pos - 1]];
+
+            // Out of order: step back (but never past the start)
+            pos = Math.max(1, pos - 1);
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Validate if user's swap is correct for gnome sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: 'Correct! The gnome swaps and steps back.' };
+        }
+
+        return {
+            valid: false,
+            message: `Incorrect. In Gnome Sort, swap the pair where the gnome stands; the gnome only moves one position at a time.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Gnome Sort** (stupid sort) is the simplest sort there is: a single loop with one position pointer that walks forward and backward.
+
+### How It Works:
+1. Stand at position 1
+2. If the element behind you is not larger, step forward
+3. Otherwise, swap the two elements and step back
+4. When you walk off the end of the array, it is sorted
+
+### Relation to Insertion Sort:
+- Walking back with swaps carries an element left until it fits - exactly an insertion
+- Insertion sort then jumps straight back to where it left off
+- The gnome has no memory, so it walks forward again one position at a time, repeating comparisons
+
+### Key Characteristics:
+- **Stable**: Equal elements maintain their relative order
+- **In-place**: Only requires O(1) extra space
+- **Adaptive**: O(n) on already-sorted data
+- Same number of swaps as insertion sort, but more comparisons
+
+### When to Use:
+- Teaching: the whole algorithm fits in one while loop
+- Tiny arrays where code size matters more than speed
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure gnomeSort(A: list of sortable items)
+    pos := 1
+    while pos < length(A) do
+        if A[pos - 1] <= A[pos] then
+            pos := pos + 1                // In order: step forward
+        else
+            swap(A[pos - 1], A[pos])      // Out of order: swap and step back
+            if pos > 1 then
+                pos := pos - 1
+            end if
+        end if
+    end while
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [3, 5, 2, 4, 1], action: 'Initial array, gnome at position 1', highlight: [] },
+            { array: [3, 5, 2, 4, 1], action: '3 ≤ 5: step forward', highlight: [0, 1] },
+            { array: [3, 2, 5, 4, 1], action: '5 > 2: swap and step back', highlight: [1, 2] },
+            { array: [2, 3, 5, 4, 1], action: '3 > 2: swap and step back', highlight: [0, 1] },
+            { array: [2, 3, 5, 4, 1], action: 'Walk forward again: 2 ≤ 3, 3 ≤ 5', highlight: [1, 2] },
+            { array: [2, 3, 4, 5, 1], action: '5 > 4: swap, step back, 3 ≤ 4', highlight: [2, 3] },
+            { array: [1, 2, 3, 4, 5], action: '1 is swapped all the way to the front - sorted', highlight: [], sorted: [0, 1, 2, 3, 4] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GnomeSort };
+}
@@ -5,6 +5,9 @@
  * 
  * Uses a binary heap data structure to sort elements.
  * First builds a max-heap, then repeatedly extracts the maximum.
+ * Options switch to a 3- or 4-ary heap, to a min-heap stored right to left
+ * (its root is the last cell, so extracted minimums fill the front), and to
+ * Floyd's bottom-up sift-down, which finds the leaf first and climbs back.
  */
 class HeapSort extends SortingAlgorithm {
     constructor() {
@@ -13,6 +16,53 @@ class HeapSort extends SortingAlgorithm {
             { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)' },
             'O(1)'
         );
+        this.options = { arity: 2, heapOrder: 'max', sift: 'topDown' };
+        this.input = [];
+    }
+
+    getOptions() {
+        return [
+            {
+                key: 'arity',
+                label: 'Heap Arity',
+                choices: [
+                    { value: 2, label: 'Binary' },
+                    { value: 3, label: 'Ternary' },
+                    { value: 4, label: '4-ary' }
+                ]
+            },
+            {
+                key: 'heapOrder',
+                label: 'Heap Order',
+                choices: [
+                    { value: 'max', label: 'Max-Heap' },
+                    { value: 'min', label: 'Min-Heap' }
+                ]
+            },
+            {
+                key: 'sift',
+                label: 'Sift-Down',
+                choices: [
+                    { value: 'topDown', label: 'Top-Down' },
+                    { value: 'bottomUp', label: 'Bottom-Up (Floyd)' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Heap layout of the current variant, in the form heapSiftDown takes
+     * A min-heap is stored mirrored: heap position p lives at array index n - 1 - p.
+     * @param {number} n - Array length
+     * @returns {Object} {base, direction, arity, order: {above, child, label}}
+     */
+    getHeapShape(n) {
+        const arity = this.options.arity;
+
+        if (this.options.heapOrder === 'min') {
+            return { base: n - 1, direction: -1, arity, order: { above: (a, b) => a < b, child: 'smaller', label: 'min' } };
+        }
+        return { base: 0, direction: 1, arity, order: { above: (a, b) => a > b, child: 'larger', label: 'max' } };
     }
 
     /**
@@ -24,19 +74,28 @@ class HeapSort extends SortingAlgorithm {
         this.reset();
         const arr = [...inputArray];
         const n = arr.length;
+        const layout = this.getHeapShape(n);
+        const { base, direction, arity: d } = layout;
+        const slot = p => base + direction * p;
+        this.input = [...inputArray];
 
-        // Build max heap
+        if (n === 0) {
+            return this.steps;
+        }
+
+        // Build the heap (max or min, per the heapOrder option)
         this.steps.push(this.createStep(
             StepType.DIVIDE,
             [],
             arr,
-            'Building max heap from array',
+            `Building ${d === 2 ? 'binary' : `${d}-ary`} ${layout.order.label} heap from array` +
+            (direction < 0 ? ' - stored right to left, so the root is the last element' : ''),
             false
         ));
 
         // Build heap (rearrange array)
-        for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
-            this.heapify(arr, n, i);
+        for (let i = Math.floor((n - 2) / d); i >= 0; i--) {
+            this.siftDown(arr, n, i, layout);
         }
 
         // Extract elements from heap one by one
@@ -44,97 +103,216 @@ class HeapSort extends SortingAlgorithm {
             // Move current root to end
             this.steps.push(this.createStep(
                 StepType.SWAP,
-                [0, i],
+                [slot(0), slot(i)],
                 arr,
-                `Swap root ${arr[0]} with last unsorted element ${arr[i]}`,
+                `Swap root ${arr[slot(0)]} with last unsorted element ${arr[slot(i)]}`,
                 true
             ));
 
-            [arr[0], arr[i]] = [arr[i], arr[0]];
+            [arr[slot(0)], arr[slot(i)]] = [arr[slot(i)], arr[slot(0)]];
 
             // Mark as sorted
             this.steps.push(this.createStep(
                 StepType.SORTED,
-                [i],
+                [slot(i)],
                 arr,
-                `${arr[i]} is now in its final position`,
+                `${arr[slot(i)]} is now in its final position`,
                 false
             ));
 
             // Heapify the reduced heap
-            this.heapify(arr, i, 0);
+            this.siftDown(arr, i, 0, layout);
         }
 
         // Mark first element as sorted
         this.steps.push(this.createStep(
             StepType.SORTED,
-            [0],
+            [slot(0)],
             arr,
-            `${arr[0]} is in its final position. Array is sorted!`,
+            `${arr[slot(0)]} is in its final position. Array is sorted!`,
             false
         ));
 
+        this.attachTrees(n, d, slot);
+
         return this.steps;
     }
 
     /**
-     * Heapify a subtree rooted at index i
-     * @param {number[]} arr - Array to heapify
-     * @param {number} n - Size of heap
-     * @param {number} i - Root index of subtree
+     * Give every step the heap as a tree for the tree panel
+     * Node ids are array indices, so compares and swaps highlight the same ids in
+     * both views; each sorted element detaches from the tree at its SORTED step.
+     * @param {number} n - Array length
+     * @param {number} arity - Children per node
+     * @param {Function} slot - Heap position → array index
      */
-    heapify(arr, n, i) {
-        let largest = i;
-        const left = 2 * i + 1;
-        const right = 2 * i + 2;
+    attachTrees(n, arity, slot) {
+        let size = n;
+        const detached = [];
+
+        this.steps.forEach(step => {
+            if (step.type === StepType.SORTED) {
+                size--;
+                detached.push(step.indices[0]);
+            }
 
-        // Compare with left child
-        if (left < n) {
-            this.steps.push(this.createStep(
-                StepType.COMPARE,
-                [largest, left],
-                arr,
-                `Comparing ${arr[largest]} with left child ${arr[left]}`,
-                false
-            ));
+            const children = p => Array.from({ length: arity }, (_, k) => arity * p + 1 + k)
+                .filter(c => c < size)
+                .map(slot);
+
+            const nodes = step.arrayState.map(value => (arity === 2
+                ? { value, left: null, right: null }
+                : { value, children: [] }));
+
+            for (let p = 0; p < size; p++) {
+                const node = nodes[slot(p)];
+                if (arity === 2) {
+                    const [left = null, right = null] = children(p);
+                    node.left = left;
+                    node.right = right;
+                } else {
+                    node.children = children(p);
+                }
+            }
 
-            if (arr[left] > arr[largest]) {
-                largest = left;
+            step.tree = {
+                nodes,
+                root: size > 0 ? slot(0) : null,
+                active: null,
+                path: [],
+                visited: [],
+                comparing: step.type === StepType.COMPARE ? [...step.indices] : [],
+                swapping: step.type === StepType.SWAP ? [...step.indices] : [],
+                detached: [...detached].sort((a, b) => a - b)
+            };
+        });
+    }
+
+    /**
+     * Sift-down with the variant chosen in the options
+     * @param {number[]} arr - Array being sorted
+     * @param {number} n - Size of heap
+     * @param {number} i - Heap position to sift down from
+     * @param {Object} layout - Heap layout from getHeapShape
+     */
+    siftDown(arr, n, i, layout) {
+        if (this.options.sift === 'bottomUp') {
+            this.siftDownBottomUp(arr, n, i, layout);
+        } else {
+            heapSiftDown(arr, n, i, layout, this.recorder(arr, [StepType.SWAP]));
+        }
+    }
+
+    /**
+     * Floyd's bottom-up sift-down
+     * Follows the best child down to a leaf without looking at the sifted value
+     * (arity - 1 comparisons per level), climbs back up to where that value belongs,
+     * then swaps it down along the path. The value usually belongs near the bottom,
+     * so the climb is short.
+     * @param {number[]} arr - Array being sorted
+     * @param {number} n - Size of heap
+     * @param {number} i - Heap position to sift down from
+     * @param {Object} layout - Heap layout from getHeapShape
+     */
+    siftDownBottomUp(arr, n, i, layout) {
+        const { base, direction, arity, order } = layout;
+        const at = p => base + direction * p;
+        const value = arr[at(i)];
+
+        // Leaf search: the path of best children
+        const path = [i];
+        let node = i;
+        while (arity * node + 1 < n) {
+            let best = arity * node + 1;
+
+            for (let child = best + 1; child <= arity * node + arity && child < n; child++) {
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [at(best), at(child)],
+                    arr,
+                    `Leaf search below ${value}: comparing children ${arr[at(best)]} and ${arr[at(child)]}`,
+                    false
+                ));
+
+                if (order.above(arr[at(child)], arr[at(best)])) {
+                    best = child;
+                }
             }
+
+            path.push(best);
+            node = best;
         }
 
-        // Compare with right child
-        if (right < n) {
+        // Climb back up while the sifted value still belongs above the path
+        let depth = path.length - 1;
+        while (depth > 0) {
+            const target = at(path[depth]);
+
             this.steps.push(this.createStep(
                 StepType.COMPARE,
-                [largest, right],
+                [at(i), target],
                 arr,
-                `Comparing ${arr[largest]} with right child ${arr[right]}`,
+                `Climb: does ${value} belong above ${arr[target]}?`,
                 false
             ));
 
-            if (arr[right] > arr[largest]) {
-                largest = right;
+            if (!order.above(value, arr[target])) {
+                break;
             }
+            depth--;
         }
 
-        // If largest is not root, swap and continue heapifying
-        if (largest !== i) {
+        // Swap the value down to the position found
+        for (let k = 1; k <= depth; k++) {
+            const parent = at(path[k - 1]);
+            const child = at(path[k]);
+
             this.steps.push(this.createStep(
                 StepType.SWAP,
-                [i, largest],
+                [parent, child],
                 arr,
-                `Swap ${arr[i]} with larger child ${arr[largest]} to maintain heap property`,
+                `Swap ${arr[parent]} with ${order.child} child ${arr[child]}: ${value} moves down to depth ${k} of ${depth}`,
                 true
             ));
 
-            [arr[i], arr[largest]] = [arr[largest], arr[i]];
-
-            // Recursively heapify the affected subtree
-            this.heapify(arr, n, largest);
+            [arr[parent], arr[child]] = [arr[child], arr[parent]];
         }
     }
 
+    /**
+     * Comparison counts of every arity and sift-down on the last input, in the current heap order
+     * @returns {Object[]} {arity, topDown, bottomUp} per arity
+     */
+    compareVariants() {
+        const count = (arity, sift) => {
+            const tracer = new HeapSort();
+            tracer.options = { ...this.options, arity, sift };
+            return tracer.generateSteps(this.input).filter(s => s.type === 'compare').length;
+        };
+
+        return [2, 3, 4].map(arity => ({
+            arity,
+            topDown: count(arity, 'topDown'),
+            bottomUp: count(arity, 'bottomUp')
+        }));
+    }
+
+    /**
+     * Counts for the demo screen, with every variant's comparisons side by side
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        const names = { 2: 'Binary', 3: 'Ternary', 4: '4-ary' };
+
+        return [
+            ...super.getStats(),
+            ...this.compareVariants().map(row => ({
+                label: `${names[row.arity]} ${this.options.heapOrder}-heap: top-down / bottom-up`,
+                value: `${row.topDown} / ${row.bottomUp}`
+            }))
+        ];
+    }
+
     /**
      * Validate if user's swap is correct for heap sort
      */
@@ -162,23 +340,35 @@ class HeapSort extends SortingAlgorithm {
 
         return {
             valid: false,
-            message: `Incorrect. In Heap Sort, swap to maintain the max-heap property.`
+            message: `Incorrect. In Heap Sort, swap to maintain the ${this.options.heapOrder}-heap property.`
         };
     }
 
     getExplanation() {
+        const min = this.options.heapOrder === 'min';
+
         return `
 **Heap Sort** uses a binary heap data structure to sort elements. It's an in-place algorithm with guaranteed O(n log n) performance.
 
 ### How It Works:
-1. **Build Max Heap**: Convert the array into a max-heap where each parent is larger than its children
-2. **Extract Maximum**: Repeatedly swap the root (maximum) with the last element and reduce heap size
+${min
+        ? `1. **Build Min Heap**: Convert the array into a min-heap where each parent is smaller than its children, stored right to left so the root is the last element
+2. **Extract Minimum**: Repeatedly swap the root (minimum) with the heap's last position - the leftmost cell still in the heap - and reduce heap size`
+        : `1. **Build Max Heap**: Convert the array into a max-heap where each parent is larger than its children
+2. **Extract Maximum**: Repeatedly swap the root (maximum) with the last element and reduce heap size`}
 3. **Heapify**: After each extraction, restore the heap property
 
 ### Binary Heap Properties:
 - Complete binary tree stored in an array
-- For index i: left child = 2i+1, right child = 2i+2, parent = (i-1)/2
-- Max-heap: parent ≥ children
+- For position i: left child = 2i+1, right child = 2i+2, parent = (i-1)/2${min ? ' - position i is array index n-1-i' : ''}
+- ${min ? 'Min-heap: parent ≤ children' : 'Max-heap: parent ≥ children'}
+- The tree panel draws the array as this tree: compares and swaps light up in both views, and each sorted element drops out of the tree into the row below
+
+### Heap Variants:
+- **d-ary heap**: node i has children d·i+1 … d·i+d. A 3- or 4-ary heap is flatter (log_d n levels) but each sift-down level compares d children instead of 2
+- **Min-heap**: parent ≤ children. Stored right to left - the root is the last cell - so each extracted minimum lands at the front and the array still ends up ascending
+- **Bottom-up sift-down (Floyd)**: first follow the better child all the way to a leaf (d - 1 comparisons per level, none with the sifted value), then climb back up to where the value belongs. After an extraction the new root comes from the bottom, so the climb is short: close to n log₂ n comparisons instead of 2n log₂ n for a binary heap
+- The stats count the comparisons of every arity, top-down and bottom-up, on the same input
 
 ### Key Characteristics:
 - **Not Stable**: May change relative order of equal elements
@@ -194,6 +384,61 @@ class HeapSort extends SortingAlgorithm {
     }
 
     getPseudocode() {
+        if (this.options.heapOrder === 'min') {
+            return `
+procedure heapSort(A)
+    n := length(A)
+    H := A read right to left     // H[p] is A[n - 1 - p]
+    
+    // Build min heap
+    for i := n/2 - 1 down to 0 do
+        heapify(H, n, i)
+    end for
+    
+    // Extract elements from heap
+    for i := n - 1 down to 1 do
+        swap(H[0], H[i])      // Move root (minimum) to the front of A
+        heapify(H, i, 0)      // Heapify reduced heap
+    end for
+end procedure
+
+procedure heapify(H, n, i)
+    smallest := i
+    left := 2*i + 1
+    right := 2*i + 2
+    
+    if left < n and H[left] < H[smallest] then
+        smallest := left
+    end if
+    
+    if right < n and H[right] < H[smallest] then
+        smallest := right
+    end if
+    
+    if smallest ≠ i then
+        swap(H[i], H[smallest])
+        heapify(H, n, smallest)
+    end if
+end procedure
+
+// d-ary heap: children of i are d*i + 1 ... d*i + d, the last parent is (n - 2) / d
+// Max-heap: use > instead of < and store the heap left to right (H = A)
+
+procedure bottomUpSiftDown(H, n, i)       // Floyd
+    x := H[i]
+    path := [i]; j := i
+    while j has a child do                // Leaf search: d - 1 comparisons per level
+        j := smaller child of j
+        append j to path
+    end while
+    while j ≠ i and x < H[j] do           // Climb back up
+        j := parent(j)
+    end while
+    swap x down along path until it reaches j
+end procedure
+            `.trim();
+        }
+
         return `
 procedure heapSort(A)
     n := length(A)
@@ -228,10 +473,30 @@ procedure heapify(A, n, i)
         heapify(A, n, largest)
     end if
 end procedure
+
+// d-ary heap: children of i are d*i + 1 ... d*i + d, the last parent is (n - 2) / d
+// Min-heap: use < instead of >; position p is stored at A[n - 1 - p]
+
+procedure bottomUpSiftDown(A, n, i)       // Floyd
+    x := A[i]
+    path := [i]; j := i
+    while j has a child do                // Leaf search: d - 1 comparisons per level
+        j := larger child of j
+        append j to path
+    end while
+    while j ≠ i and x > A[j] do           // Climb back up
+        j := parent(j)
+    end while
+    swap x down along path until it reaches j
+end procedure
         `.trim();
     }
 
     getExampleWalkthrough() {
+        if (this.options.arity !== 2 || this.options.heapOrder !== 'max' || this.options.sift !== 'topDown') {
+            return this.traceWalkthrough([4, 10, 3, 5, 1]);
+        }
+
         return [
             { array: [4, 10, 3, 5, 1], action: 'Initial array', highlight: [], sorted: [] },
             { array: [4, 10, 3, 5, 1], action: 'Build max heap starting from last non-leaf', highlight: [1, 3, 4] },
@@ -243,6 +508,39 @@ end procedure
             { array: [1, 3, 4, 5, 10], action: 'Final sorted array', highlight: [], sorted: [0, 1, 2, 3, 4] }
         ];
     }
+
+    /**
+     * Build a walkthrough for the current variant by running it on an example
+     * @param {number[]} example - Array to trace
+     * @returns {Object[]} Walkthrough entries: the built heap and the first extractions, then the result
+     */
+    traceWalkthrough(example) {
+        const tracer = new HeapSort();
+        tracer.options = { ...this.options };
+        const steps = tracer.generateSteps(example);
+        const d = this.options.arity;
+        const built = steps.findIndex((step, k) => step.type === StepType.SWAP && steps[k + 1].type === StepType.SORTED);
+        const comparisons = steps.slice(0, built).filter(step => step.type === StepType.COMPARE).length;
+
+        const walkthrough = [
+            { array: [...example], action: `Initial array: ${steps[0].description}`, highlight: [] },
+            { array: [...steps[built].arrayState], action: `Heap built with ${comparisons} comparisons`, highlight: [steps[built].indices[0]] }
+        ];
+
+        const sorted = [];
+        steps.forEach((step, k) => {
+            if (step.type === StepType.SORTED && k > built) {
+                sorted.push(step.indices[0]);
+                walkthrough.push({ array: [...step.arrayState], action: step.description, highlight: [], sorted: [...sorted] });
+            }
+        });
+
+        const result = [...example].sort((a, b) => a - b);
+        return [
+            ...walkthrough.slice(0, 5),
+            { array: result, action: `Final sorted array (${d === 2 ? 'binary' : `${d}-ary`} ${this.options.heapOrder}-heap)`, highlight: [], sorted: result.map((_, i) => i) }
+        ];
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,312 @@
+/**
+ * In-Place Merge Sort (SymMerge) with Step Tracking
+ * Time Complexity: O(n log² n) element moves, O(n log n) comparisons
+ * Space Complexity: O(log n) for the call stack - no merge buffer
+ *
+ * Stable merge sort that merges two sorted neighbours without a temporary
+ * array: SymMerge (Kim and Kutzner) binary-searches a split point, rotates
+ * the two middle blocks into place and recurses on both sides. Rotations are
+ * recorded as single steps so the renderer can slide the blocks past each other.
+ */
+class InPlaceMergeSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'In-Place Merge Sort (Rotations)',
+            { best: 'O(n log² n)', average: 'O(n log² n)', worst: 'O(n log² n)' },
+            'O(log n)'
+        );
+        this.rotations = 0;
+        this.rotatedElements = 0;
+        this.bufferWrites = 0;
+    }
+
+    /**
+     * Rotations move whole blocks rather than swapping pairs, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Generate all steps for in-place merge sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        this.rotations = 0;
+        this.rotatedElements = 0;
+        this.bufferWrites = 0;
+
+        this.sortRange(arr, 0, n);
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Array is completely sorted`,
+                false,
+                i === 0 ? { runs: [] } : {}
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Recursive merge sort on the half-open range arr[a..b)
+     * @param {number[]} arr - Array being sorted
+     * @param {number} a - First index
+     * @param {number} b - One past the last index
+     */
+    sortRange(arr, a, b) {
+        if (b - a < 2) {
+            return;
+        }
+
+        const m = a + Math.floor((b - a) / 2);
+        this.sortRange(arr, a, m);
+        this.sortRange(arr, m, b);
+
+        // A buffer merge would write every element of the range once
+        this.bufferWrites += b - a;
+
+        this.steps.push(this.createStep(
+            StepType.MERGE,
+            [a, b - 1],
+            arr,
+            `Merge ${this.formatRange(a, m - 1)} and ${this.formatRange(m, b - 1)} in place - no temporary array`,
+            false,
+            { runs: [[a, m - 1, 'left'], [m, b - 1, 'right']] }
+        ));
+
+        this.symMerge(arr, a, m, b);
+    }
+
+    /**
+     * SymMerge: merge the sorted neighbours arr[a..m) and arr[m..b) in place
+     * Finds the largest start such that arr[start..m) and arr[m..end) can swap places
+     * symmetrically around the middle of the range, rotates them, and recurses.
+     * @param {number[]} arr - Array being sorted
+     * @param {number} a - Start of the left block
+     * @param {number} m - Start of the right block
+     * @param {number} b - One past the end of the right block
+     */
+    symMerge(arr, a, m, b) {
+        // One element on the left: binary search its place in the right block
+        if (m - a === 1) {
+            let i = m;
+            let j = b;
+            while (i < j) {
+                const h = i + Math.floor((j - i) / 2);
+                this.pushCompare(arr, h, a, `Place ${arr[a]}: compare with ${arr[h]} at ${h}`);
+                if (arr[h] < arr[a]) {
+                    i = h + 1;
+                } else {
+                    j = h;
+                }
+            }
+            this.rotate(arr, a, m, i, `${arr[a]} belongs before index ${i}`);
+            return;
+        }
+
+        // One element on the right: binary search its place in the left block
+        if (b - m === 1) {
+            let i = a;
+            let j = m;
+            while (i < j) {
+                const h = i + Math.floor((j - i) / 2);
+                this.pushCompare(arr, m, h, `Place ${arr[m]}: compare with ${arr[h]} at ${h}`);
+                if (!(arr[m] < arr[h])) {
+                    i = h + 1;
+                } else {
+                    j = h;
+                }
+            }
+            this.rotate(arr, i, m, b, `${arr[m]} belongs at index ${i}`);
+            return;
+        }
+
+        // Binary search for the split that mirrors around mid: arr[start..m) moves right of arr[m..end)
+        const mid = a + Math.floor((b - a) / 2);
+        const n = mid + m;
+        let start = m > mid ? n - b : a;
+        let r = m > mid ? mid : m;
+        const p = n - 1;
+
+        while (start < r) {
+            const c = start + Math.floor((r - start) / 2);
+            this.pushCompare(arr, p - c, c, `Find the split: compare ${arr[c]} at ${c} with its mirror ${arr[p - c]} at ${p - c}`);
+            if (!(arr[p - c] < arr[c])) {
+                start = c + 1;
+            } else {
+                r = c;
+            }
+        }
+
+        const end = n - start;
+        this.rotate(arr, start, m, end, `${this.formatRange(start, m - 1)} belongs right of the middle and ${this.formatRange(m, end - 1)} left of it`);
+
+        if (a < start && start < mid) {
+            this.symMerge(arr, a, start, mid);
+        }
+        if (mid < end && end < b) {
+            this.symMerge(arr, mid, end, b);
+        }
+    }
+
+    /**
+     * Record a comparison made by a binary search
+     * @param {number[]} arr - Array being sorted
+     * @param {number} i - First index compared
+     * @param {number} j - Second index compared
+     * @param {string} description - Step description
+     */
+    pushCompare(arr, i, j, description) {
+        this.steps.push(this.createStep(
+            StepType.COMPARE,
+            [i, j],
+            arr,
+            description,
+            false
+        ));
+    }
+
+    /**
+     * Rotate arr[start..end) so the block arr[m..end) comes before arr[start..m)
+     * Both blocks keep their internal order, which keeps the merge stable.
+     * @param {number[]} arr - Array being sorted
+     * @param {number} start - Start of the left block
+     * @param {number} m - Start of the right block
+     * @param {number} end - One past the end of the right block
+     * @param {string} reason - Why the blocks trade places, for the description
+     */
+    rotate(arr, start, m, end, reason) {
+        if (start >= m || m >= end) {
+            return;
+        }
+
+        this.rotations++;
+        this.rotatedElements += end - start;
+
+        this.steps.push(this.createStep(
+            StepType.ROTATE,
+            [start, m, end - 1],
+            arr,
+            `Rotate: ${reason}, so [${arr.slice(start, m).join(', ')}] and [${arr.slice(m, end).join(', ')}] trade places ` +
+            `(${end - start} elements move)`,
+            false
+        ));
+
+        const rotated = [...arr.slice(m, end), ...arr.slice(start, m)];
+        arr.splice(start, end - start, ...rotated);
+    }
+
+    /**
+     * Counts for the demo screen: element moves against a buffered merge
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            { label: 'Comparisons', value: this.steps.filter(s => s.type === 'compare').length },
+            { label: 'Rotations', value: this.rotations },
+            { label: 'Elements moved by rotations', value: this.rotatedElements },
+            { label: 'Writes with a buffer (Merge Sort)', value: this.bufferWrites }
+        ];
+    }
+
+    getExplanation() {
+        return `
+**In-Place Merge Sort** merges two sorted halves without a temporary array. Instead of copying elements out, it **rotates** blocks of the array: two neighbouring blocks trade places while each keeps its internal order.
+
+### How It Works (SymMerge):
+1. Sort both halves recursively, as in ordinary merge sort
+2. To merge A = [a..m) and B = [m..b), binary search for a split: a tail of A that is larger than a head of B, placed symmetrically around the middle of the range
+3. **Rotate** the tail of A past the head of B - both blocks slide, nothing is lost
+4. Now the left part and the right part of the range can be merged independently: recurse on both
+5. A single element is placed by binary search plus one rotation
+
+### Rotations:
+- Rotating a block of length L costs about L element moves (three reversals, or block swaps)
+- The demo shows each rotation as one step: the two blocks slide past each other
+
+### The Cost of Being In-Place:
+- A buffered merge writes each element once per level: about n log₂ n writes in total
+- SymMerge still uses O(n log n) comparisons, but rotations move elements **O(log n) times per level**: O(n log² n) moves
+- The stats compare rotated elements against the writes a buffered merge would make
+- Linear-time stable in-place merges exist (block merge sort, e.g. WikiSort or GrailSort) but are far more complex
+
+### Key Characteristics:
+- **Stable**: Rotations preserve the order inside each block, and the searches keep equal elements in order
+- **In-place**: Only the O(log n) recursion stack
+- **Slower**: More element moves than merge sort with a buffer
+
+### When to Use:
+- Stable sorting when no extra memory can be allocated (Go's sort.Stable and C++ std::inplace_merge without a buffer use this approach)
+- As a fallback when a buffer allocation fails
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure mergeSort(A, a, b)              // Sorts A[a..b)
+    if b - a < 2 then return
+    m := a + (b - a) / 2
+    mergeSort(A, a, m)
+    mergeSort(A, m, b)
+    symMerge(A, a, m, b)
+end procedure
+
+procedure symMerge(A, a, m, b)            // Merges A[a..m) and A[m..b)
+    if m - a = 1 then                     // Binary insert A[a] into A[m..b)
+        i := first index in [m, b) with A[i] >= A[a]
+        rotate(A, a, m, i)
+        return
+    end if
+    if b - m = 1 then                     // Binary insert A[m] into A[a..m)
+        i := first index in [a, m) with A[i] > A[m]
+        rotate(A, i, m, b)
+        return
+    end if
+
+    mid := a + (b - a) / 2
+    n := mid + m
+    if m > mid then start := n - b; r := mid
+    else start := a; r := m
+    while start < r do                    // Binary search the split
+        c := start + (r - start) / 2
+        if not (A[n - 1 - c] < A[c]) then start := c + 1
+        else r := c
+    end while
+    end := n - start
+
+    rotate(A, start, m, end)              // A[m..end) moves before A[start..m)
+    if a < start and start < mid then symMerge(A, a, start, mid)
+    if mid < end and end < b then symMerge(A, mid, end, b)
+end procedure
+
+procedure rotate(A, start, m, end)
+    reverse(A[start..m)); reverse(A[m..end)); reverse(A[start..end))
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [27, 38, 43, 3, 9, 10], action: 'Merge sorted halves [27, 38, 43] and [3, 9, 10] in place', highlight: [] },
+            { array: [27, 38, 43, 3, 9, 10], action: 'Binary search: [27, 38, 43] must all come after [3, 9, 10]', highlight: [0, 1, 2, 3, 4, 5] },
+            { array: [3, 9, 10, 27, 38, 43], action: 'Rotate: the two blocks trade places - 6 elements move, no buffer', highlight: [0, 1, 2, 3, 4, 5] },
+            { array: [3, 9, 10, 27, 38, 43], action: 'Both sides are already merged: done with one rotation', highlight: [], sorted: [0, 1, 2, 3, 4, 5] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InPlaceMergeSort };
+}
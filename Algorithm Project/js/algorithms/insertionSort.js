@@ -34,65 +34,7 @@ class InsertionSort extends SortingAlgorithm {
             false
         ));
 
-        for (let i = 1; i < n; i++) {
-            const key = arr[i];
-            let j = i - 1;
-
-            // Mark the current element we're inserting
-            this.steps.push(this.createStep(
-                StepType.SELECT,
-                [i],
-                arr,
-                `Inserting ${key} into the sorted portion [0..${i - 1}]`,
-                false
-            ));
-
-            // Compare and shift elements
-            while (j >= 0 && arr[j] > key) {
-                // Compare with previous element
-                this.steps.push(this.createStep(
-                    StepType.COMPARE,
-                    [j, j + 1],
-                    arr,
-                    `Comparing ${arr[j]} with ${key}: ${arr[j]} > ${key}, need to shift`,
-                    false
-                ));
-
-                // Shift element (represented as swap for user interaction)
-                this.steps.push(this.createStep(
-                    StepType.SWAP,
-                    [j, j + 1],
-                    arr,
-                    `Move ${arr[j]} one position to the right (swap positions ${j} and ${j + 1})`,
-                    true  // User must perform this swap
-                ));
-
-                // Perform the shift
-                arr[j + 1] = arr[j];
-                arr[j] = key;
-                j--;
-            }
-
-            // If we didn't need to shift at all, still show the comparison
-            if (j === i - 1) {
-                this.steps.push(this.createStep(
-                    StepType.COMPARE,
-                    [j, i],
-                    arr,
-                    `Comparing ${arr[j]} with ${key}: ${arr[j]} ≤ ${key}, no shift needed`,
-                    false
-                ));
-            }
-
-            // Mark element as inserted
-            this.steps.push(this.createStep(
-                StepType.INSERT,
-                [j + 1],
-                arr,
-                `${key} is now in its correct position in the sorted portion`,
-                false
-            ));
-        }
+        insertRange(arr, 0, n - 1, this.recorder(arr, [StepType.SWAP]));
 
         // Mark all elements as sorted
         for (let i = 0; i < n; i++) {
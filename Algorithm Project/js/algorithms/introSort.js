@@ -0,0 +1,317 @@
+/**
+ * Introsort Algorithm with Step Tracking
+ * Time Complexity: O(n log n) for all cases
+ * Space Complexity: O(log n)
+ *
+ * Introspective sort: runs Quick Sort, but switches a partition to Heap Sort
+ * once the recursion gets deeper than 2·log₂(n), and finishes small partitions
+ * with Insertion Sort. Reuses the Lomuto partition from QuickSort, and the
+ * shared sift-down and range insertion that HeapSort and InsertionSort run.
+ */
+class IntroSort extends QuickSort {
+    constructor() {
+        super();
+        this.name = 'Introsort';
+        this.timeComplexity = { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)' };
+        this.spaceComplexity = 'O(log n)';
+
+        // Production libraries use 16; scaled down for the game's small arrays
+        this.insertionThreshold = 4;
+    }
+
+    getOptions() {
+        // The depth-limit demo relies on the plain last-element Lomuto partition
+        return [];
+    }
+
+    /**
+     * Generate all steps for introsort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        const depthLimit = 2 * Math.floor(Math.log2(Math.max(n, 1)));
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `Start in Quick Sort mode. Depth limit = 2·⌊log₂ ${n}⌋ = ${depthLimit}`,
+            false,
+            { mode: 'quick' }
+        ));
+
+        this.introSortRecursive(arr, 0, n - 1, depthLimit);
+
+        // Mark all as sorted at the end
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Array is completely sorted`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Recursive introsort with step tracking
+     * @param {number[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @param {number} depthLimit - Remaining recursion depth before falling back to heap sort
+     */
+    introSortRecursive(arr, low, high, depthLimit) {
+        const size = high - low + 1;
+
+        if (size <= 1) {
+            if (size === 1) {
+                this.steps.push(this.createStep(
+                    StepType.SORTED,
+                    [low],
+                    arr,
+                    `Single element ${arr[low]} is sorted`,
+                    false
+                ));
+            }
+            return;
+        }
+
+        if (size <= this.insertionThreshold) {
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [low, high],
+                arr,
+                `Mode switch → Insertion Sort: partition [${low}..${high}] has only ${size} elements`,
+                false,
+                { mode: 'insertion' }
+            ));
+            this.insertionSortRange(arr, low, high);
+            return;
+        }
+
+        if (depthLimit === 0) {
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [low, high],
+                arr,
+                `Mode switch → Heap Sort: depth limit reached on [${low}..${high}], Quick Sort is degrading`,
+                false,
+                { mode: 'heap' }
+            ));
+            this.heapSortRange(arr, low, high);
+            return;
+        }
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [low, high],
+            arr,
+            `Quick Sort subarray [${low}..${high}] (depth budget left: ${depthLimit})`,
+            false,
+            { mode: 'quick' }
+        ));
+
+        const pivotIndex = this.partition(arr, low, high);
+
+        this.steps.push(this.createStep(
+            StepType.SORTED,
+            [pivotIndex],
+            arr,
+            `Pivot ${arr[pivotIndex]} is now in its final position`,
+            false
+        ));
+
+        this.introSortRecursive(arr, low, pivotIndex - 1, depthLimit - 1);
+        this.introSortRecursive(arr, pivotIndex + 1, high, depthLimit - 1);
+    }
+
+    /**
+     * Heap sort arr[low..high] with the shared sift-down on an offset heap
+     * @param {number[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     */
+    heapSortRange(arr, low, high) {
+        const n = high - low + 1;
+        const layout = { base: low };
+        const record = this.recorder(arr, [StepType.SWAP]);
+
+        for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
+            heapSiftDown(arr, n, i, layout, record);
+        }
+
+        for (let i = n - 1; i > 0; i--) {
+            this.steps.push(this.createStep(
+                StepType.SWAP,
+                [low, low + i],
+                arr,
+                `Swap root ${arr[low]} with last unsorted element ${arr[low + i]}`,
+                true
+            ));
+
+            [arr[low], arr[low + i]] = [arr[low + i], arr[low]];
+
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [low + i],
+                arr,
+                `${arr[low + i]} is now in its final position`,
+                false
+            ));
+
+            heapSiftDown(arr, i, 0, layout, record);
+        }
+
+        this.steps.push(this.createStep(
+            StepType.SORTED,
+            [low],
+            arr,
+            `${arr[low]} is in its final position`,
+            false
+        ));
+    }
+
+    /**
+     * Insertion sort arr[low..high] with the shared range insertion, the same steps
+     * as InsertionSort, then mark the range sorted
+     * @param {number[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     */
+    insertionSortRange(arr, low, high) {
+        insertRange(arr, low, high, this.recorder(arr, [StepType.SWAP]));
+
+        for (let i = low; i <= high; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+    }
+
+    /**
+     * Validate if user's swap is correct for introsort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        // Find which mode the algorithm is in at this step
+        let mode = 'quick';
+        for (let i = stepIndex; i >= 0; i--) {
+            if (this.steps[i].mode) {
+                mode = this.steps[i].mode;
+                break;
+            }
+        }
+
+        const modeNames = { quick: 'Quick Sort', heap: 'Heap Sort', insertion: 'Insertion Sort' };
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: `Correct! (${modeNames[mode]} mode)` };
+        }
+
+        const hints = {
+            quick: 'partition around the pivot, moving smaller elements left',
+            heap: 'restore the max-heap property or move the root to the end',
+            insertion: 'shift the larger element one position right'
+        };
+
+        return {
+            valid: false,
+            message: `Incorrect. Introsort is in ${modeNames[mode]} mode: ${hints[mode]}.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Introsort** (introspective sort) is what C++'s \`std::sort\` and .NET's \`Array.Sort\` use. It keeps Quick Sort's speed on typical data but guarantees O(n log n) by watching its own recursion depth.
+
+### How It Works:
+1. **Quick Sort mode**: Partition around a pivot (Lomuto, last element) and recurse
+2. **Heap Sort fallback**: If the recursion depth exceeds 2·log₂(n), the pivots are going badly - heap sort that partition instead
+3. **Insertion Sort finish**: Partitions with ${this.insertionThreshold} or fewer elements are finished with insertion sort
+
+### Why It Works:
+- Quick Sort's worst case (O(n²)) needs a long chain of bad pivots, i.e. deep recursion
+- Capping the depth at O(log n) and switching to Heap Sort caps the total work at O(n log n)
+- Heap Sort is slower in practice, so it only runs where Quick Sort has already failed
+- Insertion Sort beats both on tiny partitions because it has almost no overhead
+
+### Key Characteristics:
+- **Not Stable**: Neither partitioning nor heap sort preserve equal-element order
+- **In-place**: O(log n) stack space
+- **Guaranteed**: O(n log n) worst case, Quick Sort speed on average
+
+### Try It:
+- Pick the "Reverse Sorted" input: the last-element pivot is always the minimum, and you will see the switch to Heap Sort
+- Production libraries use a threshold of 16 elements; this demo uses ${this.insertionThreshold}
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure introSort(A)
+    depthLimit := 2 * floor(log2(length(A)))
+    introSortRec(A, 0, length(A) - 1, depthLimit)
+end procedure
+
+procedure introSortRec(A, low, high, depthLimit)
+    size := high - low + 1
+    if size <= ${this.insertionThreshold} then
+        insertionSort(A, low, high)       // Small: finish with insertion sort
+    else if depthLimit = 0 then
+        heapSort(A, low, high)            // Too deep: switch to heap sort
+    else
+        p := partition(A, low, high)      // Lomuto, as in Quick Sort
+        introSortRec(A, low, p - 1, depthLimit - 1)
+        introSortRec(A, p + 1, high, depthLimit - 1)
+    end if
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [80, 70, 60, 50, 40, 30, 20, 10], action: 'Reverse sorted input, depth limit = 2·⌊log₂ 8⌋ = 6', highlight: [] },
+            { array: [10, 70, 60, 50, 40, 30, 20, 80], action: 'Quick Sort: pivot 10 is the minimum - a bad split', highlight: [0, 7], sorted: [0] },
+            { array: [10, 70, 60, 50, 40, 30, 20, 80], action: 'Pivot 80 is the maximum - another bad split (budget 5 → 4)', highlight: [7], sorted: [0, 7] },
+            { array: [10, 20, 60, 50, 40, 30, 70, 80], action: 'Pivots 20 and 70 are extremes too; the depth budget keeps draining', highlight: [1, 6], sorted: [0, 1, 6, 7] },
+            { array: [10, 20, 60, 50, 40, 30, 70, 80], action: 'Partition [2..5] has 4 elements: switch to Insertion Sort', highlight: [2, 3, 4, 5], sorted: [0, 1, 6, 7] },
+            { array: [10, 20, 30, 40, 50, 60, 70, 80], action: 'Insertion Sort finishes the partition', highlight: [2, 3, 4, 5], sorted: [0, 1, 2, 3, 4, 5, 6, 7] },
+            { array: [10, 20, 30, 40, 50, 60, 70, 80], action: 'With 16 reversed elements the budget hits 0 first, and Heap Sort takes over', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6, 7] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IntroSort };
+}
@@ -0,0 +1,343 @@
+/**
+ * K-Way Merge with a Min-Heap, with Step Tracking
+ * Time Complexity: O(n log k) for k lists holding n elements in total
+ * Space Complexity: O(k) for the heap
+ *
+ * Splits the input into k slices and insertion sorts each, so the merge starts
+ * from k sorted lists; then merges them by keeping the head of every list in a
+ * min-heap: extract the minimum, write it out and refill the heap from the list
+ * it came from. Range insertion, the sift-down (with the order reversed) and
+ * the run copy and drain are the shared routines heap sort and merge sort use.
+ */
+class KWayMerge extends SortingAlgorithm {
+    constructor() {
+        super(
+            'K-Way Merge (Min-Heap)',
+            { best: 'O(n log k)', average: 'O(n log k)', worst: 'O(n log k)' },
+            'O(k)'
+        );
+        this.options = { k: 3 };
+        this.listCount = 0;
+        this.heapSwaps = 0;
+        this.setupComparisons = 0;
+    }
+
+    /**
+     * Get the configurable variants of the algorithm
+     * @returns {Object[]} Option definitions
+     */
+    getOptions() {
+        return [
+            {
+                key: 'k',
+                label: 'Lists',
+                choices: [
+                    { value: 2, label: 'k = 2' },
+                    { value: 3, label: 'k = 3' },
+                    { value: 4, label: 'k = 4' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Merging writes values instead of swapping, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Generate all steps for merging k sorted lists
+     * @param {number[]} inputArray - The array to split into k lists and merge
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        this.heapSwaps = 0;
+        this.setupComparisons = 0;
+
+        // Split into k consecutive lists of near-equal length
+        const k = Math.min(this.options.k, n);
+        this.listCount = k;
+        const bounds = Array.from({ length: k }, (_, j) => [
+            Math.floor(j * n / k),
+            Math.floor((j + 1) * n / k) - 1
+        ]);
+        const runs = bounds.map(([start, end], j) => [start, end, `L${j + 1}`]);
+
+        if (n === 0) {
+            return this.steps;
+        }
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `Split the input into ${k} lists: ${runs.map(([start, end, label]) => `${label} = ${this.formatRange(start, end)}`).join(', ')}`,
+            false,
+            { runs }
+        ));
+
+        // The problem starts from sorted lists: insertion sort each slice in place
+        bounds.forEach(([start, end], j) => {
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [start, end],
+                arr,
+                `Setup: insertion sort L${j + 1} = [${arr.slice(start, end + 1).join(', ')}] so the merge starts from sorted lists`,
+                false
+            ));
+
+            insertRange(arr, start, end, this.recorder(arr));
+        });
+        this.setupComparisons = this.steps.filter(s => s.type === 'compare').length;
+
+        // Copy the lists out, as merge sort copies its halves to L and R
+        const lists = bounds.map(([start, end]) => copyRun(arr, start, end));
+        const lane = (active, contents = lists) => ({
+            labels: lists.map((list, j) => `L${j + 1}`),
+            contents: contents.map(list => [...list]),
+            active,
+            rows: true
+        });
+
+        // The heap holds one head per non-empty list; heads[j] is list j's entry
+        const heap = [];
+        const heads = lists.map(list => list.shift());
+        heads.forEach(value => heap.push(value));
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `Take the head of every list into a min-heap: [${heap.join(', ')}]`,
+            false,
+            { lane: lane(-1), tree: this.heapTree(heap) }
+        ));
+
+        for (let i = Math.floor(heap.length / 2) - 1; i >= 0; i--) {
+            this.siftDown(heap, i, arr, lane);
+        }
+
+        for (let pos = 0; pos < n; pos++) {
+            // One list left: drain the rest, as merge sort does with a leftover half
+            if (heap.length === 1) {
+                const j = heads.indexOf(heap[0]);
+                const rest = [heads[j], ...lists[j]];
+
+                drainRun(arr, rest, 0, pos, StepType.WRITE, (type, indices, description, details) => {
+                    // The list and heap once the value has left: the next value is the heap's root
+                    const next = indices[0] - pos + 1;
+                    const contents = lists.map((list, l) => (l === j ? rest.slice(next + 1) : list));
+
+                    this.steps.push(this.createStep(
+                        type,
+                        indices,
+                        arr,
+                        `Only L${j + 1} is left. ${description}`,
+                        false,
+                        { ...details, lane: lane(j, contents), tree: this.heapTree(rest.slice(next, next + 1)) }
+                    ));
+                });
+                break;
+            }
+
+            // Extract the minimum; equal heads are credited to the lowest list
+            const min = heap[0];
+            const j = heads.indexOf(min);
+
+            this.steps.push(this.createStep(
+                StepType.WRITE,
+                [pos],
+                arr,
+                `Extract min ${min} (head of L${j + 1}) and write it to position ${pos}`,
+                false,
+                { value: min, lane: lane(j), tree: this.heapTree(heap, 0) }
+            ));
+            arr[pos] = min;
+
+            // Refill the root from the same list, or shrink the heap when it is empty
+            if (lists[j].length > 0) {
+                heads[j] = lists[j].shift();
+                heap[0] = heads[j];
+
+                this.steps.push(this.createStep(
+                    StepType.SELECT,
+                    [],
+                    arr,
+                    `Refill from L${j + 1}: its next value ${heads[j]} goes to the root`,
+                    false,
+                    { lane: lane(j), tree: this.heapTree(heap, 0) }
+                ));
+            } else {
+                heads[j] = undefined;
+                const last = heap.pop();
+                if (heap.length === 0) continue;
+                heap[0] = last;
+
+                this.steps.push(this.createStep(
+                    StepType.SELECT,
+                    [],
+                    arr,
+                    `L${j + 1} is used up: move the last heap entry ${last} to the root`,
+                    false,
+                    { lane: lane(j), tree: this.heapTree(heap, 0) }
+                ));
+            }
+
+            this.siftDown(heap, 0, arr, lane);
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false,
+                i === 0 ? { runs: [] } : {}
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Sift heap[i] down with the shared sift-down, ordered as a min-heap
+     * The heap lives in the tree panel, not in the bars: its steps have no bar
+     * indices and carry the heap as a tree, with the two entries highlighted.
+     * @param {number[]} heap - Heap array
+     * @param {number} i - Index to sift down from
+     * @param {number[]} arr - Output array shown by the bars
+     * @param {Function} lane - Builds the list lane for a step
+     */
+    siftDown(heap, i, arr, lane) {
+        const order = { above: (a, b) => a < b, child: 'smaller' };
+
+        heapSiftDown(heap, heap.length, i, { order }, (type, [parent, child], description) => {
+            if (type === StepType.SWAP) {
+                this.heapSwaps++;
+            }
+
+            this.steps.push(this.createStep(
+                type,
+                [],
+                arr,
+                description,
+                false,
+                { tree: this.heapTree(heap, parent, child), lane: lane(-1) }
+            ));
+        });
+    }
+
+    /**
+     * Heap array as a binary tree for the tree panel
+     * @param {number[]} heap - Heap array
+     * @param {number} active - Heap index to highlight
+     * @param {number} other - Heap index it is compared with
+     * @returns {Object} {nodes: {value, left, right}[] by heap index, root, active, path, visited}
+     */
+    heapTree(heap, active = null, other = null) {
+        const child = c => (c < heap.length ? c : null);
+        return {
+            nodes: heap.map((value, i) => ({ value, left: child(2 * i + 1), right: child(2 * i + 2) })),
+            root: heap.length > 0 ? 0 : null,
+            active,
+            path: other === null ? [] : [other],
+            visited: []
+        };
+    }
+
+    /**
+     * Counts for the demo screen; sorting the lists is setup and is counted apart
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            { label: 'Comparisons to sort the lists', value: this.setupComparisons },
+            { label: 'Comparisons in the merge', value: this.steps.filter(s => s.type === 'compare').length - this.setupComparisons },
+            { label: 'Heap swaps', value: this.heapSwaps },
+            { label: 'Lists', value: this.listCount }
+        ];
+    }
+
+    getExplanation() {
+        return `
+**K-Way Merge** combines k sorted lists into one sorted list. It is the merge step of merge sort generalized from two lists to k, with a min-heap choosing the next value instead of a single comparison.
+
+### Setup:
+- The demo splits the input into k consecutive slices and sorts each one with **insertion sort**, so the merge starts from k sorted lists
+- The stats count these setup comparisons apart from the merge
+
+### How It Works:
+1. Put the head (smallest value) of every list into a **min-heap**
+2. **Extract min**: the root is the smallest value left anywhere - write it to the output
+3. **Refill**: put the next value of the same list at the root; if that list is empty, move the last heap entry to the root instead
+4. Sift the root down to restore the heap, exactly like heap sort's sift-down with the order reversed
+5. When only one list is left, copy the rest of it - as merge sort does with a leftover half
+
+### Why O(n log k):
+- The heap never holds more than k values, so each sift-down costs O(log k)
+- Each of the n values is extracted once
+- Merging the lists one after another would cost O(n · k); merging them in pairs, round by round, also reaches O(n log k)
+
+### Between Merge Sort and Heap Sort:
+- With k = 2 this is merge sort's merge: the heap is just one comparison
+- The heap is the one from heap sort, but a min-heap of list heads rather than the whole array
+
+### Key Characteristics:
+- **Stable across lists**: Equal values come out of the lower-numbered list first
+- **O(k) extra space** for the heap, plus the output
+- **Streaming**: Reads each list front to back, so the lists may be files or network streams
+
+### When to Use:
+- Merging sorted files in external sorting
+- Combining sorted results from several shards or servers
+- The classic interview problem "merge k sorted lists"
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure kWayMerge(lists L1..Lk, output A)
+    H := empty min-heap
+    for j := 1 to k do
+        if Lj is not empty then insert (head(Lj), j) into H
+    end for
+
+    for pos := 0 to length(A) - 1 do
+        (x, j) := root(H)                    // Extract min
+        A[pos] := x
+        advance Lj
+        if Lj is not empty then
+            root(H) := (head(Lj), j)         // Refill from the same list
+        else
+            root(H) := last(H); remove last(H)
+        end if
+        heapify(H, size(H), 0)               // Sift-down, min order
+    end for
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [1, 4, 7, 2, 5, 8, 3, 6, 9], action: 'Three sorted lists: [1, 4, 7] [2, 5, 8] [3, 6, 9]; heap of heads {1, 2, 3}', highlight: [0, 3, 6] },
+            { array: [1, 4, 7, 2, 5, 8, 3, 6, 9], action: 'Extract min 1 from L1, write it to position 0; refill with 4', highlight: [0] },
+            { array: [1, 2, 7, 2, 5, 8, 3, 6, 9], action: 'Sift 4 down: 2 rises; extract 2 from L2, refill with 5', highlight: [1] },
+            { array: [1, 2, 3, 2, 5, 8, 3, 6, 9], action: 'Heap {3, 4, 5}: extract 3 from L3, refill with 6', highlight: [2] },
+            { array: [1, 2, 3, 4, 5, 6, 7, 8, 9], action: 'Keep extracting: each output value costs one sift-down', highlight: [3, 4, 5, 6, 7, 8] },
+            { array: [1, 2, 3, 4, 5, 6, 7, 8, 9], action: 'All lists used up - merged', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6, 7, 8] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KWayMerge };
+}
@@ -0,0 +1,381 @@
+/**
+ * Linked List Merge Sort with Step Tracking
+ * Time Complexity: O(n log n) for all cases
+ * Space Complexity: O(log n) for the call stack - no buffer
+ *
+ * Sorts a singly linked list: slow/fast pointers find the middle, the list is
+ * cut in two, and the sorted halves are merged by relinking next pointers.
+ * Values never move, so the bars stay where the nodes sit in memory; steps
+ * carry the chains of nodes for the renderer's list panel.
+ */
+class LinkedListMergeSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Linked List Merge Sort',
+            { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)' },
+            'O(log n)'
+        );
+        this.values = [];
+        this.next = [];
+        this.comparisons = 0;
+        this.relinks = 0;
+    }
+
+    /**
+     * Merges relink nodes instead of swapping values, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Generate all steps for linked list merge sort
+     * Node i holds inputArray[i] and initially points to node i + 1.
+     * @param {number[]} inputArray - Values of the list, in list order
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const n = inputArray.length;
+        this.values = [...inputArray];
+        this.next = this.values.map((_, id) => (id + 1 < n ? id + 1 : -1));
+        this.comparisons = 0;
+        this.relinks = 0;
+
+        if (n === 0) {
+            return this.steps;
+        }
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            this.values,
+            `The list has ${n} nodes. Bars show them where they sit in memory: sorting only changes next pointers, never values`,
+            false,
+            { list: this.snapshot([{ label: 'head', node: 0 }]) }
+        ));
+
+        const head = this.sortList(0);
+
+        // Mark the nodes sorted in list order
+        let k = 0;
+        for (let id = head; id !== -1; id = this.next[id]) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [id],
+                this.values,
+                k === 0
+                    ? `Sorted: head is now node #${id}. Every value is still in the node it started in`
+                    : `Node #${id} (${this.values[id]}) is number ${k + 1} in the list`,
+                false,
+                k === 0 ? { list: this.snapshot([{ label: 'head', node: head }]) } : {}
+            ));
+            k++;
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Sort the list starting at head
+     * @param {number} head - First node, -1 for the empty list
+     * @returns {number} First node of the sorted list
+     */
+    sortList(head) {
+        if (head === -1 || this.next[head] === -1) {
+            return head;
+        }
+
+        const nodes = this.chainFrom(head);
+
+        // Fast moves two nodes per step, so slow stops at the end of the first half
+        let slow = head;
+        let fast = this.next[head];
+        this.steps.push(this.createStep(
+            StepType.SELECT,
+            [slow, fast],
+            this.values,
+            `Find the middle of the ${nodes.length}-node list at #${head}: slow starts at the head, fast one node ahead`,
+            false,
+            { list: this.snapshot([{ label: 'slow', node: slow }, { label: 'fast', node: fast }], null, nodes) }
+        ));
+
+        while (fast !== -1 && this.next[fast] !== -1) {
+            slow = this.next[slow];
+            fast = this.next[this.next[fast]];
+
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                fast === -1 ? [slow] : [slow, fast],
+                this.values,
+                `slow moves one node, fast moves two` + (fast === -1 || this.next[fast] === -1 ? ': fast reached the end' : ''),
+                false,
+                { list: this.snapshot([{ label: 'slow', node: slow }, { label: 'fast', node: fast }], null, nodes) }
+            ));
+        }
+
+        // Cut after slow: the second half starts at its old successor
+        const mid = this.next[slow];
+        this.next[slow] = -1;
+        this.relinks++;
+
+        this.steps.push(this.createStep(
+            StepType.CUT,
+            [slow],
+            this.values,
+            `Cut after slow: #${slow}.next = null. Two lists of ${Math.ceil(nodes.length / 2)} and ${Math.floor(nodes.length / 2)} nodes`,
+            false,
+            { list: this.snapshot([{ label: 'left', node: head }, { label: 'right', node: mid }], [slow, -1], nodes) }
+        ));
+
+        const left = this.sortList(head);
+        const right = this.sortList(mid);
+        return this.merge(left, right);
+    }
+
+    /**
+     * Merge two sorted lists by relinking their nodes
+     * @param {number} a - Head of the left list
+     * @param {number} b - Head of the right list
+     * @returns {number} Head of the merged list
+     */
+    merge(a, b) {
+        const nodes = [...this.chainFrom(a), ...this.chainFrom(b)];
+        const pointers = (tail, head) => [
+            { label: 'head', node: head },
+            { label: 'tail', node: tail },
+            { label: 'a', node: a },
+            { label: 'b', node: b }
+        ].filter(pointer => pointer.node !== -1);
+
+        this.steps.push(this.createStep(
+            StepType.MERGE,
+            [a, b],
+            this.values,
+            `Merge the sorted lists at #${a} and #${b}`,
+            false,
+            { list: this.snapshot(pointers(-1, -1), null, nodes) }
+        ));
+
+        let head = -1;
+        let tail = -1;
+
+        while (a !== -1 && b !== -1) {
+            this.comparisons++;
+            // Take from the left list on ties, which keeps the sort stable
+            const takeLeft = this.values[a] <= this.values[b];
+            const taken = takeLeft ? a : b;
+
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [a, b],
+                this.values,
+                `Compare ${this.values[a]} and ${this.values[b]}: take ${this.values[taken]} from ${takeLeft ? 'a' : 'b'}`,
+                false,
+                { list: this.snapshot(pointers(tail, head), null, nodes) }
+            ));
+
+            if (takeLeft) {
+                a = this.next[a];
+            } else {
+                b = this.next[b];
+            }
+            this.append(tail, taken, nodes, () => pointers(taken, head === -1 ? taken : head));
+
+            if (head === -1) {
+                head = taken;
+            }
+            tail = taken;
+        }
+
+        // One list is used up: the other is already linked in order, so one pointer attaches it
+        const rest = a !== -1 ? a : b;
+        this.append(tail, rest, nodes, () => pointers(tail, head), true);
+
+        return head;
+    }
+
+    /**
+     * Link node to the end of the merged list, if it is not linked there already
+     * The first node taken becomes the head; no pointer changes for it.
+     * @param {number} tail - Last node of the merged list, -1 while it is empty
+     * @param {number} node - Node to append
+     * @param {number[]} nodes - Nodes of the merge, highlighted in the list panel
+     * @param {Function} pointers - Pointer labels after the append
+     * @param {boolean} rest - True when node starts the leftover list
+     */
+    append(tail, node, nodes, pointers, rest = false) {
+        if (tail === -1) {
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                [node],
+                this.values,
+                `#${node} (${this.values[node]}) becomes the head of the merged list`,
+                false,
+                { list: this.snapshot(pointers(), null, nodes) }
+            ));
+            return;
+        }
+
+        if (this.next[tail] === node) {
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                [tail],
+                this.values,
+                rest
+                    ? `The other list is empty: the rest from #${node} is already linked after #${tail}`
+                    : `#${tail}.next already points to #${node}: no pointer changes`,
+                false,
+                { list: this.snapshot(pointers(), null, nodes) }
+            ));
+            return;
+        }
+
+        this.next[tail] = node;
+        this.relinks++;
+
+        this.steps.push(this.createStep(
+            StepType.RELINK,
+            [tail, node],
+            this.values,
+            rest
+                ? `The other list is empty: link the rest, from #${node}, with a single pointer: #${tail}.next = #${node}`
+                : `Relink #${tail}.next = #${node}: ${this.values[node]} follows ${this.values[tail]}`,
+            false,
+            { list: this.snapshot(pointers(), [tail, node], nodes) }
+        ));
+    }
+
+    /**
+     * Nodes of the list starting at head, in order
+     * @param {number} head - First node
+     * @returns {number[]} Node ids
+     */
+    chainFrom(head) {
+        const chain = [];
+        for (let id = head; id !== -1; id = this.next[id]) {
+            chain.push(id);
+        }
+        return chain;
+    }
+
+    /**
+     * Copy of the node links for a step, taken after the step's change
+     * Every node nothing points to starts a chain; chains are ordered by their lowest node id.
+     * @param {Object[]} pointers - {label, node} markers to draw above nodes
+     * @param {number[]|null} link - [from, to] pointer just changed, to = -1 for a cut
+     * @param {number[]} active - Nodes of the sublist being worked on
+     * @returns {Object} {values, chains: number[][], pointers, link, active}
+     */
+    snapshot(pointers, link = null, active = []) {
+        const pointedTo = new Set(this.next.filter(id => id !== -1));
+        const chains = this.values
+            .map((_, id) => id)
+            .filter(id => !pointedTo.has(id))
+            .map(head => this.chainFrom(head))
+            .sort((a, b) => Math.min(...a) - Math.min(...b));
+
+        return {
+            values: [...this.values],
+            chains,
+            pointers: pointers.filter(pointer => pointer.node !== -1),
+            link,
+            active: [...active]
+        };
+    }
+
+    /**
+     * Counts for the demo screen: pointer changes instead of swaps
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            { label: 'Comparisons', value: this.comparisons },
+            { label: 'Pointer changes', value: this.relinks },
+            { label: 'Values moved', value: 0 }
+        ];
+    }
+
+    getExplanation() {
+        return `
+**Linked List Merge Sort** sorts a singly linked list without moving a single value: it only changes next pointers. The bars show the nodes where they sit in memory - they never move - and the list panel shows how the pointers chain them together.
+
+### How It Works:
+1. **Find the middle**: slow moves one node and fast moves two; when fast reaches the end, slow is at the middle
+2. **Cut**: set slow.next = null, giving two lists
+3. **Recurse**: sort both halves
+4. **Merge**: repeatedly take the smaller head and link it after the tail of the result
+5. When one list runs out, link the rest of the other with a **single pointer**
+
+### Why Merge Sort Suits Linked Lists:
+- **No random access needed**: the middle is found by walking, and merging only reads the two heads
+- **No buffer**: an array merge copies into O(n) extra space; a list merge just relinks the nodes
+- **Quick Sort and Heap Sort** jump to arbitrary positions (A[i], A[2i + 1]), which costs O(n) per access in a list
+- Each value stays in its node, so large records are never copied
+
+### Key Characteristics:
+- **Stable**: Ties take the node from the left list
+- **O(log n) space**: Only the recursion stack; the bottom-up variant needs O(1)
+- **Pointer changes**: At most one per node per merge level, O(n log n) in total
+
+### When to Use:
+- Sorting linked lists (e.g. Java's LinkedList sorts via an array copy; C++ std::list::sort relinks)
+- When elements are expensive to move but cheap to relink
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure sortList(head)
+    if head = null or head.next = null then
+        return head
+    end if
+
+    slow := head
+    fast := head.next
+    while fast != null and fast.next != null do
+        slow := slow.next                 // One step
+        fast := fast.next.next            // Two steps
+    end while
+    mid := slow.next
+    slow.next := null                     // Cut into two lists
+
+    return merge(sortList(head), sortList(mid))
+end procedure
+
+procedure merge(a, b)
+    dummy := new node
+    tail := dummy
+    while a != null and b != null do
+        if a.value <= b.value then        // <= keeps it stable
+            tail.next := a
+            a := a.next
+        else
+            tail.next := b
+            b := b.next
+        end if
+        tail := tail.next
+    end while
+    tail.next := (a != null) ? a : b      // Attach the rest in one step
+    return dummy.next
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [38, 27, 43, 10], action: 'List 38 → 27 → 43 → 10 → null', highlight: [] },
+            { array: [38, 27, 43, 10], action: 'slow stops at 27: cut 27.next = null → [38 → 27] and [43 → 10]', highlight: [1] },
+            { array: [27, 38, 43, 10], action: 'Merge [38] and [27]: head = 27, 27.next = 38', highlight: [0, 1] },
+            { array: [27, 38, 10, 43], action: 'Merge [43] and [10]: head = 10, 10.next = 43', highlight: [2, 3] },
+            { array: [10, 27, 38, 43], action: 'Merge: 10 → 27 → 38, then the rest (43) with one pointer', highlight: [0, 1, 2, 3] },
+            { array: [10, 27, 38, 43], action: 'Sorted by relinking - no value was copied', highlight: [], sorted: [0, 1, 2, 3] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LinkedListMergeSort };
+}
@@ -90,17 +90,9 @@ class MergeSort extends SortingAlgorithm {
         const n1 = mid - left + 1;
         const n2 = right - mid;
 
-        // Create temporary arrays
-        const L = [];
-        const R = [];
-
         // Copy data to temp arrays
-        for (let i = 0; i < n1; i++) {
-            L[i] = this.workingArray[left + i];
-        }
-        for (let j = 0; j < n2; j++) {
-            R[j] = this.workingArray[mid + 1 + j];
-        }
+        const L = copyRun(this.workingArray, left, mid);
+        const R = copyRun(this.workingArray, mid + 1, right);
 
         this.steps.push(this.createStep(
             StepType.MERGE,
@@ -151,33 +143,10 @@ class MergeSort extends SortingAlgorithm {
             k++;
         }
 
-        // Copy remaining elements of L[], if any
-        while (i < n1) {
-            this.steps.push(this.createStep(
-                StepType.SELECT,
-                [k],
-                [...this.workingArray],
-                `Place remaining ${L[i]} at position ${k}`,
-                true
-            ));
-            this.workingArray[k] = L[i];
-            i++;
-            k++;
-        }
-
-        // Copy remaining elements of R[], if any
-        while (j < n2) {
-            this.steps.push(this.createStep(
-                StepType.SELECT,
-                [k],
-                [...this.workingArray],
-                `Place remaining ${R[j]} at position ${k}`,
-                true
-            ));
-            this.workingArray[k] = R[j];
-            j++;
-            k++;
-        }
+        // Copy remaining elements of L[], then of R[], if any; the player selects each one
+        const record = this.recorder(this.workingArray, [StepType.SELECT]);
+        k = drainRun(this.workingArray, L, i, k, StepType.SELECT, record);
+        drainRun(this.workingArray, R, j, k, StepType.SELECT, record);
     }
 
     /**
@@ -231,7 +200,7 @@ class MergeSort extends SortingAlgorithm {
 
 ### Key Characteristics:
 - **Stable**: Equal elements maintain their relative order
-- **Not In-place**: Requires O(n) additional space
+- **Not In-place**: The merge needs an O(n) buffer. In-place merges exist, but the simple ones rotate blocks and cost O(n log² n) moves (see In-Place Merge Sort)
 - **Consistent Performance**: Always O(n log n), regardless of input
 - **Parallelizable**: Can be efficiently parallelized
 
@@ -0,0 +1,281 @@
+/**
+ * MSD Radix Sort for Strings with Step Tracking
+ * Time Complexity: O(n · w) for strings of length at most w
+ * Space Complexity: O(n + R) per level, R the alphabet size
+ *
+ * Partitions the strings by their first character, then recurses into each
+ * bucket on the next character. The recursion forms a trie of the common
+ * prefixes, which steps carry for the renderer's tree panel.
+ */
+class MSDRadixSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'MSD Radix Sort (Strings)',
+            { best: 'O(n · w)', average: 'O(n · w)', worst: 'O(n · w)' },
+            'O(n + R)'
+        );
+        this.charReads = 0;
+    }
+
+    /**
+     * Bucket distribution writes values instead of swapping, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Characters are read position by position, so the input must be strings
+     * @param {string} inputType - Key of GameManager.inputTypes
+     * @returns {boolean} True only for strings
+     */
+    supportsInput(inputType) {
+        return inputType === 'strings';
+    }
+
+    /**
+     * Generate all steps for MSD radix sort
+     * @param {string[]} inputArray - The strings to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        this.charReads = 0;
+
+        // Trie of the recursion: node 0 is the empty prefix
+        this.nodes = [{ value: '•', children: [] }];
+        this.visited = [];
+
+        if (n > 0) {
+            this.sortRange(arr, 0, n - 1, 0, 0, []);
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `"${arr[i]}" is in its final position`,
+                false,
+                i === 0 ? { runs: [], tree: this.snapshot() } : {}
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Sort arr[low..high], whose strings share their first d characters
+     * @param {string[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @param {number} d - Character position to partition on
+     * @param {number} node - Trie node for the shared prefix
+     * @param {number[]} path - Trie nodes above node
+     */
+    sortRange(arr, low, high, d, node, path) {
+        const prefix = arr[low].slice(0, d);
+        const runs = [[low, high, prefix ? `"${prefix}…"` : 'all']];
+
+        // Bucket keys in order: '' (string ended) first, then the characters present
+        const keys = [...new Set(arr.slice(low, high + 1).map(s => s.charAt(d)))].sort();
+        const labels = keys.map(key => key || '$');
+        const buckets = keys.map(() => []);
+        const lane = active => ({ labels, contents: buckets.map(bucket => [...bucket]), active });
+        const trie = active => this.snapshot({ active, path: [...path, node] });
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [low, high],
+            arr,
+            `Partition ${this.formatRange(low, high)} by character ${d + 1}` +
+            (prefix ? `: every string here starts with "${prefix}"` : ''),
+            false,
+            { charIndex: d, runs, lane: lane(-1), tree: trie(node) }
+        ));
+
+        // Distribute by the character at position d
+        for (let i = low; i <= high; i++) {
+            const key = arr[i].charAt(d);
+            const b = keys.indexOf(key);
+            this.charReads++;
+            buckets[b].push(arr[i]);
+
+            this.steps.push(this.createStep(
+                StepType.DISTRIBUTE,
+                [i],
+                arr,
+                key
+                    ? `"${arr[i]}": character ${d + 1} is '${key}' → bucket ${key}`
+                    : `"${arr[i]}" has no character ${d + 1} → bucket $ (a prefix sorts first)`,
+                false,
+                { charIndex: d, lane: lane(b), tree: trie(node) }
+            ));
+        }
+
+        // One trie child per non-empty bucket, with the range it occupies after collecting
+        const children = [];
+        let start = low;
+        keys.forEach((key, b) => {
+            const id = this.nodes.length;
+            this.nodes.push({ value: labels[b], children: [] });
+            this.nodes[node].children.push(id);
+            children.push({ id, key, start, end: start + buckets[b].length - 1 });
+            start += buckets[b].length;
+        });
+
+        // Collect the buckets back in order
+        let k = low;
+        buckets.forEach((bucket, b) => {
+            while (bucket.length > 0) {
+                const value = bucket.shift();
+
+                this.steps.push(this.createStep(
+                    StepType.WRITE,
+                    [k],
+                    arr,
+                    `Write "${value}" from bucket ${labels[b]} back to position ${k}`,
+                    false,
+                    { value, charIndex: d, lane: lane(b), tree: trie(node) }
+                ));
+
+                arr[k] = value;
+                k++;
+            }
+        });
+
+        // Recurse into each bucket on the next character
+        children.forEach(({ id, key, start: from, end: to }) => {
+            if (!key || from === to) {
+                this.visited.push(id);
+                this.steps.push(this.createStep(
+                    StepType.SORTED,
+                    Array.from({ length: to - from + 1 }, (_, i) => from + i),
+                    arr,
+                    !key
+                        ? `Bucket $ holds "${arr[from]}"${to > from ? ` ×${to - from + 1}` : ''}: nothing left to compare`
+                        : `Bucket ${key} holds only "${arr[from]}": it is in place`,
+                    false,
+                    { charIndex: d, tree: this.snapshot({ active: id, path: [...path, node] }) }
+                ));
+                return;
+            }
+
+            this.sortRange(arr, from, to, d + 1, id, [...path, node]);
+        });
+
+        this.visited.push(node);
+    }
+
+    /**
+     * Copy of the trie for a step
+     * @param {Object} highlight - {active, path} node ids to highlight
+     * @returns {Object} {nodes: {value, children}[] by id, root, active, path, visited}
+     */
+    snapshot({ active = null, path = [] } = {}) {
+        return {
+            nodes: this.nodes.map(node => ({ value: node.value, children: [...node.children] })),
+            root: 0,
+            active,
+            path,
+            visited: [...this.visited]
+        };
+    }
+
+    /**
+     * Counts for the demo screen
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            { label: 'Characters examined', value: this.charReads },
+            { label: 'Trie nodes', value: this.nodes ? this.nodes.length : 0 }
+        ];
+    }
+
+    getExplanation() {
+        return `
+**MSD Radix Sort** sorts strings the way a dictionary is ordered: by the first character, then - among words that share it - by the second character, and so on. It never compares two whole strings.
+
+### How It Works:
+1. Distribute the strings into buckets by their first character
+2. Strings that have run out of characters go into bucket **$**, before 'a'
+3. Collect the buckets back in order
+4. Recurse into each bucket with two or more strings, on the next character
+5. A bucket with one string, or bucket $, is finished
+
+### Lexicographic Order:
+- "ca" < "cat" because "ca" ends first: a prefix comes before every longer word that extends it
+- "car" < "cat" because they first differ at character 3, and 'r' < 't'
+- Each recursive call only sees strings with the same prefix, so only the next character matters
+- The demo underlines the character being examined on every card
+
+### The Trie:
+- Every recursive call is a node of a **trie**: the path from the root spells the shared prefix
+- Each bucket becomes a child, labelled with its character
+- Reading the leaves from left to right gives the strings in sorted order
+
+### MSD vs LSD:
+- LSD radix sort (see Radix Sort) starts at the last digit and needs equal-length keys
+- MSD starts at the first character, handles strings of different lengths, and stops as soon as a bucket holds one string
+
+### Key Characteristics:
+- **Stable**: Buckets keep arrival order
+- **Not In-place**: Buckets hold O(n) strings
+- **Reads only distinguishing prefixes**: Characters after the point where a string becomes unique are never examined
+
+### When to Use:
+- Sorting strings, URLs or other variable-length keys
+- Building suffix arrays and tries
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure msdSort(A: list of strings)
+    sortRange(A, 0, length(A) - 1, 0)
+end procedure
+
+procedure sortRange(A, low, high, d)
+    if high <= low then return
+    buckets := one empty list for "$" and for each character
+    for i := low to high do
+        c := charAt(A[i], d)                  // "$" if A[i] is shorter than d + 1
+        append A[i] to buckets[c]
+    end for
+
+    k := low
+    for each bucket c in order "$", "a", "b", ... do
+        start := k
+        for each s in buckets[c] do
+            A[k] := s
+            k := k + 1
+        end for
+        if c != "$" then
+            sortRange(A, start, k - 1, d + 1) // Next character
+        end if
+    end for
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: ['cat', 'ca', 'bed', 'car', 'be'], action: 'Initial strings', highlight: [] },
+            { array: ['bed', 'be', 'cat', 'ca', 'car'], action: 'Character 1: bucket b = [bed, be], bucket c = [cat, ca, car]', highlight: [0, 1, 2, 3, 4] },
+            { array: ['bed', 'be', 'cat', 'ca', 'car'], action: 'Bucket b, character 2: both have e - one bucket, recurse again', highlight: [0, 1] },
+            { array: ['be', 'bed', 'cat', 'ca', 'car'], action: 'Character 3: "be" has none → bucket $ before d', highlight: [0, 1], sorted: [0, 1] },
+            { array: ['be', 'bed', 'ca', 'car', 'cat'], action: 'Bucket c: "ca" → $, then r < t: car, cat', highlight: [2, 3, 4], sorted: [0, 1, 2, 3, 4] },
+            { array: ['be', 'bed', 'ca', 'car', 'cat'], action: 'Sorted: the trie leaves read be, bed, ca, car, cat', highlight: [], sorted: [0, 1, 2, 3, 4] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MSDRadixSort };
+}
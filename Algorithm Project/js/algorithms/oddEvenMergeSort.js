@@ -0,0 +1,115 @@
+/**
+ * Batcher Odd-Even Merge Sort Network with Step Tracking
+ * Time Complexity: O(n log² n) comparisons, O(log² n) parallel stages
+ * Space Complexity: O(1)
+ *
+ * Merge sort as a fixed network: two sorted halves are merged by merging
+ * their even and odd subsequences separately, then fixing up neighbours.
+ */
+class OddEvenMergeSort extends SortingNetwork {
+    constructor() {
+        super(
+            'Odd-Even Merge Sort',
+            { best: 'O(n log² n)', average: 'O(n log² n)', worst: 'O(n log² n)' },
+            'O(1)'
+        );
+    }
+
+    /**
+     * Stages of Batcher's network, in the usual iterative form
+     * @param {number} size - Network width (power of two)
+     * @returns {Object[]} Stages {label, comparators}
+     */
+    getStages(size) {
+        const stages = [];
+
+        for (let run = 1; run < size; run *= 2) {
+            for (let distance = run; distance >= 1; distance /= 2) {
+                const comparators = [];
+
+                for (let j = distance % run; j + distance < size; j += 2 * distance) {
+                    for (let i = 0; i < distance && i + j + distance < size; i++) {
+                        // Only compare inside the block being merged
+                        if (Math.floor((i + j) / (2 * run)) === Math.floor((i + j + distance) / (2 * run))) {
+                            comparators.push([i + j, i + j + distance]);
+                        }
+                    }
+                }
+
+                stages.push({
+                    label: `merge runs of ${run}, distance ${distance}`,
+                    comparators
+                });
+            }
+        }
+
+        return stages;
+    }
+
+    getExplanation() {
+        return `
+**Odd-Even Merge Sort** is Batcher's sorting network version of merge sort. The comparisons are fixed in advance, and comparators in the same stage never share a position, so each stage can run in parallel.
+
+### How It Works:
+1. Sort both halves (recursively, with the same network)
+2. **Odd-even merge**: merge the even-indexed elements of both halves, and separately the odd-indexed ones
+3. Compare-exchange each odd element with its right neighbour to finish the merge
+4. Unrolled, merging runs of size r takes stages at distances r, r/2, ..., 1
+
+### Stages and Parallelism:
+- The demo plays each stage as one frame: all of its comparators fire together
+- Same number of stages as bitonic sort, log₂ n · (log₂ n + 1) / 2, but fewer comparators
+- Arrays whose size is not a power of two are padded with +∞; comparators that touch the padding are left out
+
+### Key Characteristics:
+- **Data-oblivious**: The same comparisons happen for every input
+- **Not Stable**: Equal elements may change their relative order
+- **In-place**: Only requires O(1) extra space
+- **Fewer comparators** than bitonic sort, but a less regular wiring
+
+### When to Use:
+- Hardware sorters and FPGA designs where comparator count matters
+- GPU sorting of small fixed-size batches
+- Small fixed networks (n ≤ 16) inside other sorts
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure oddEvenMergeSort(A: list of sortable items)   // length(A) = 2^m
+    n := length(A)
+    for run := 1, 2, 4, ..., n / 2 do                 // Merge runs of this size
+        for distance := run, run / 2, ..., 1 do       // One parallel stage
+            for j := distance mod run to n - distance - 1 step 2 * distance do
+                for i := 0 to min(distance - 1, n - j - distance - 1) in parallel do
+                    // Both ends must lie in the same block of 2 * run
+                    if floor((i + j) / (2 * run)) = floor((i + j + distance) / (2 * run)) then
+                        compareExchange(A, i + j, i + j + distance)
+                    end if
+                end for
+            end for
+        end for
+    end for
+end procedure
+
+procedure compareExchange(A, i, j)                   // i < j
+    if A[i] > A[j] then swap(A[i], A[j])
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [5, 2, 8, 1], action: 'Initial array: 4 elements, 3 stages', highlight: [] },
+            { array: [2, 5, 1, 8], action: 'Stage 1 (runs of 1): (0,1) swaps 5↔2 and (2,3) swaps 8↔1 at the same time', highlight: [0, 1, 2, 3] },
+            { array: [1, 5, 2, 8], action: 'Stage 2 (runs of 2, distance 2): (0,2) swaps 2↔1; (1,3) keeps 5,8', highlight: [0, 1, 2, 3] },
+            { array: [1, 2, 5, 8], action: 'Stage 3 (distance 1): (1,2) swaps 5↔2', highlight: [1, 2] },
+            { array: [1, 2, 5, 8], action: 'Sorted after 3 parallel stages and 5 comparators (bitonic sort needs 6)', highlight: [], sorted: [0, 1, 2, 3] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OddEvenMergeSort };
+}
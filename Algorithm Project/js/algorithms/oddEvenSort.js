@@ -0,0 +1,190 @@
+/**
+ * Odd-Even Transposition Sort Algorithm with Step Tracking
+ * Time Complexity: O(n²) average/worst, O(n) best
+ * Space Complexity: O(1)
+ *
+ * Alternates between comparing all odd-indexed pairs (1,2), (3,4), ... and
+ * all even-indexed pairs (0,1), (2,3), ... The pairs in one phase are disjoint,
+ * so on a parallel machine each phase takes a single time step.
+ */
+class OddEvenSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Odd-Even Transposition Sort',
+            { best: 'O(n)', average: 'O(n²)', worst: 'O(n²)' },
+            'O(1)'
+        );
+    }
+
+    /**
+     * Generate all steps for odd-even transposition sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        let sorted = n < 2;
+        let phase = 0;
+
+        // Stop once an odd phase and an even phase both make no swaps
+        let quietPhases = 0;
+        while (!sorted) {
+            const first = phase % 2 === 0 ? 1 : 0;
+            const phaseName = first === 1 ? 'Odd' : 'Even';
+            let swapped = false;
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                `${phaseName} phase: compare pairs (${first},${first + 1}), (${first + 2},${first + 3}), ...`,
+                false
+            ));
+
+            for (let j = first; j < n - 1; j += 2) {
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [j, j + 1],
+                    arr,
+                    `${phaseName} phase: comparing ${arr[j]} and ${arr[j + 1]}`,
+                    false
+                ));
+
+                if (arr[j] > arr[j + 1]) {
+                    this.steps.push(this.createStep(
+                        StepType.SWAP,
+                        [j, j + 1],
+                        arr,
+                        `Swap ${arr[j]} and ${arr[j + 1]} because ${arr[j]} > ${arr[j + 1]}`,
+                        true  // User must perform this swap
+                    ));
+
+                    [arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];
+                    swapped = true;
+                }
+            }
+
+            quietPhases = swapped ? 0 : quietPhases + 1;
+            sorted = quietPhases >= 2;
+            phase++;
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Validate if user's swap is correct for odd-even transposition sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: 'Correct swap!' };
+        }
+
+        const parity = expectedIndices[0] % 2 === 1 ? 'odd' : 'even';
+        return {
+            valid: false,
+            message: `Incorrect. This is an ${parity} phase: only pairs starting at an ${parity} index may be swapped, left to right.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Odd-Even Transposition Sort** (brick sort) is a bubble sort variant designed for parallel hardware. It alternates between two kinds of phases that each compare disjoint pairs.
+
+### How It Works:
+1. **Odd phase**: compare-and-swap pairs (1,2), (3,4), (5,6), ...
+2. **Even phase**: compare-and-swap pairs (0,1), (2,3), (4,5), ...
+3. Alternate the phases until one odd and one even phase both make no swaps
+
+### Why It Matters:
+- No two comparisons in a phase touch the same element
+- With n/2 processors, every phase runs in one time step
+- n phases always suffice, so the parallel time is O(n)
+- Small values (turtles) move left one step in every phase instead of once per pass
+
+### Key Characteristics:
+- **Stable**: Equal elements maintain their relative order
+- **In-place**: Only requires O(1) extra space
+- **Sequential cost**: Still O(n²) comparisons on one processor
+- **Parallel**: O(n) time on a linear array of processors
+
+### When to Use:
+- Hardware sorting networks and SIMD / GPU kernels
+- Processor arrays where each node only talks to its neighbours
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure oddEvenSort(A: list of sortable items)
+    n := length(A)
+    sorted := false
+    while not sorted do
+        sorted := true
+        for i := 1 to n-2 step 2 do           // Odd phase
+            if A[i] > A[i + 1] then
+                swap(A[i], A[i + 1])
+                sorted := false
+            end if
+        end for
+        for i := 0 to n-2 step 2 do           // Even phase
+            if A[i] > A[i + 1] then
+                swap(A[i], A[i + 1])
+                sorted := false
+            end if
+        end for
+    end while
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [5, 4, 3, 2, 1], action: 'Initial array', highlight: [] },
+            { array: [5, 3, 4, 1, 2], action: 'Odd phase: swap (4,3) and (2,1) at the same time', highlight: [1, 2, 3, 4] },
+            { array: [3, 5, 1, 4, 2], action: 'Even phase: swap (5,3) and (4,1)', highlight: [0, 1, 2, 3] },
+            { array: [3, 1, 5, 2, 4], action: 'Odd phase: swap (5,1) and (4,2)', highlight: [1, 2, 3, 4] },
+            { array: [1, 3, 2, 5, 4], action: 'Even phase: swap (3,1) and (5,2)', highlight: [0, 1, 2, 3] },
+            { array: [1, 2, 3, 4, 5], action: 'Odd phase: swap (3,2) and (5,4)', highlight: [1, 2, 3, 4] },
+            { array: [1, 2, 3, 4, 5], action: 'Two quiet phases - sorted after n = 5 phases', highlight: [], sorted: [0, 1, 2, 3, 4] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OddEvenSort };
+}
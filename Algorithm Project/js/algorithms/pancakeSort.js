@@ -0,0 +1,267 @@
+/**
+ * Pancake Sort Algorithm with Step Tracking
+ * Time Complexity: O(n²) comparisons, at most 2n − 3 flips
+ * Space Complexity: O(1)
+ *
+ * The only operation allowed is a prefix reversal: flip the top k pancakes
+ * of the stack (positions 0..k-1). Each round flips the largest unsorted
+ * pancake to the top, then flips it down to the bottom of the unsorted part.
+ */
+class PancakeSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Pancake Sort',
+            { best: 'O(n²)', average: 'O(n²)', worst: 'O(n²)' },
+            'O(1)'
+        );
+        this.comparisons = 0;
+    }
+
+    /**
+     * The player flips prefixes instead of swapping pairs
+     * @returns {string} Always 'reverse'
+     */
+    getMoveType() {
+        return 'reverse';
+    }
+
+    /**
+     * Generate all steps for pancake sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        this.comparisons = 0;
+
+        for (let size = n; size > 1; size--) {
+            const maxIdx = this.findMax(arr, size);
+
+            if (maxIdx === size - 1) {
+                this.steps.push(this.createStep(
+                    StepType.SORTED,
+                    [size - 1],
+                    arr,
+                    `${arr[maxIdx]} is already at the bottom of the unsorted stack - no flip needed`,
+                    false
+                ));
+                continue;
+            }
+
+            // Bring the largest pancake to the top
+            if (maxIdx > 0) {
+                this.flip(arr, maxIdx, `Flip the top ${maxIdx + 1} to bring ${arr[maxIdx]} to the top`);
+            }
+
+            // Sink it to the bottom of the unsorted stack
+            this.flip(arr, size - 1, `Flip the top ${size} to sink ${arr[0]} to position ${size - 1}`);
+
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [size - 1],
+                arr,
+                `${arr[size - 1]} is now in its final position`,
+                false
+            ));
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Find the largest pancake in the unsorted stack arr[0..size-1]
+     * @param {number[]} arr - Array being sorted
+     * @param {number} size - Size of the unsorted stack
+     * @returns {number} Index of the (last) largest element
+     */
+    findMax(arr, size) {
+        let maxIdx = 0;
+        for (let i = 1; i < size; i++) {
+            if (arr[i] >= arr[maxIdx]) {
+                maxIdx = i;
+            }
+        }
+        this.comparisons += size - 1;
+
+        // One step for the whole scan
+        this.steps.push(this.createStep(
+            StepType.COMPARE,
+            Array.from({ length: size }, (_, i) => i),
+            arr,
+            `Scan the unsorted stack ${this.formatRange(0, size - 1)}: the largest is ${arr[maxIdx]} at position ${maxIdx}`,
+            false
+        ));
+
+        this.steps.push(this.createStep(
+            StepType.SELECT,
+            [maxIdx],
+            arr,
+            `Largest unsorted pancake: ${arr[maxIdx]}`,
+            false
+        ));
+
+        return maxIdx;
+    }
+
+    /**
+     * Flip the prefix arr[0..end], with step tracking
+     * @param {number[]} arr - Array being sorted
+     * @param {number} end - Last index of the prefix
+     * @param {string} description - Step description
+     */
+    flip(arr, end, description) {
+        this.steps.push(this.createStep(
+            StepType.REVERSE,
+            [0, end],
+            arr,
+            description,
+            true  // User must perform this flip
+        ));
+
+        let i = 0;
+        let j = end;
+        while (i < j) {
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+            i++;
+            j--;
+        }
+    }
+
+    /**
+     * A flip is the move in this game, so results measure efficiency in flips
+     * @returns {number} Number of flips
+     */
+    getOptimalSwapCount() {
+        return this.steps.filter(s => s.type === 'reverse').length;
+    }
+
+    /**
+     * Counts for the demo and results screens
+     * Comparisons are counted during generation, as one step covers a whole scan
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            { label: 'Comparisons', value: this.comparisons },
+            { label: 'Flips', value: this.getOptimalSwapCount() }
+        ];
+    }
+
+    /**
+     * Validate if user's flip is correct for pancake sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'reverse', indices: [0, k]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'reverse') {
+            return { valid: false, message: 'Expected a flip: click the bar to flip everything up to it' };
+        }
+
+        const [start, end] = userAction.indices;
+
+        if (start === step.indices[0] && end === step.indices[1]) {
+            return { valid: true, message: `Correct! Flipped the top ${end + 1}.` };
+        }
+
+        return {
+            valid: false,
+            message: `Incorrect. In Pancake Sort, flip the largest unsorted pancake to the top, then flip the whole unsorted stack to sink it.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Pancake Sort** sorts a stack of pancakes with a spatula: the only move is to slide the spatula under a pancake and flip everything above it. Here the top of the stack is position 0.
+
+### How It Works:
+1. Find the largest pancake in the unsorted stack
+2. **Flip** the prefix ending at it, so it comes to the top
+3. **Flip** the whole unsorted stack, so it sinks to the bottom
+4. The bottom pancake is now in place: shrink the unsorted stack by one
+5. Repeat until one pancake is left
+
+### Playing the Game:
+- Click a bar to flip every bar from position 0 up to it
+- Each round needs at most two flips; one is skipped when the largest is already on top, both when it is already at the bottom
+
+### Counting Flips:
+- This method uses at most 2n − 3 flips
+- Finding the fewest flips for a given stack is NP-hard
+- The best known bounds are between 15n/14 and 18n/11 flips in the worst case
+
+### Key Characteristics:
+- **Not Stable**: Flips reverse the order of equal elements
+- **In-place**: Only requires O(1) extra space
+- **O(n) moves**: Few operations, but each flip moves up to n elements
+
+### When to Use:
+- When the only available operation is a prefix reversal
+- Network routing and genome rearrangement problems, where reversals are the primitive
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure pancakeSort(A: list of sortable items)
+    for size := length(A) down to 2 do
+        m := index of the maximum in A[0..size-1]
+        if m = size - 1 then continue      // Already at the bottom
+
+        if m > 0 then
+            flip(A, m)                     // Largest to the top
+        end if
+        flip(A, size - 1)                  // Largest to position size-1
+    end for
+end procedure
+
+procedure flip(A, k)                       // Reverse A[0..k]
+    i := 0
+    while i < k do
+        swap(A[i], A[k])
+        i := i + 1
+        k := k - 1
+    end while
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [3, 1, 4, 2], action: 'Initial stack: position 0 is the top', highlight: [] },
+            { array: [4, 1, 3, 2], action: 'Largest is 4 at position 2: flip the top 3', highlight: [0, 1, 2] },
+            { array: [2, 3, 1, 4], action: 'Flip the top 4: 4 sinks to the bottom', highlight: [0, 1, 2, 3], sorted: [3] },
+            { array: [3, 2, 1, 4], action: 'Largest unsorted is 3 at position 1: flip the top 2', highlight: [0, 1], sorted: [3] },
+            { array: [1, 2, 3, 4], action: 'Flip the top 3: 3 sinks to position 2', highlight: [0, 1, 2], sorted: [2, 3] },
+            { array: [1, 2, 3, 4], action: '2 is already in place - sorted after 4 flips', highlight: [], sorted: [0, 1, 2, 3] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PancakeSort };
+}
@@ -0,0 +1,341 @@
+/**
+ * Parallel Merge Sort Simulation with Step Tracking
+ * Work: O(n log n), Span: O(n) with a sequential merge
+ * Time on P processors: at most W / P + S (Brent's bound)
+ *
+ * Treats every merge of the recursion as a task costing one time unit per
+ * element written. A greedy scheduler hands ready tasks to P virtual
+ * processors (lanes); steps follow the schedule and carry a Gantt-style
+ * timeline with the work, span and speedup figures.
+ */
+class ParallelMergeSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Parallel Merge Sort (Simulation)',
+            { best: 'O(n log n / P + n)', average: 'O(n log n / P + n)', worst: 'O(n log n / P + n)' },
+            'O(n)'
+        );
+        this.options = { processors: 4 };
+        this.work = 0;
+        this.span = 0;
+        this.makespan = 0;
+    }
+
+    /**
+     * Get the configurable variants of the algorithm
+     * @returns {Object[]} Option definitions
+     */
+    getOptions() {
+        return [
+            {
+                key: 'processors',
+                label: 'Processors',
+                choices: [
+                    { value: 1, label: 'P = 1' },
+                    { value: 2, label: 'P = 2' },
+                    { value: 4, label: 'P = 4' },
+                    { value: 8, label: 'P = 8' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Merges write values from a buffer instead of swapping, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Generate all steps for the parallel merge sort simulation
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        const P = this.options.processors;
+
+        const tasks = [];
+        const root = this.buildTasks(tasks, 0, n - 1);
+        this.work = tasks.reduce((sum, task) => sum + task.cost, 0);
+        this.span = root === null ? 0 : this.spanOf(tasks, root);
+        this.schedule(tasks, P);
+        this.makespan = tasks.reduce((max, task) => Math.max(max, task.end), 0);
+
+        // Steps follow the schedule; a task's children always end before it starts
+        const order = tasks.map((task, id) => id).sort((a, b) =>
+            tasks[a].start - tasks[b].start || tasks[a].lane - tasks[b].lane
+        );
+        const timeline = active => ({
+            lanes: P,
+            tasks: order.map(id => ({
+                lane: tasks[id].lane,
+                start: tasks[id].start,
+                end: tasks[id].end,
+                label: this.formatRange(tasks[id].low, tasks[id].high)
+            })),
+            active,
+            work: this.work,
+            span: this.span,
+            makespan: this.makespan
+        });
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `Fork: split recursively down to single elements. The ${tasks.length} merges become tasks, ` +
+            `and a task is ready once both of its halves are merged. ${P} processor${P === 1 ? '' : 's'} take ready tasks greedily.`,
+            false,
+            { timeline: timeline(-1) }
+        ));
+
+        order.forEach((id, position) => {
+            const task = tasks[id];
+            const running = order
+                .filter(other => tasks[other].start <= task.start && tasks[other].end > task.start)
+                .map(other => [tasks[other].low, tasks[other].high, `P${tasks[other].lane + 1}`]);
+
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                [],
+                arr,
+                `t = ${task.start}: P${task.lane + 1} merges ${this.formatRange(task.low, task.high)}, ` +
+                `taking ${task.cost} time units` +
+                (running.length > 1 ? ` while ${running.length - 1} other merge${running.length === 2 ? ' runs' : 's run'} in parallel` : ''),
+                false,
+                { timeline: timeline(position), runs: running }
+            ));
+
+            mergeRuns(arr, task.low, task.mid, task.high, this.recorder(arr, [], { runs: running }));
+        });
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Array is completely sorted`,
+                false,
+                i === 0 ? { runs: [], timeline: timeline(order.length) } : {}
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Create one merge task per recursive call on two or more elements
+     * @param {Object[]} tasks - Task list to append to
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @returns {number|null} Id of the task merging arr[low..high], null for a base case
+     */
+    buildTasks(tasks, low, high) {
+        if (low >= high) {
+            return null;
+        }
+
+        const mid = low + Math.floor((high - low) / 2);
+        const children = [this.buildTasks(tasks, low, mid), this.buildTasks(tasks, mid + 1, high)]
+            .filter(child => child !== null);
+
+        tasks.push({ low, mid, high, cost: high - low + 1, children, lane: -1, start: -1, end: -1 });
+        return tasks.length - 1;
+    }
+
+    /**
+     * Span: the most expensive chain of tasks from a leaf merge to this one
+     * @param {Object[]} tasks - Task list
+     * @param {number} id - Task id
+     * @returns {number} Span in time units
+     */
+    spanOf(tasks, id) {
+        const task = tasks[id];
+        return task.cost + Math.max(0, ...task.children.map(child => this.spanOf(tasks, child)));
+    }
+
+    /**
+     * Greedy list scheduling: whenever a processor is idle and a task is ready, run it
+     * Ready tasks are taken in the order they became ready, then left to right;
+     * sets lane, start and end on every task.
+     * @param {Object[]} tasks - Task list
+     * @param {number} P - Number of processors
+     */
+    schedule(tasks, P) {
+        const laneFree = new Array(P).fill(0);
+        let scheduled = 0;
+        let time = 0;
+
+        while (scheduled < tasks.length) {
+            const ready = tasks
+                .filter(task => task.start === -1 &&
+                    task.children.every(child => tasks[child].start !== -1 && tasks[child].end <= time))
+                .sort((a, b) => this.readyTime(tasks, a) - this.readyTime(tasks, b) || a.low - b.low);
+
+            for (let lane = 0; lane < P && ready.length > 0; lane++) {
+                if (laneFree[lane] > time) continue;
+
+                const task = ready.shift();
+                task.lane = lane;
+                task.start = time;
+                task.end = time + task.cost;
+                laneFree[lane] = task.end;
+                scheduled++;
+            }
+
+            // Jump to the next time a running task finishes
+            const ends = tasks.filter(task => task.start !== -1 && task.end > time).map(task => task.end);
+            if (ends.length === 0) break;
+            time = Math.min(...ends);
+        }
+    }
+
+    /**
+     * Time at which both halves of a task are merged
+     * @param {Object[]} tasks - Task list
+     * @param {Object} task - Task whose children are scheduled
+     * @returns {number} Ready time
+     */
+    readyTime(tasks, task) {
+        return Math.max(0, ...task.children.map(child => tasks[child].end));
+    }
+
+    /**
+     * Work, span and speedup figures for the demo screen
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        const P = this.options.processors;
+        const ratio = value => (this.makespan > 0 ? (value / this.makespan).toFixed(2) : '-');
+
+        return [
+            { label: 'Work W', value: this.work },
+            { label: 'Span S', value: this.span },
+            { label: `Time on ${P} processor${P === 1 ? '' : 's'}`, value: this.makespan },
+            { label: 'Speedup W / T', value: ratio(this.work) },
+            { label: 'Parallelism W / S', value: this.span > 0 ? (this.work / this.span).toFixed(2) : '-' },
+            { label: 'Brent bound W / P + S', value: Math.round((this.work / P + this.span) * 10) / 10 }
+        ];
+    }
+
+    getExplanation() {
+        return `
+**Parallel Merge Sort** runs the two recursive calls of merge sort at the same time. The simulation gives each merge to one of P virtual processors and draws the schedule as a Gantt chart, one lane per processor.
+
+### How It Works:
+1. **Fork**: split the array in half and sort both halves in parallel, recursively
+2. **Join**: when both halves are sorted, one processor merges them
+3. A merge of m elements costs m time units; single elements cost nothing
+4. Whenever a processor is idle and a merge is ready, the scheduler starts it
+
+### Work and Span:
+- **Work W**: total cost of all merges - the time on one processor. About n log₂ n
+- **Span S**: the most expensive chain of merges that must run one after another - the time with unlimited processors. With a sequential merge it is n + n/2 + n/4 + ... ≈ **2n**
+- **Parallelism W / S ≈ (log₂ n) / 2**: more processors than this cannot help
+- **Speedup** on P processors is W / T_P, and greedy scheduling guarantees **T_P ≤ W / P + S** (Brent's bound)
+
+### What the Timeline Shows:
+- At the bottom of the recursion there are many small merges and every lane is busy
+- Near the top there are few, large merges: lanes sit idle while the final merge runs alone
+- The final merge alone costs n - the sequential merge is the bottleneck
+
+### Key Characteristics:
+- **Stable**: Merges take from the left half on ties
+- **Not In-place**: Each merge uses a buffer
+- **Limited parallelism**: A parallel merge (splitting by binary search) brings the span down to O(log² n) and better
+
+### When to Use:
+- Multicore sorting of large arrays (e.g. Java's Arrays.parallelSort)
+- Teaching work-span analysis of fork-join algorithms
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure parallelMergeSort(A, low, high)
+    if low >= high then return
+    mid := low + (high - low) / 2
+    spawn parallelMergeSort(A, low, mid)      // Runs in parallel
+    parallelMergeSort(A, mid + 1, high)
+    sync                                      // Wait for both halves
+    merge(A, low, mid, high)                  // Cost: high - low + 1
+end procedure
+
+// Work:  W(n) = 2 W(n/2) + n = O(n log n)
+// Span:  S(n) = S(n/2) + n   = O(n)
+// Time on P processors: T_P <= W / P + S
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return this.traceWalkthrough([38, 27, 43, 10, 55, 3, 82, 9]);
+    }
+
+    /**
+     * Build a walkthrough for the selected number of processors by scheduling an example
+     * @param {number[]} example - Array to trace
+     * @returns {Object[]} Walkthrough entries: one per start time of the schedule, then the figures
+     */
+    traceWalkthrough(example) {
+        const tracer = new ParallelMergeSort();
+        tracer.options = { ...this.options };
+        tracer.generateSteps(example);
+        const P = this.options.processors;
+
+        const tasks = [];
+        tracer.buildTasks(tasks, 0, example.length - 1);
+        tracer.schedule(tasks, P);
+        const ready = tasks.filter(task => task.children.length === 0).length;
+        const starts = [...new Set(tasks.map(task => task.start))].sort((a, b) => a - b);
+        const array = [...example];
+
+        const walkthrough = [
+            { array: [...example], action: `P = ${P}. ${ready} merge${ready === 1 ? ' of 2 elements is' : 's of 2 elements are'} ready at t = 0`, highlight: [] }
+        ];
+
+        starts.forEach(start => {
+            const group = tasks.filter(task => task.start === start).sort((a, b) => a.lane - b.lane);
+            const busy = tasks.filter(task => task.start < start && task.end > start);
+            const idle = Array.from({ length: P }, (_, lane) => lane)
+                .filter(lane => !group.concat(busy).some(task => task.lane === lane))
+                .map(lane => `P${lane + 1}`);
+            const end = group[0].end;
+            const together = group.every(task => task.end === end);
+
+            group.forEach(task => mergeRuns(array, task.low, task.mid, task.high, () => {}));
+
+            const merges = group
+                .map(task => `P${task.lane + 1} merges ${this.formatRange(task.low, task.high)}${together ? '' : ` until t = ${task.end}`}`)
+                .join(', ');
+            const alone = group.length === 1 && busy.length === 0 && P > 1 ? ' alone' : '';
+            const idleNote = idle.length === 0 ? ''
+                : idle.length === 1 ? `; ${idle[0]} is idle`
+                    : `; ${idle.slice(0, -1).join(', ')} and ${idle[idle.length - 1]} are idle`;
+
+            walkthrough.push({
+                array: [...array],
+                action: `t = ${start}${together ? `-${end}` : ''}: ${merges}${alone}${idleNote}`,
+                highlight: group.flatMap(task => Array.from({ length: task.cost }, (_, i) => task.low + i))
+            });
+        });
+
+        // Keep the final merge, which shows the sequential bottleneck
+        const shown = walkthrough.length > 5 ? [...walkthrough.slice(0, 4), walkthrough[walkthrough.length - 1]] : walkthrough;
+        const speedup = Math.round((tracer.work / tracer.makespan) * 100) / 100;
+        return [
+            ...shown,
+            { array: [...array], action: `W = ${tracer.work}, S = ${tracer.span}, T = ${tracer.makespan}: speedup ${speedup}`, highlight: [], sorted: array.map((_, i) => i) }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ParallelMergeSort };
+}
@@ -0,0 +1,331 @@
+/**
+ * Patience Sort Algorithm with Step Tracking
+ * Time Complexity: O(n log n) for all cases
+ * Space Complexity: O(n)
+ *
+ * Deals the elements like cards onto piles, finding each card's pile by
+ * binary search, then merges the piles with a min-heap of their tops.
+ * The number of piles is the length of the longest increasing subsequence.
+ */
+class PatienceSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Patience Sort',
+            { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n log n)' },
+            'O(n)'
+        );
+        this.comparisons = 0;
+        this.lis = [];
+        this.pileCount = 0;
+    }
+
+    /**
+     * Dealing and merging write values instead of swapping, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Generate all steps for patience sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        this.comparisons = 0;
+
+        // Piles hold indices into the input, bottom card first
+        const piles = [];
+        const previous = new Array(n).fill(-1);
+        const lane = active => ({
+            labels: piles.map((pile, p) => `P${p + 1}`),
+            contents: piles.map(pile => pile.map(index => inputArray[index])),
+            active
+        });
+
+        // Deal: each card goes on the leftmost pile whose top is ≥ it
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                [i],
+                arr,
+                `Deal ${arr[i]}: binary search the pile tops for the leftmost one ≥ ${arr[i]}`,
+                false,
+                { lane: lane(-1) }
+            ));
+
+            const p = this.findPile(arr, piles, i, lane);
+
+            if (p === piles.length) {
+                piles.push([]);
+            }
+            piles[p].push(i);
+
+            // The top of the pile to the left was dealt earlier and is smaller: LIS back-pointer
+            if (p > 0) {
+                const left = piles[p - 1];
+                previous[i] = left[left.length - 1];
+            }
+
+            this.steps.push(this.createStep(
+                StepType.DISTRIBUTE,
+                [i],
+                arr,
+                piles[p].length === 1
+                    ? `No pile top is ≥ ${arr[i]}: start pile P${p + 1}`
+                    : `Place ${arr[i]} on pile P${p + 1}`,
+                false,
+                { lane: lane(p) }
+            ));
+        }
+
+        // Longest increasing subsequence: follow back-pointers from the top of the last pile
+        this.pileCount = piles.length;
+        this.lis = [];
+        if (n > 0) {
+            const last = piles[piles.length - 1];
+            for (let i = last[last.length - 1]; i !== -1; i = previous[i]) {
+                this.lis.unshift(i);
+            }
+        }
+
+        this.steps.push(this.createStep(
+            StepType.SELECT,
+            [...this.lis],
+            arr,
+            `${piles.length} piles, so the longest increasing subsequence has length ${piles.length}: ` +
+            `${this.lis.map(i => arr[i]).join(' < ')}`,
+            false,
+            { lane: lane(-1) }
+        ));
+
+        // Merge: pile tops are the smallest card of each pile, so a min-heap of tops picks the next value
+        const heap = [];
+        piles.forEach((pile, p) => this.heapPush(heap, { value: arr[pile[pile.length - 1]], pile: p }));
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `Merge the piles: min-heap of the pile tops [${heap.map(entry => entry.value).join(', ')}]`,
+            false,
+            { lane: lane(-1) }
+        ));
+
+        for (let k = 0; k < n; k++) {
+            const { value, pile: p } = this.heapPop(heap);
+            piles[p].pop();
+
+            const refill = piles[p].length > 0;
+            if (refill) {
+                this.heapPush(heap, { value: inputArray[piles[p][piles[p].length - 1]], pile: p });
+            }
+
+            this.steps.push(this.createStep(
+                StepType.WRITE,
+                [k],
+                arr,
+                `Extract min ${value} from the top of P${p + 1} and write it to position ${k}` +
+                (refill ? `; push the new top ${inputArray[piles[p][piles[p].length - 1]]}` : `; P${p + 1} is empty`),
+                false,
+                { value, lane: lane(p) }
+            ));
+            arr[k] = value;
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Binary search for the leftmost pile whose top is ≥ arr[i]
+     * Pile tops increase from left to right, which makes the search valid.
+     * @param {number[]} arr - Input values
+     * @param {number[][]} piles - Piles of input indices
+     * @param {number} i - Index of the card being dealt
+     * @param {Function} lane - Builds the pile lane for a step
+     * @returns {number} Pile index; piles.length means a new pile
+     */
+    findPile(arr, piles, i, lane) {
+        let low = 0;
+        let high = piles.length;
+
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const top = arr[piles[mid][piles[mid].length - 1]];
+            this.comparisons++;
+
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [i],
+                arr,
+                top >= arr[i]
+                    ? `Top of P${mid + 1} is ${top} ≥ ${arr[i]}: search left of it, P${mid + 1} included`
+                    : `Top of P${mid + 1} is ${top} < ${arr[i]}: search to the right`,
+                false,
+                { lane: lane(mid) }
+            ));
+
+            if (top >= arr[i]) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Push onto a binary min-heap of {value, pile}; ties go to the lower pile
+     * @param {Object[]} heap - Heap array
+     * @param {Object} entry - {value, pile}
+     */
+    heapPush(heap, entry) {
+        heap.push(entry);
+        let i = heap.length - 1;
+
+        while (i > 0) {
+            const parent = Math.floor((i - 1) / 2);
+            if (!this.heapLess(heap[i], heap[parent])) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    }
+
+    /**
+     * Pop the minimum from a binary min-heap of {value, pile}
+     * @param {Object[]} heap - Heap array
+     * @returns {Object} The smallest entry
+     */
+    heapPop(heap) {
+        const min = heap[0];
+        const last = heap.pop();
+
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+
+                if (left < heap.length && this.heapLess(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && this.heapLess(heap[right], heap[smallest])) smallest = right;
+                if (smallest === i) break;
+
+                [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                i = smallest;
+            }
+        }
+
+        return min;
+    }
+
+    /**
+     * Heap order: by value, then by pile
+     * @param {Object} a - {value, pile}
+     * @param {Object} b - {value, pile}
+     * @returns {boolean} True if a comes before b
+     */
+    heapLess(a, b) {
+        this.comparisons++;
+        return a.value < b.value || (a.value === b.value && a.pile < b.pile);
+    }
+
+    /**
+     * Counts for the demo screen, including the LIS read off the piles
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        const input = this.steps.length > 0 ? this.steps[0].arrayState : [];
+        return [
+            { label: 'Comparisons', value: this.comparisons },
+            { label: 'Piles', value: this.pileCount },
+            { label: 'Longest increasing subsequence', value: this.lis.map(i => input[i]).join(' < ') || '-' }
+        ];
+    }
+
+    getExplanation() {
+        return `
+**Patience Sort** is named after the card game. Cards are dealt one at a time onto piles, and a card may only go on a pile whose top card is not smaller than it.
+
+### How It Works:
+1. **Deal**: put each card on the leftmost pile whose top is ≥ the card; if there is none, start a new pile on the right
+2. Within a pile, cards get smaller towards the top
+3. The pile tops increase from left to right, so the pile is found by **binary search**
+4. **Merge**: put every pile top in a min-heap; repeatedly extract the minimum, write it out and push the new top of its pile
+
+### Longest Increasing Subsequence:
+- Cards in an increasing subsequence must all go on different piles, so LIS ≤ number of piles
+- When a card goes on pile p, remember the top of pile p − 1: it was dealt earlier and is smaller
+- Following those pointers back from the top of the last pile gives an increasing subsequence with one card per pile
+- So **number of piles = LIS length**, found in O(n log n)
+- This is the same answer as the O(n²) dynamic programming solution: L[i] = 1 + max L[j] over j < i with A[j] < A[i]
+
+### Key Characteristics:
+- **Not Stable** as implemented here: equal cards end up on the same pile in reverse order
+- **Not In-place**: Piles and heap take O(n) extra space
+- **Pile shape follows the input**: Sorted input makes n piles of one card each; reversed input makes a single pile
+
+### When to Use:
+- Computing the longest increasing subsequence
+- Sorting data that already contains long decreasing runs
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure patienceSort(A: list of sortable items)
+    piles := empty list
+    for each x in A do                        // Deal
+        p := leftmost pile with top(p) >= x   // Binary search on the tops
+        if none then start a new pile p
+        if p > 0 then back[x] := top(pile p - 1)
+        push x onto pile p
+    end for
+
+    // LIS: follow back-pointers from the top of the last pile
+    lis := reverse of chain top(last pile), back[...], ...
+
+    H := min-heap of (top(p), p) for every pile p
+    for k := 0 to length(A) - 1 do            // Merge
+        (x, p) := extractMin(H)
+        A[k] := x
+        pop pile p
+        if pile p is not empty then insert (top(p), p) into H
+    end for
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [30, 10, 40, 20, 50], action: 'Deal 30: start P1. Deal 10: P1 top 30 ≥ 10, place on P1', highlight: [0, 1] },
+            { array: [30, 10, 40, 20, 50], action: 'Deal 40: no top ≥ 40, start P2. Deal 20: leftmost top ≥ 20 is P2 (40)', highlight: [2, 3] },
+            { array: [30, 10, 40, 20, 50], action: 'Deal 50: start P3. Piles: [30, 10] [40, 20] [50]', highlight: [4] },
+            { array: [30, 10, 40, 20, 50], action: '3 piles: LIS has length 3, e.g. 10 < 20 < 50', highlight: [1, 3, 4] },
+            { array: [10, 20, 30, 40, 50], action: 'Merge with a min-heap of the tops 10, 20, 50', highlight: [0, 1, 2, 3, 4] },
+            { array: [10, 20, 30, 40, 50], action: 'Sorted', highlight: [], sorted: [0, 1, 2, 3, 4] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PatienceSort };
+}
@@ -0,0 +1,533 @@
+/**
+ * Quickselect Algorithm with Step Tracking
+ * Time Complexity: O(n) average, O(n²) worst; O(n) worst with median of medians
+ * Space Complexity: O(1) - the recursion is a loop; O(log n) with median of medians,
+ * whose pivot search recurses on the group medians (a fifth of the range each time)
+ *
+ * Finds the k-th smallest element without sorting: partitions like Quick Sort
+ * (reusing its Lomuto partition), then keeps only the side that holds index
+ * k - 1. Steps carry the range still searched so the renderer can grey out
+ * the discarded parts, and the player picks the side in game mode.
+ */
+class QuickSelect extends QuickSort {
+    constructor() {
+        super();
+        this.name = 'Quickselect';
+        this.options = { pivotStrategy: 'last', partitionScheme: 'lomuto', k: 'median' };
+        this.updateComplexity();
+        this.target = -1;
+        this.result = null;
+        this.partitionCount = 0;
+    }
+
+    getOptions() {
+        // Hoare's scheme does not put the pivot in its final place, so only Lomuto is offered
+        return [
+            {
+                key: 'k',
+                label: 'Find',
+                choices: [
+                    { value: 1, label: 'Smallest' },
+                    { value: 2, label: '2nd smallest' },
+                    { value: 3, label: '3rd smallest' },
+                    { value: 'median', label: 'Median' },
+                    { value: 'max', label: 'Largest' }
+                ]
+            },
+            {
+                key: 'pivotStrategy',
+                label: 'Pivot',
+                choices: [
+                    { value: 'last', label: 'Last' },
+                    { value: 'middle', label: 'Middle' },
+                    { value: 'medianOfThree', label: 'Median of Three' },
+                    { value: 'random', label: 'Random (seeded)' },
+                    { value: 'medianOfMedians', label: 'Median of Medians' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Set an option; the pivot strategy also changes the complexity bounds
+     * @param {string} key - Option key
+     * @param {string|number} value - Choice value
+     */
+    setOption(key, value) {
+        super.setOption(key, value);
+        this.updateComplexity();
+    }
+
+    /**
+     * Bounds of the current pivot strategy: median of medians makes the worst case
+     * linear, but its pivot search recurses, log₅ n levels deep
+     */
+    updateComplexity() {
+        const medianOfMedians = this.options.pivotStrategy === 'medianOfMedians';
+        this.timeComplexity = { best: 'O(n)', average: 'O(n)', worst: medianOfMedians ? 'O(n)' : 'O(n²)' };
+        this.spaceComplexity = medianOfMedians ? 'O(log n)' : 'O(1)';
+    }
+
+    /**
+     * Human-readable name of the current pivot strategy
+     * @returns {string} Label used in step descriptions
+     */
+    getPivotLabel() {
+        if (this.options.pivotStrategy === 'medianOfMedians') {
+            return 'median of medians';
+        }
+        return super.getPivotLabel();
+    }
+
+    /**
+     * Rank asked for by the k option, clamped to the array size
+     * @param {number} n - Array size
+     * @returns {number} k, from 1 (smallest) to n (largest)
+     */
+    getRank(n) {
+        if (this.options.k === 'median') {
+            return Math.ceil(n / 2);
+        }
+        if (this.options.k === 'max') {
+            return n;
+        }
+        return Math.min(this.options.k, n);
+    }
+
+    /**
+     * English ordinal for step descriptions
+     * @param {number} k - Rank
+     * @returns {string} "1st", "2nd", "3rd", "4th", ...
+     */
+    ordinal(k) {
+        const suffix = (k % 100 >= 11 && k % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[k % 10] || 'th');
+        return `${k}${suffix}`;
+    }
+
+    /**
+     * Generate all steps for quickselect
+     * @param {number[]} inputArray - The array to search
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        this.randomState = this.randomSeed;
+        this.partitionCount = 0;
+        this.result = null;
+
+        if (n === 0) {
+            this.target = -1;
+            return this.steps;
+        }
+
+        const k = this.getRank(n);
+        this.target = k - 1;
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [0, n - 1],
+            arr,
+            `Find the ${this.ordinal(k)} smallest of ${n} elements: in sorted order it would sit at index ${this.target}`,
+            false,
+            { focus: [0, n - 1] }
+        ));
+
+        const index = this.selectRange(arr, 0, n - 1, this.target, false);
+        this.result = arr[index];
+
+        this.steps.push(this.createStep(
+            StepType.SORTED,
+            [index],
+            arr,
+            `Found the ${this.ordinal(k)} smallest: ${arr[index]}. Everything left of it is ≤ ${arr[index]} and everything right is ≥, ` +
+            `but neither side is sorted`,
+            false,
+            { focus: [0, n - 1] }
+        ));
+
+        return this.steps;
+    }
+
+    /**
+     * Narrow arr[low..high] down to the element that belongs at index target
+     * Each partition fixes one pivot; the search continues on the side holding target.
+     * @param {number[]} arr - Array being searched
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @param {number} target - Index whose sorted value is wanted, low <= target <= high
+     * @param {boolean} inner - True for the search among group medians; its side choices are not played
+     * @returns {number} target, once arr[target] holds its sorted value
+     */
+    selectRange(arr, low, high, target, inner) {
+        while (low < high) {
+            const pivotIndex = this.partition(arr, low, high);
+            this.partitionCount++;
+
+            // Outside the median search every earlier pivot bounds the range, so this one is final
+            this.steps.push(this.createStep(
+                inner ? StepType.SELECT : StepType.SORTED,
+                [pivotIndex],
+                arr,
+                inner
+                    ? `Pivot ${arr[pivotIndex]} is at index ${pivotIndex} among the medians`
+                    : `Pivot ${arr[pivotIndex]} is now in its final position ${pivotIndex}`,
+                false
+            ));
+
+            if (pivotIndex === target) {
+                return target;
+            }
+
+            const [from, to] = target < pivotIndex ? [low, pivotIndex - 1] : [pivotIndex + 1, high];
+            const side = target < pivotIndex ? 'left' : 'right';
+            const dropped = (high - low) - (to - from) - 1;
+
+            this.steps.push(this.createStep(
+                StepType.RECURSE,
+                [from, to],
+                arr,
+                `Pivot ${arr[pivotIndex]} landed at index ${pivotIndex}, and the wanted element belongs at index ${target}. ` +
+                `Which side of the pivot do we keep?`,
+                !inner,  // User picks the side, except inside the median-of-medians search
+                { pivot: pivotIndex, target }
+            ));
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [from, to],
+                arr,
+                `${target} ${side === 'left' ? '<' : '>'} ${pivotIndex}: keep the ${side} side ${this.formatRange(from, to)} ` +
+                (dropped === 0 ? '- the other side is empty' : `and discard the ${dropped} element${dropped === 1 ? '' : 's'} on the other side`),
+                false,
+                { focus: [from, to] }
+            ));
+
+            low = from;
+            high = to;
+        }
+
+        if (!inner) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [low],
+                arr,
+                `Only ${arr[low]} is left in the range: it is in its final position ${low}`,
+                false
+            ));
+        }
+
+        return low;
+    }
+
+    /**
+     * Choose a pivot index in arr[low..high]; median of medians is computed here,
+     * the other strategies come from QuickSort
+     * @param {number[]} arr - Array being searched
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @returns {number} Index of the chosen pivot
+     */
+    choosePivot(arr, low, high) {
+        if (this.options.pivotStrategy !== 'medianOfMedians') {
+            return super.choosePivot(arr, low, high);
+        }
+
+        const pivotIndex = this.medianOfMedians(arr, low, high);
+
+        this.steps.push(this.createStep(
+            StepType.PIVOT,
+            [pivotIndex],
+            arr,
+            `Selected pivot: ${arr[pivotIndex]} (median of the group medians of ${this.formatRange(low, high)})`,
+            false,
+            { focus: [low, high] }
+        ));
+
+        return pivotIndex;
+    }
+
+    /**
+     * Median of medians: sort groups of five, gather their medians at the front
+     * of the range and select the median of those recursively
+     * @param {number[]} arr - Array being searched
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @returns {number} Index of the median of medians
+     */
+    medianOfMedians(arr, low, high) {
+        const groups = Math.ceil((high - low + 1) / 5);
+
+        for (let g = 0; g < groups; g++) {
+            const start = low + 5 * g;
+            const end = Math.min(start + 4, high);
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [start, end],
+                arr,
+                `Group ${g + 1} of ${groups}: insertion sort ${this.formatRange(start, end)} to find its median`,
+                false,
+                { focus: [low, high] }
+            ));
+
+            insertRange(arr, start, end, this.recorder(arr, [StepType.SWAP], { focus: [low, high] }));
+
+            // Gather the group medians in arr[low..low + groups - 1]
+            const median = start + Math.floor((end - start) / 2);
+            if (median !== low + g) {
+                this.steps.push(this.createStep(
+                    StepType.SWAP,
+                    [low + g, median],
+                    arr,
+                    `Gather group median ${arr[median]}: swap it with ${arr[low + g]} at index ${low + g}`,
+                    true,  // User must perform this swap
+                    { role: 'gatherMedian' }
+                ));
+
+                [arr[low + g], arr[median]] = [arr[median], arr[low + g]];
+            }
+        }
+
+        if (groups === 1) {
+            return low;
+        }
+
+        const target = low + Math.floor((groups - 1) / 2);
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [low, low + groups - 1],
+            arr,
+            `Select the median of the ${groups} group medians ${this.formatRange(low, low + groups - 1)} with the same algorithm`,
+            false,
+            { focus: [low, low + groups - 1] }
+        ));
+
+        return this.selectRange(arr, low, low + groups - 1, target, true);
+    }
+
+    /**
+     * Counts for the demo screen, including the element found
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            ...super.getStats(),
+            { label: 'Partitions', value: this.partitionCount },
+            { label: this.target >= 0 ? `${this.ordinal(this.target + 1)} smallest` : 'Result', value: this.result === null ? '-' : this.result }
+        ];
+    }
+
+    /**
+     * Message shown when the game is complete
+     * @returns {string} The element that was found
+     */
+    getCompletionMessage() {
+        return `Found the ${this.ordinal(this.target + 1)} smallest: ${this.result}`;
+    }
+
+    /**
+     * Validate a user's move: a swap, or a click on the side of the pivot to keep
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]} or {type: 'recurse', indices: [i]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (step.type === StepType.RECURSE) {
+            if (userAction.type !== 'recurse') {
+                return { valid: false, message: 'Pick a side: click any bar on the side of the pivot to keep' };
+            }
+
+            const [from, to] = step.indices;
+            const index = userAction.indices[0];
+
+            if (index >= from && index <= to) {
+                return { valid: true, message: `Correct! Index ${step.target} is in ${this.formatRange(from, to)}.` };
+            }
+            if (index === step.pivot) {
+                return { valid: false, message: 'The pivot is already in its final place. Click a bar on one of its sides.' };
+            }
+            return {
+                valid: false,
+                message: `Incorrect. The pivot is at index ${step.pivot}, so index ${step.target} is on the ${step.target < step.pivot ? 'left' : 'right'}.`
+            };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expected = [...step.indices].sort((a, b) => a - b);
+        const actual = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expected[0] === actual[0] && expected[1] === actual[1]) {
+            return { valid: true, message: 'Correct! You performed the right swap.' };
+        }
+
+        const roleMessages = {
+            pivotMove: `First move the pivot (${this.getPivotLabel()}) to the end of the range.`,
+            partition: 'Swap elements to ensure smaller values are left of the pivot.',
+            pivotPlace: 'Put the pivot between the smaller and the larger elements.',
+            gatherMedian: 'Move the median of the group just sorted to the front of the range.'
+        };
+
+        return {
+            valid: false,
+            message: `Incorrect. ${roleMessages[step.role] || 'Insertion sort the group of five: shift the larger neighbour right.'}`
+        };
+    }
+
+    getExplanation() {
+        const pivotNote = this.options.pivotStrategy === 'medianOfMedians'
+            ? `
+### Median of Medians (BFPRT):
+- Split the range into groups of 5 and insertion sort each group
+- Move each group's median to the front, then select the median of those medians recursively
+- At least 3/10 of the range is smaller than this pivot and at least 3/10 is larger
+- So each round keeps at most 7/10 of the range: T(n) ≤ T(n/5) + T(7n/10) + O(n) = **O(n) worst case**
+- The pivot search recurses into the n/5 medians, so it needs **O(log n)** stack space instead of O(1)
+- The constant factor is large - randomized pivots are faster in practice`
+            : `
+### Pivot Choice:
+- The pivot is the ${this.getPivotLabel()}
+- A bad pivot only removes one element per round: O(n²) on unlucky input
+- Choose **Median of Medians** for a guaranteed O(n)`;
+
+        return `
+**Quickselect** finds the k-th smallest element - for example the median - without sorting the array. It partitions like Quick Sort, but recurses into only one side.
+
+### How It Works:
+1. In sorted order, the k-th smallest element would sit at index k - 1
+2. **Partition** the range around a pivot: the pivot lands in its final index p
+3. If p = k - 1, the pivot is the answer
+4. If k - 1 < p, the answer is left of the pivot: discard the right side
+5. Otherwise it is right of the pivot: discard the left side
+6. Repeat on the remaining range - the demo greys out what has been discarded
+${pivotNote}
+
+### Why O(n) on Average:
+- Quick Sort recurses into both sides; Quickselect only into one
+- With pivots that split evenly the work is n + n/2 + n/4 + ... ≈ **2n**
+
+### Key Characteristics:
+- **In-place**: Only the array is rearranged
+- **Partial order**: Afterwards everything left of index k - 1 is ≤ the answer and everything right is ≥, but neither side is sorted
+- **Not Stable**: Partitioning moves equal elements past each other
+
+### When to Use:
+- Medians, percentiles and "top k" queries (C++ std::nth_element)
+- When only one order statistic is needed - sorting would cost O(n log n)
+        `.trim();
+    }
+
+    getPseudocode() {
+        const select = `
+procedure quickselect(A, k)
+    low := 0
+    high := length(A) - 1
+    target := k - 1                    // Index of the k-th smallest
+    while low < high do
+        p := partition(A, low, high)   // Lomuto, as in Quick Sort
+        if p = target then
+            return A[p]
+        else if target < p then
+            high := p - 1              // Keep the left side
+        else
+            low := p + 1               // Keep the right side
+        end if
+    end while
+    return A[low]
+end procedure`.trim();
+
+        if (this.options.pivotStrategy !== 'medianOfMedians') {
+            return `${select}\n\n${this.getChoosePivotPseudocode()}`;
+        }
+
+        return `
+${select}
+
+procedure choosePivot(A, low, high)
+    g := ceil((high - low + 1) / 5)
+    for i := 0 to g - 1 do
+        start := low + 5 * i
+        end := min(start + 4, high)
+        insertionSort(A[start..end])
+        swap(A[low + i], A[start + (end - start) / 2])   // Gather medians
+    end for
+    return index of select(A, low, low + g - 1, low + (g - 1) / 2)
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        if (this.options.k !== 'median' || this.options.pivotStrategy !== 'last') {
+            return this.traceWalkthrough([10, 80, 30, 90, 40, 50, 70]);
+        }
+
+        return [
+            { array: [10, 80, 30, 90, 40, 50, 70], action: 'Find the median (4th smallest) with last-element pivots: it belongs at index 3', highlight: [] },
+            { array: [10, 30, 40, 50, 70, 90, 80], action: 'Partition around 70: it lands at index 4', highlight: [4], sorted: [4] },
+            { array: [10, 30, 40, 50, 70, 90, 80], action: '3 < 4: keep [0..3], discard [5..6] - 90 and 80 stay unsorted', highlight: [0, 1, 2, 3], sorted: [4] },
+            { array: [10, 30, 40, 50, 70, 90, 80], action: 'Partition [0..3] around 50: all smaller, so 50 lands at index 3', highlight: [3], sorted: [3, 4] },
+            { array: [10, 30, 40, 50, 70, 90, 80], action: 'Found: the median is 50, after two partitions and no sorting', highlight: [], sorted: [3] }
+        ];
+    }
+
+    /**
+     * Build a walkthrough for the current rank and pivot strategy by running it on an example
+     * @param {number[]} example - Array to trace
+     * @returns {Object[]} Walkthrough entries: pivots, final pivot positions and kept sides, then the result
+     */
+    traceWalkthrough(example) {
+        const tracer = new QuickSelect();
+        tracer.options = { ...this.options };
+        const steps = tracer.generateSteps(example);
+        const k = tracer.target + 1;
+        const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+        const fixed = [];
+
+        const walkthrough = [
+            { array: [...example], action: `Find the ${this.ordinal(k)} smallest with pivot = ${this.getPivotLabel()}: it belongs at index ${tracer.target}`, highlight: [] }
+        ];
+
+        // A pivot is shown if the next pivot or final position belongs to it, which leaves
+        // out the pivots of the median-of-medians search among the group medians
+        const isOuterPivot = i => {
+            const next = steps.slice(i + 1).find(later => later.type === StepType.PIVOT || later.type === StepType.SORTED);
+            return next !== undefined && next.type === StepType.SORTED;
+        };
+
+        steps.forEach((step, i) => {
+            if (step.type === StepType.PIVOT && isOuterPivot(i)) {
+                walkthrough.push({ array: [...step.arrayState], action: step.description, highlight: [...step.indices], pivot: step.indices[0], sorted: [...fixed] });
+            } else if (step.type === StepType.SORTED && step.description.startsWith('Pivot')) {
+                fixed.push(step.indices[0]);
+                walkthrough.push({ array: [...step.arrayState], action: step.description, highlight: [...step.indices], sorted: [...fixed] });
+            } else if (step.type === StepType.DIVIDE && i > 0 && steps[i - 1].type === StepType.RECURSE && steps[i - 1].isUserAction) {
+                walkthrough.push({ array: [...step.arrayState], action: step.description, highlight: range(...step.indices), sorted: [...fixed] });
+            }
+        });
+
+        const found = steps[steps.length - 1];
+        return [
+            ...walkthrough.slice(0, 5),
+            { array: [...found.arrayState], action: found.description, highlight: [], sorted: [tracer.target] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuickSelect };
+}
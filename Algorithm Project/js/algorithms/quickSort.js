@@ -13,6 +13,61 @@ class QuickSort extends SortingAlgorithm {
             { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n²)' },
             'O(log n)'
         );
+        this.options = { pivotStrategy: 'last', partitionScheme: 'lomuto' };
+
+        // Fixed seed so the same input always produces the same "random" pivots
+        this.randomSeed = 2024;
+    }
+
+    getOptions() {
+        return [
+            {
+                key: 'pivotStrategy',
+                label: 'Pivot',
+                choices: [
+                    { value: 'first', label: 'First' },
+                    { value: 'last', label: 'Last' },
+                    { value: 'middle', label: 'Middle' },
+                    { value: 'medianOfThree', label: 'Median of Three' },
+                    { value: 'random', label: 'Random (seeded)' }
+                ]
+            },
+            {
+                key: 'partitionScheme',
+                label: 'Partition Scheme',
+                choices: [
+                    { value: 'lomuto', label: 'Lomuto' },
+                    { value: 'hoare', label: 'Hoare' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Human-readable name of the current pivot strategy
+     * @returns {string} Label used in step descriptions
+     */
+    getPivotLabel() {
+        const labels = {
+            first: 'first element',
+            last: 'last element',
+            middle: 'middle element',
+            medianOfThree: 'median of first, middle and last',
+            random: 'random element'
+        };
+        return labels[this.options.pivotStrategy];
+    }
+
+    /**
+     * Next value from a small seeded PRNG (mulberry32)
+     * @returns {number} Pseudo-random number in [0, 1)
+     */
+    nextRandom() {
+        this.randomState = (this.randomState + 0x6D2B79F5) | 0;
+        let t = this.randomState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     }
 
     /**
@@ -23,6 +78,7 @@ class QuickSort extends SortingAlgorithm {
     generateSteps(inputArray) {
         this.reset();
         const arr = [...inputArray];
+        this.randomState = this.randomSeed;
         this.quickSortRecursive(arr, 0, arr.length - 1);
 
         // Mark all as sorted at the end
@@ -68,6 +124,23 @@ class QuickSort extends SortingAlgorithm {
             false
         ));
 
+        if (this.options.partitionScheme === 'hoare') {
+            // Hoare only splits the range; the pivot is not necessarily in its final place
+            const split = this.hoarePartition(arr, low, high);
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [low, high],
+                arr,
+                `Partition done: sort [${low}..${split}] and [${split + 1}..${high}] separately`,
+                false
+            ));
+
+            this.quickSortRecursive(arr, low, split);
+            this.quickSortRecursive(arr, split + 1, high);
+            return;
+        }
+
         // Partition and get pivot position
         const pivotIndex = this.partition(arr, low, high);
 
@@ -86,25 +159,103 @@ class QuickSort extends SortingAlgorithm {
     }
 
     /**
-     * Partition the array around a pivot with step tracking
-     * Using Lomuto partition scheme with last element as pivot
+     * Choose a pivot index in arr[low..high] according to the pivot strategy
      * @param {number[]} arr - Array being sorted
      * @param {number} low - Left boundary
      * @param {number} high - Right boundary
-     * @returns {number} Final pivot position
+     * @returns {number} Index of the chosen pivot
      */
-    partition(arr, low, high) {
-        const pivot = arr[high];
+    choosePivot(arr, low, high) {
+        const mid = low + Math.floor((high - low) / 2);
+        let pivotIndex;
+
+        switch (this.options.pivotStrategy) {
+            case 'first':
+                pivotIndex = low;
+                break;
+
+            case 'middle':
+                pivotIndex = mid;
+                break;
+
+            case 'random':
+                pivotIndex = low + Math.floor(this.nextRandom() * (high - low + 1));
+                break;
+
+            case 'medianOfThree': {
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [low, mid, high],
+                    arr,
+                    `Median of three: comparing ${arr[low]}, ${arr[mid]} and ${arr[high]}`,
+                    false
+                ));
+
+                const [a, b, c] = [arr[low], arr[mid], arr[high]];
+                if ((a <= b && b <= c) || (c <= b && b <= a)) {
+                    pivotIndex = mid;
+                } else if ((b <= a && a <= c) || (c <= a && a <= b)) {
+                    pivotIndex = low;
+                } else {
+                    pivotIndex = high;
+                }
+                break;
+            }
+
+            case 'last':
+            default:
+                pivotIndex = high;
+                break;
+        }
 
         // Mark pivot selection
         this.steps.push(this.createStep(
             StepType.PIVOT,
-            [high],
+            [pivotIndex],
             arr,
-            `Selected pivot: ${pivot} (last element)`,
+            `Selected pivot: ${arr[pivotIndex]} (${this.getPivotLabel()})`,
             false
         ));
 
+        return pivotIndex;
+    }
+
+    /**
+     * Swap the chosen pivot to where the partition scheme expects it
+     * @param {number[]} arr - Array being sorted
+     * @param {number} from - Current pivot index
+     * @param {number} to - Index the scheme keeps the pivot at
+     */
+    movePivot(arr, from, to) {
+        if (from === to) {
+            return;
+        }
+
+        const where = this.options.partitionScheme === 'hoare' ? 'front' : 'end';
+        this.steps.push(this.createStep(
+            StepType.SWAP,
+            [from, to],
+            arr,
+            `Move pivot ${arr[from]} to the ${where} of the subarray by swapping with ${arr[to]}`,
+            true,  // User must perform this swap
+            { role: 'pivotMove' }
+        ));
+
+        [arr[from], arr[to]] = [arr[to], arr[from]];
+    }
+
+    /**
+     * Partition the array around a pivot with step tracking
+     * Using Lomuto partition scheme; the chosen pivot is first moved to the end
+     * @param {number[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @returns {number} Final pivot position
+     */
+    partition(arr, low, high) {
+        this.movePivot(arr, this.choosePivot(arr, low, high), high);
+        const pivot = arr[high];
+
         let i = low - 1;  // Index of smaller element
 
         for (let j = low; j < high; j++) {
@@ -127,7 +278,8 @@ class QuickSort extends SortingAlgorithm {
                         [i, j],
                         arr,
                         `${arr[j]} < ${pivot}: Swap ${arr[i]} and ${arr[j]} to move smaller element left`,
-                        true  // User must perform this swap
+                        true,  // User must perform this swap
+                        { role: 'partition' }
                     ));
 
                     // Perform the swap
@@ -153,7 +305,8 @@ class QuickSort extends SortingAlgorithm {
                 [pivotFinalPos, high],
                 arr,
                 `Move pivot ${pivot} to its final position by swapping with ${arr[pivotFinalPos]}`,
-                true  // User must perform this swap
+                true,  // User must perform this swap
+                { role: 'pivotPlace' }
             ));
 
             // Perform the swap
@@ -163,6 +316,67 @@ class QuickSort extends SortingAlgorithm {
         return pivotFinalPos;
     }
 
+    /**
+     * Partition the array with Hoare's scheme and step tracking
+     * The chosen pivot is first moved to the front, which guarantees both sides are non-empty
+     * @param {number[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @returns {number} Split point: arr[low..split] <= pivot <= arr[split+1..high]
+     */
+    hoarePartition(arr, low, high) {
+        this.movePivot(arr, this.choosePivot(arr, low, high), low);
+        const pivot = arr[low];
+
+        let i = low - 1;
+        let j = high + 1;
+
+        while (true) {
+            // Scan right for an element that belongs on the right side
+            do {
+                i++;
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [i],
+                    arr,
+                    arr[i] < pivot
+                        ? `Left scan: ${arr[i]} < pivot ${pivot}, keep going`
+                        : `Left scan stops at ${arr[i]} (≥ pivot ${pivot})`,
+                    false
+                ));
+            } while (arr[i] < pivot);
+
+            // Scan left for an element that belongs on the left side
+            do {
+                j--;
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [j],
+                    arr,
+                    arr[j] > pivot
+                        ? `Right scan: ${arr[j]} > pivot ${pivot}, keep going`
+                        : `Right scan stops at ${arr[j]} (≤ pivot ${pivot})`,
+                    false
+                ));
+            } while (arr[j] > pivot);
+
+            if (i >= j) {
+                return j;
+            }
+
+            this.steps.push(this.createStep(
+                StepType.SWAP,
+                [i, j],
+                arr,
+                `Scans stopped: swap ${arr[i]} and ${arr[j]} so each is on its correct side of ${pivot}`,
+                true,  // User must perform this swap
+                { role: 'partition' }
+            ));
+
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+    }
+
     /**
      * Validate if user's swap is correct for quick sort
      * @param {number} stepIndex - Current step index
@@ -187,10 +401,29 @@ class QuickSort extends SortingAlgorithm {
         const expectedIndices = step.indices.sort((a, b) => a - b);
         const userIndices = [...userAction.indices].sort((a, b) => a - b);
 
+        const hoare = this.options.partitionScheme === 'hoare';
+
         if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            if (step.role === 'pivotMove') {
+                return { valid: true, message: `Correct! The pivot (${this.getPivotLabel()}) is now at the ${hoare ? 'front' : 'end'}.` };
+            }
             return { valid: true, message: 'Correct! You performed the right partition swap.' };
         }
 
+        if (step.role === 'pivotMove') {
+            return {
+                valid: false,
+                message: `Incorrect. First move the pivot (${this.getPivotLabel()}) to the ${hoare ? 'front' : 'end'} of the subarray.`
+            };
+        }
+
+        if (hoare) {
+            return {
+                valid: false,
+                message: `Incorrect. In Hoare partitioning, swap the first element from the left that is ≥ the pivot with the first element from the right that is ≤ the pivot.`
+            };
+        }
+
         return {
             valid: false,
             message: `Incorrect. In Quick Sort partitioning, swap elements to ensure smaller values are left of the pivot.`
@@ -198,20 +431,45 @@ class QuickSort extends SortingAlgorithm {
     }
 
     getExplanation() {
+        const pivotNotes = {
+            first: 'Sorted or reverse-sorted input always gives an extreme pivot, which is the O(n²) worst case',
+            last: 'Sorted or reverse-sorted input always gives an extreme pivot, which is the O(n²) worst case',
+            middle: 'Sorted input splits evenly, but crafted inputs can still force O(n²)',
+            medianOfThree: 'The pivot is never the smallest or largest of the three samples, so sorted input splits evenly',
+            random: 'No fixed input is always bad; O(n²) needs very bad luck. The seed is fixed so every replay matches'
+        };
+
+        const avoidNote = ['first', 'last'].includes(this.options.pivotStrategy)
+            ? 'Avoid for nearly sorted data or data with many duplicates (use 3-way quicksort for duplicates)'
+            : 'Avoid for data with many duplicates (use 3-way quicksort for duplicates)';
+
+        const partitionProcess = this.options.partitionScheme === 'hoare' ? `
+### The Partition Process (Hoare):
+- Move the pivot to the front of the subarray
+- Scan from the left for an element ≥ pivot, and from the right for an element ≤ pivot
+- Swap those two elements and continue both scans
+- When the scans cross, the right scan's position splits the subarray in two
+- The pivot is not necessarily in its final position, so both halves are recursed on
+- About three times fewer swaps than Lomuto on random data` : `
+### The Partition Process (Lomuto):
+- Move the pivot to the end of the subarray
+- Maintain a partition index
+- Iterate through elements, comparing each to the pivot
+- When finding a smaller element, swap it to the left side
+- Finally, place the pivot between the two groups`;
+
         return `
 **Quick Sort** is a highly efficient, divide-and-conquer sorting algorithm. It works by selecting a "pivot" element and partitioning the array around it.
 
 ### How It Works:
-1. **Choose a Pivot**: Select an element as the pivot (we use the last element)
+1. **Choose a Pivot**: Select an element as the pivot (we use the ${this.getPivotLabel()})
 2. **Partition**: Rearrange so elements smaller than pivot are on the left, larger on the right
 3. **Recurse**: Apply the same process to the left and right subarrays
 4. **Combine**: No explicit combine step needed - array is sorted in place!
+${partitionProcess}
 
-### The Partition Process:
-- Maintain a partition index
-- Iterate through elements, comparing each to the pivot
-- When finding a smaller element, swap it to the left side
-- Finally, place the pivot between the two groups
+### Pivot Choice:
+- ${pivotNotes[this.options.pivotStrategy]}
 
 ### Key Characteristics:
 - **Not Stable**: May change relative order of equal elements
@@ -223,11 +481,75 @@ class QuickSort extends SortingAlgorithm {
 - General-purpose sorting when average-case performance matters
 - When in-place sorting is preferred
 - When cache performance is important
-- Avoid for nearly sorted data or data with many duplicates (use 3-way quicksort for duplicates)
+- ${avoidNote}
         `.trim();
     }
 
     getPseudocode() {
+        const strategy = this.options.pivotStrategy;
+
+        if (this.options.partitionScheme === 'hoare') {
+            return `
+procedure quickSort(A, low, high)
+    if low < high then
+        split := partition(A, low, high)
+        quickSort(A, low, split)            // Left part (all <= pivot)
+        quickSort(A, split + 1, high)       // Right part (all >= pivot)
+    end if
+end procedure
+
+procedure partition(A, low, high)
+    p := choosePivot(A, low, high)
+    swap(A[p], A[low])         // Keep the pivot at the front
+    pivot := A[low]
+    i := low - 1
+    j := high + 1
+
+    loop forever
+        repeat i := i + 1 until A[i] >= pivot
+        repeat j := j - 1 until A[j] <= pivot
+        if i >= j then
+            return j           // Scans crossed: split point
+        end if
+        swap(A[i], A[j])       // Both are on the wrong side
+    end loop
+end procedure
+
+${this.getChoosePivotPseudocode()}
+            `.trim();
+        }
+
+        if (strategy !== 'last') {
+            return `
+procedure quickSort(A, low, high)
+    if low < high then
+        pivotIndex := partition(A, low, high)
+        quickSort(A, low, pivotIndex - 1)   // Sort left of pivot
+        quickSort(A, pivotIndex + 1, high)  // Sort right of pivot
+    end if
+end procedure
+
+procedure partition(A, low, high)
+    p := choosePivot(A, low, high)
+    swap(A[p], A[high])        // Move the pivot to the end
+    pivot := A[high]
+    i := low - 1               // Index of smaller element
+
+    for j := low to high - 1 do
+        if A[j] < pivot then
+            i := i + 1
+            swap(A[i], A[j])   // Move smaller element to left
+        end if
+    end for
+
+    swap(A[i + 1], A[high])    // Place pivot in correct position
+    return i + 1               // Return pivot's final index
+end procedure
+
+${this.getChoosePivotPseudocode()}
+            `.trim();
+        }
+
         return `
 procedure quickSort(A, low, high)
     if low < high then
@@ -254,7 +576,30 @@ end procedure
         `.trim();
     }
 
+    /**
+     * Pseudocode for the current pivot strategy
+     * @returns {string} choosePivot procedure
+     */
+    getChoosePivotPseudocode() {
+        const bodies = {
+            first: '    return low',
+            last: '    return high',
+            middle: '    return low + (high - low) / 2',
+            medianOfThree: `    mid := low + (high - low) / 2
+    return index of median(A[low], A[mid], A[high])`,
+            random: '    return random integer in [low, high]    // seeded PRNG'
+        };
+
+        return `procedure choosePivot(A, low, high)
+${bodies[this.options.pivotStrategy]}
+end procedure`;
+    }
+
     getExampleWalkthrough() {
+        if (this.options.pivotStrategy !== 'last' || this.options.partitionScheme !== 'lomuto') {
+            return this.traceWalkthrough([10, 80, 30, 90, 40, 50, 70]);
+        }
+
         return [
             { array: [10, 80, 30, 90, 40, 50, 70], action: 'Initial array, pivot = 70', highlight: [], pivot: 6 },
             { array: [10, 80, 30, 90, 40, 50, 70], action: '10 < 70, already in position', highlight: [0], pivot: 6 },
@@ -269,6 +614,36 @@ end procedure
             { array: [10, 30, 40, 50, 70, 80, 90], action: 'Final sorted array', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6] }
         ];
     }
+
+    /**
+     * Build a walkthrough for the current variant by running it on an example
+     * @param {number[]} example - Array to trace
+     * @returns {Object[]} Walkthrough entries: pivot choices and swaps, then the result
+     */
+    traceWalkthrough(example) {
+        const tracer = new QuickSort();
+        tracer.options = { ...this.options };
+        const steps = tracer.generateSteps(example);
+        const scheme = this.options.partitionScheme === 'hoare' ? 'Hoare' : 'Lomuto';
+
+        const walkthrough = [
+            { array: [...example], action: `Initial array (${scheme}, pivot = ${this.getPivotLabel()})`, highlight: [] }
+        ];
+
+        steps.forEach((step, k) => {
+            if (step.type === StepType.PIVOT) {
+                walkthrough.push({ array: [...step.arrayState], action: step.description, highlight: [...step.indices], pivot: step.indices[0] });
+            } else if (step.type === StepType.SWAP) {
+                walkthrough.push({ array: [...steps[k + 1].arrayState], action: step.description, highlight: [...step.indices] });
+            }
+        });
+
+        const sorted = [...example].sort((a, b) => a - b);
+        return [
+            ...walkthrough.slice(0, 5),
+            { array: sorted, action: 'Final sorted array', highlight: [], sorted: sorted.map((_, i) => i) }
+        ];
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,222 @@
+/**
+ * LSD Radix Sort Algorithm with Step Tracking
+ * Time Complexity: O(d · (n + b)) for all cases, d digits in base b
+ * Space Complexity: O(n + b)
+ *
+ * A non-comparison sort: distributes elements into buckets by one digit at a time,
+ * starting from the least significant digit, and collects them back in bucket order.
+ */
+class RadixSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Radix Sort (LSD)',
+            { best: 'O(d·(n + b))', average: 'O(d·(n + b))', worst: 'O(d·(n + b))' },
+            'O(n + b)'
+        );
+        this.options = { base: 10 };
+    }
+
+    getOptions() {
+        return [
+            {
+                key: 'base',
+                label: 'Base',
+                choices: [
+                    { value: 2, label: 'Binary (2)' },
+                    { value: 4, label: 'Base 4' },
+                    { value: 10, label: 'Decimal (10)' },
+                    { value: 16, label: 'Hex (16)' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Format a value in the selected base
+     * @param {number} value - Non-negative integer
+     * @param {number} width - Minimum number of digits
+     * @returns {string} Digits of value, zero-padded to width
+     */
+    formatDigits(value, width) {
+        return value.toString(this.options.base).toUpperCase().padStart(width, '0');
+    }
+
+    /**
+     * Generate all steps for LSD radix sort
+     * @param {number[]} inputArray - The array to sort (non-negative integers)
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        const base = this.options.base;
+
+        if (n === 0) {
+            return this.steps;
+        }
+
+        const max = Math.max(...arr);
+        const digitCount = Math.max(1, this.formatDigits(max, 1).length);
+        const labels = [];
+        for (let b = 0; b < base; b++) {
+            labels.push(b.toString(base).toUpperCase());
+        }
+
+        let place = 1;
+        for (let d = 0; d < digitCount; d++) {
+            const buckets = labels.map(() => []);
+            const position = d === 0 ? 'least significant digit' : `digit ${d + 1} from the right`;
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                `Pass ${d + 1} of ${digitCount}: distribute by the ${position} (base ${base})`,
+                false,
+                { lane: { labels, contents: buckets.map(bucket => [...bucket]), active: -1 } }
+            ));
+
+            // Distribute into buckets, keeping arrival order (stability)
+            for (let i = 0; i < n; i++) {
+                const digit = Math.floor(arr[i] / place) % base;
+                buckets[digit].push(arr[i]);
+
+                this.steps.push(this.createStep(
+                    StepType.DISTRIBUTE,
+                    [i],
+                    arr,
+                    `${arr[i]} = ${this.formatDigits(arr[i], digitCount)} in base ${base}: digit ${labels[digit]} → bucket ${labels[digit]}`,
+                    false,
+                    { lane: { labels, contents: buckets.map(bucket => [...bucket]), active: digit } }
+                ));
+            }
+
+            // Collect buckets back into the array in order
+            let k = 0;
+            for (let b = 0; b < base; b++) {
+                while (buckets[b].length > 0) {
+                    const value = buckets[b].shift();
+
+                    this.steps.push(this.createStep(
+                        StepType.WRITE,
+                        [k],
+                        arr,
+                        `Write ${value} from bucket ${labels[b]} back to position ${k}`,
+                        false,
+                        { value, lane: { labels, contents: buckets.map(bucket => [...bucket]), active: b } }
+                    ));
+
+                    arr[k] = value;
+                    k++;
+                }
+            }
+
+            place *= base;
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Radix sort never compares or swaps, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Values are split into digits, so they must be integers
+     * @param {string} inputType - Key of GameManager.inputTypes
+     * @returns {boolean} False for floats and strings
+     */
+    supportsInput(inputType) {
+        return inputType !== 'uniformFloat' && inputType !== 'strings';
+    }
+
+    getExplanation() {
+        return `
+**Radix Sort (LSD)** sorts integers digit by digit, starting with the least significant digit. Each pass is a stable bucket distribution, so no two elements are ever compared.
+
+### How It Works:
+1. Choose a base b (the number of buckets)
+2. Distribute every element into bucket d, where d is its current digit
+3. Collect the buckets back in order 0, 1, ..., b-1, keeping arrival order inside each bucket
+4. Move to the next digit and repeat, d times in total
+
+### Why Least Significant First?
+- Each pass is **stable**, so ties on the current digit keep the order from earlier passes
+- After the last pass, elements are ordered by the most significant digit, then the next, and so on
+
+### Choosing the Base:
+- **Larger base**: fewer passes (d = log_b(max)) but more buckets per pass
+- **Smaller base**: many cheap passes - binary needs one pass per bit
+
+### Key Characteristics:
+- **Stable**: Required for correctness
+- **Not In-place**: Buckets hold O(n) elements
+- **Linear for fixed-width keys**: O(d·(n + b)) sidesteps the Ω(n log n) comparison bound
+
+### When to Use:
+- Fixed-width integer keys (IDs, IP addresses, 32-bit ints)
+- Large datasets where keys have few digits
+        `.trim();
+    }
+
+    getPseudocode() {
+        const base = this.options.base;
+        return `
+procedure radixSort(A: list of non-negative integers)
+    b := ${base}                           // Base = number of buckets
+    d := number of base-${base} digits in maximum(A)
+    place := 1
+
+    for pass := 1 to d do
+        buckets := b empty queues
+        for each x in A do
+            digit := (x / place) mod b
+            append x to buckets[digit]    // Stable: keeps arrival order
+        end for
+
+        k := 0
+        for digit := 0 to b-1 do
+            while buckets[digit] is not empty do
+                A[k] := remove first of buckets[digit]
+                k := k + 1
+            end while
+        end for
+        place := place * b
+    end for
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [170, 45, 75, 90, 2, 24, 66], action: 'Initial array, base 10, 3 digits', highlight: [] },
+            { array: [170, 45, 75, 90, 2, 24, 66], action: 'Pass 1 (ones): buckets 0:[170,90] 2:[2] 4:[24] 5:[45,75] 6:[66]', highlight: [0, 1, 2, 3, 4, 5, 6] },
+            { array: [170, 90, 2, 24, 45, 75, 66], action: 'Collect buckets in order', highlight: [] },
+            { array: [170, 90, 2, 24, 45, 75, 66], action: 'Pass 2 (tens): 0:[2] 2:[24] 4:[45] 6:[66] 7:[170,75] 9:[90]', highlight: [0, 1, 2, 3, 4, 5, 6] },
+            { array: [2, 24, 45, 66, 170, 75, 90], action: 'Collect - 170 stays before 75 (stable)', highlight: [4, 5] },
+            { array: [2, 24, 45, 66, 75, 90, 170], action: 'Pass 3 (hundreds): only 170 has a 1, everything else is in bucket 0', highlight: [6] },
+            { array: [2, 24, 45, 66, 75, 90, 170], action: 'Final sorted array', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RadixSort };
+}
@@ -0,0 +1,174 @@
+/**
+ * Shared Step-Recording Routines
+ * Building blocks that several algorithms run on their own arrays. Each routine
+ * reports its steps through a recorder - usually SortingAlgorithm.recorder - so
+ * the calling class decides which steps are player moves and what extra fields
+ * (runs, lanes, trees) a step carries.
+ *
+ * A recorder is called as record(type, indices, description, details) before
+ * the routine changes the array, like createStep.
+ */
+
+/**
+ * Insertion sort arr[low..high] in place
+ * The first element of the range is taken as already sorted.
+ * @param {number[]} arr - Array being sorted
+ * @param {number} low - Left boundary
+ * @param {number} high - Right boundary
+ * @param {Function} record - Step recorder
+ */
+function insertRange(arr, low, high, record) {
+    for (let i = low + 1; i <= high; i++) {
+        const key = arr[i];
+        let j = i - 1;
+
+        // Mark the current element we're inserting
+        record(StepType.SELECT, [i], `Inserting ${key} into the sorted portion [${low}..${i - 1}]`);
+
+        // Compare and shift elements
+        while (j >= low && arr[j] > key) {
+            record(StepType.COMPARE, [j, j + 1], `Comparing ${arr[j]} with ${key}: ${arr[j]} > ${key}, need to shift`);
+
+            // Shift element (represented as swap for user interaction)
+            record(StepType.SWAP, [j, j + 1], `Move ${arr[j]} one position to the right (swap positions ${j} and ${j + 1})`);
+
+            arr[j + 1] = arr[j];
+            arr[j] = key;
+            j--;
+        }
+
+        // If we didn't need to shift at all, still show the comparison
+        if (j === i - 1) {
+            record(StepType.COMPARE, [j, i], `Comparing ${arr[j]} with ${key}: ${arr[j]} ≤ ${key}, no shift needed`);
+        }
+
+        record(StepType.INSERT, [j + 1], `${key} is now in its correct position in the sorted portion`);
+    }
+}
+
+/**
+ * Top-down sift-down: compare a node with each of its children, swap it with the
+ * best one and continue from there - arity comparisons per level
+ * @param {number[]} arr - Array holding the heap
+ * @param {number} n - Size of heap
+ * @param {number} i - Heap position to sift down from
+ * @param {Object} layout - All fields optional:
+ *   base - array index of the heap root (non-zero when heap-sorting a subarray);
+ *   direction - 1 if heap position p is at base + p, -1 if at base - p;
+ *   arity - children per node, binary by default;
+ *   order - {above: (a, b) => true if a belongs above b, child: 'larger' or 'smaller'}, max-heap by default
+ * @param {Function} record - Step recorder; indices are array indices
+ */
+function heapSiftDown(arr, n, i, layout, record) {
+    const {
+        base = 0,
+        direction = 1,
+        arity = 2,
+        order = { above: (a, b) => a > b, child: 'larger' }
+    } = layout;
+    const at = p => base + direction * p;
+
+    while (true) {
+        let best = i;
+
+        // Compare with each child: left and right in a binary heap
+        for (let k = 0; k < arity && arity * i + 1 + k < n; k++) {
+            const child = arity * i + 1 + k;
+            const name = arity === 2 ? (k === 0 ? 'left child' : 'right child') : `child ${k + 1}`;
+
+            record(StepType.COMPARE, [at(best), at(child)], `Comparing ${arr[at(best)]} with ${name} ${arr[at(child)]}`);
+
+            if (order.above(arr[at(child)], arr[at(best)])) {
+                best = child;
+            }
+        }
+
+        if (best === i) {
+            return;
+        }
+
+        record(
+            StepType.SWAP,
+            [at(i), at(best)],
+            `Swap ${arr[at(i)]} with ${order.child} child ${arr[at(best)]} to maintain heap property`
+        );
+
+        [arr[at(i)], arr[at(best)]] = [arr[at(best)], arr[at(i)]];
+        i = best;
+    }
+}
+
+/**
+ * Copy a sorted run out to a temporary array, as a merge does with each half
+ * @param {number[]} arr - Array holding the run
+ * @param {number} start - First index of the run
+ * @param {number} end - Last index of the run
+ * @returns {number[]} Copy of arr[start..end]
+ */
+function copyRun(arr, start, end) {
+    const run = [];
+    for (let i = 0; i < end - start + 1; i++) {
+        run[i] = arr[start + i];
+    }
+    return run;
+}
+
+/**
+ * Place the rest of a run once the other run of a merge is used up
+ * @param {number[]} arr - Array being merged into
+ * @param {number[]} run - Temporary copy of the run
+ * @param {number} i - Index in run of the first value not yet placed
+ * @param {number} k - Next position to write in arr
+ * @param {string} type - Step type of a placement, e.g. SELECT or WRITE
+ * @param {Function} record - Step recorder; details carry the value placed
+ * @returns {number} Position after the last value placed
+ */
+function drainRun(arr, run, i, k, type, record) {
+    while (i < run.length) {
+        record(type, [k], `Place remaining ${run[i]} at position ${k}`, { value: run[i] });
+        arr[k] = run[i];
+        i++;
+        k++;
+    }
+    return k;
+}
+
+/**
+ * Merge arr[low..mid] and arr[mid+1..high] through a buffer, writing one value per step
+ * Takes from the left run on ties, so the merge is stable.
+ * @param {number[]} arr - Array being sorted
+ * @param {number} low - Start of the left run
+ * @param {number} mid - End of the left run
+ * @param {number} high - End of the right run
+ * @param {Function} record - Step recorder; details of a write carry the value written
+ */
+function mergeRuns(arr, low, mid, high, record) {
+    const L = copyRun(arr, low, mid);
+    const R = copyRun(arr, mid + 1, high);
+
+    record(StepType.MERGE, [low, high], `Merging [${L.join(', ')}] and [${R.join(', ')}]`);
+
+    let i = 0;
+    let j = 0;
+    let k = low;
+
+    while (i < L.length || j < R.length) {
+        let value;
+
+        if (i < L.length && j < R.length) {
+            record(StepType.COMPARE, [low + i, mid + 1 + j], `Comparing ${L[i]} and ${R[j]}`);
+            value = L[i] <= R[j] ? L[i++] : R[j++];
+        } else {
+            value = i < L.length ? L[i++] : R[j++];
+        }
+
+        record(StepType.WRITE, [k], `Write ${value} to position ${k}`, { value });
+        arr[k] = value;
+        k++;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { insertRange, heapSiftDown, copyRun, drainRun, mergeRuns };
+}
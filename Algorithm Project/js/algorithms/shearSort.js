@@ -0,0 +1,341 @@
+/**
+ * Shear Sort Algorithm with Step Tracking
+ * Time Complexity: O(√n log n) parallel steps on a √n × √n mesh, O(n √n log n) comparisons
+ * Space Complexity: O(1)
+ *
+ * Lays the array out as a grid, row by row, and alternates row phases (rows
+ * alternate direction - snake order - with the bottom row ascending) with
+ * column phases (ascending downwards). Each phase is odd-even transposition
+ * sort on every row or column at once; comparators in one round touch disjoint
+ * cells, so steps carry a `stage` and the Animator plays each round as one frame.
+ *
+ * When n does not fill the grid, the bottom row ends in empty cells that act as
+ * +∞. They sit where the largest values belong in every row and column phase
+ * (the right end of the ascending bottom row, the bottom of their columns), so
+ * they never move and comparators that touch them are left out.
+ */
+class ShearSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Shear Sort (2D Mesh)',
+            { best: 'O(√n log n)', average: 'O(√n log n)', worst: 'O(√n log n)' },
+            'O(1)'
+        );
+        this.rows = 0;
+        this.cols = 0;
+        this.phaseCount = 0;
+        this.roundCount = 0;
+    }
+
+    /**
+     * Cell colors encode the value, so the input must be numeric
+     * @param {string} inputType - Key of GameManager.inputTypes
+     * @returns {boolean} False for strings
+     */
+    supportsInput(inputType) {
+        return inputType !== 'strings';
+    }
+
+    /**
+     * Grid shape for n cells: ⌊√n⌋ rows, at least 2, and as many columns as it takes
+     * The last rows × cols - n cells (fewer than one row) are +∞ padding.
+     * @param {number} n - Number of elements
+     * @returns {Object} {rows, cols}
+     */
+    getShape(n) {
+        const rows = n < 2 ? 1 : Math.max(2, Math.floor(Math.sqrt(n)));
+        return { rows, cols: Math.ceil(n / rows) };
+    }
+
+    /**
+     * Snake direction of a row, counted from the bottom so the padded bottom row
+     * always sorts ascending
+     * @param {number} row - Row number, 0 at the top
+     * @returns {boolean} True if the row sorts largest first
+     */
+    isDescendingRow(row) {
+        return (this.rows - 1 - row) % 2 === 1;
+    }
+
+    /**
+     * Generate all steps for shear sort
+     * @param {number[]} inputArray - The array to sort, laid out row by row
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+
+        if (n === 0) {
+            return this.steps;
+        }
+
+        const { rows, cols } = this.getShape(n);
+        const columnPhases = Math.ceil(Math.log2(rows));
+        this.rows = rows;
+        this.cols = cols;
+        this.phaseCount = 2 * columnPhases + 1;
+        this.roundCount = 0;
+
+        const padding = rows * cols - n;
+        const fill = padding === 0 ? ''
+            : padding === 1 ? '; the empty cell at the end counts as +∞ and never moves'
+            : `; the ${padding} empty cells at the end count as +∞ and never move`;
+        const snake = Array.from({ length: rows }, (_, r) => (this.isDescendingRow(r) ? '←' : '→'));
+        const down = Array.from({ length: rows }, () => '↓');
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `Lay the ${n} values out as a ${rows} × ${cols} grid, row by row${fill}. ` +
+            `⌈log₂ ${rows}⌉ = ${columnPhases}, so ${columnPhases + 1} row phase${columnPhases === 0 ? '' : 's'} alternate with ${columnPhases} column phase${columnPhases === 1 ? '' : 's'}`,
+            false,
+            { grid: { rows, cols, arrows: snake } }
+        ));
+
+        for (let phase = 0; phase < this.phaseCount; phase++) {
+            const rowPhase = phase % 2 === 0;
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                rowPhase
+                    ? `Phase ${phase + 1}/${this.phaseCount}: sort every row in snake order - the bottom row ascending →, the rows above alternating ← and →`
+                    : `Phase ${phase + 1}/${this.phaseCount}: sort every column, smallest at the top`,
+                false,
+                { grid: { rows, cols, arrows: rowPhase ? snake : down } }
+            ));
+
+            if (rowPhase) {
+                this.sortLines(arr, rows, cols, r => r * cols, 1, r => this.isDescendingRow(r), 'row');
+            } else {
+                this.sortLines(arr, cols, rows, c => c, cols, () => false, 'column');
+            }
+        }
+
+        // The grid is sorted in snake order; flip the descending rows to read it row by row
+        for (let r = rows % 2; r < rows - 1; r += 2) {
+            this.steps.push(this.createStep(
+                StepType.REVERSE,
+                [r * cols, r * cols + cols - 1],
+                arr,
+                `Snake order is sorted. Flip row ${r} to read the grid row by row`,
+                false,
+                { grid: { rows, cols, arrows: snake.map(() => '→') } }
+            ));
+
+            const reversed = arr.slice(r * cols, r * cols + cols).reverse();
+            arr.splice(r * cols, cols, ...reversed);
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Odd-even transposition sort on every row or every column at once
+     * Round t compares cells (t mod 2, t mod 2 + 1), (t mod 2 + 2, t mod 2 + 3), ... of
+     * every line; a line of length L is sorted after L rounds. Cells at index n and
+     * beyond are +∞ padding and already in place, so their comparators are skipped.
+     * @param {number[]} arr - Array being sorted
+     * @param {number} count - Number of lines
+     * @param {number} length - Cells per line
+     * @param {Function} startOf - Line number → index of its first cell
+     * @param {number} stride - Index distance between neighbouring cells of a line
+     * @param {Function} isDescending - Line number → true if the line sorts largest first
+     * @param {string} kind - 'row' or 'column', for descriptions
+     */
+    sortLines(arr, count, length, startOf, stride, isDescending, kind) {
+        for (let round = 0; round < length; round++) {
+            const first = round % 2;
+            if (first + 1 >= length) continue;
+
+            const details = { stage: this.roundCount++ };
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                `Round ${round + 1}/${length}: every ${kind} compares its ${first === 0 ? 'even' : 'odd'} pairs in parallel`,
+                false,
+                details
+            ));
+
+            for (let line = 0; line < count; line++) {
+                const descending = isDescending(line);
+
+                for (let k = first; k + 1 < length; k += 2) {
+                    const i = startOf(line) + k * stride;
+                    const j = i + stride;
+                    if (j >= arr.length) continue;
+
+                    this.steps.push(this.createStep(
+                        StepType.COMPARE,
+                        [i, j],
+                        arr,
+                        `${kind === 'row' ? `Row ${line}` : `Column ${line}`}: comparing ${arr[i]} and ${arr[j]}`,
+                        false,
+                        details
+                    ));
+
+                    if (descending ? arr[i] < arr[j] : arr[i] > arr[j]) {
+                        this.steps.push(this.createStep(
+                            StepType.SWAP,
+                            [i, j],
+                            arr,
+                            `${kind === 'row' ? `Row ${line}` : `Column ${line}`}: swap ${arr[i]} and ${arr[j]} so the ` +
+                            `${descending ? 'larger value goes left' : kind === 'row' ? 'smaller value goes left' : 'smaller value goes up'}`,
+                            true,  // User must perform this swap
+                            { ...details, line: kind, descending }
+                        ));
+
+                        [arr[i], arr[j]] = [arr[j], arr[i]];
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Counts for the demo screen, including the grid shape and parallel rounds
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            ...super.getStats(),
+            { label: 'Grid', value: `${this.rows} × ${this.cols}` },
+            { label: 'Phases', value: this.phaseCount },
+            { label: 'Parallel rounds', value: this.roundCount }
+        ];
+    }
+
+    /**
+     * Validate if user's swap is correct for shear sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = [...step.indices].sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: `Correct! Round ${step.stage + 1} swap.` };
+        }
+
+        const rule = step.line === 'column'
+            ? 'In a column phase, the smaller value of a vertical pair goes up'
+            : step.descending
+                ? 'This row sorts descending (snake order): the larger value goes left'
+                : 'This row sorts ascending: the smaller value goes left';
+
+        return {
+            valid: false,
+            message: `Incorrect. ${rule}. Take the out-of-order pairs of this round from the top-left.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Shear Sort** sorts a two-dimensional grid of processors, each holding one value and wired only to its four neighbours - a **mesh**. The demo colors each cell by its value (blue is small, red is large).
+
+### How It Works:
+1. Lay the n values out as an r × c grid, with r = ⌊√n⌋ (at least 2). If n does not fill it, the last cells are empty and count as +∞
+2. **Row phase**: sort every row in alternating directions, the bottom row ascending (→) and the row above it descending (←). Read this way, the grid is a **snake**
+3. **Column phase**: sort every column, smallest at the top
+4. Repeat: ⌈log₂ r⌉ column phases between ⌈log₂ r⌉ + 1 row phases
+5. The grid is now sorted in snake order; flipping the descending rows gives row-by-row order
+
+### Padding:
+- When n is not a multiple of r (a prime n never is), the bottom row ends in empty +∞ cells - so even a prime n gets a real 2D mesh
+- +∞ is already where the largest values go in every phase: the right end of the ascending bottom row and the bottom of its column
+- So the padding never moves, and the demo leaves out comparators that touch it
+
+### Why log r Phases Suffice (0-1 principle):
+- Mark every value below a threshold 0 and the rest 1; it is enough to sort every such 0/1 grid
+- A row of all 0s or all 1s is **clean**; the others are **dirty**
+- After a row phase, neighbouring dirty rows slope in opposite directions, so the column phase turns each such pair into at least one clean row
+- Every row + column pair halves the dirty rows: after ⌈log₂ r⌉ pairs one is left, and the last row phase sorts it
+
+### Parallel Cost:
+- Each phase is odd-even transposition sort on all rows (or columns) at once: c (or r) rounds
+- Every round compares disjoint neighbours, so a mesh does it in one time step - the demo plays a round as one frame
+- On a √n × √n mesh: **O(√n log n)** time steps, compared with O(n log n) comparisons sequentially
+
+### Key Characteristics:
+- **Not Stable**: Column and row swaps reorder equal values
+- **In-place**: Each processor holds one value
+- **Data-oblivious**: The same comparisons run for every input
+
+### When to Use:
+- Teaching mesh-connected parallel computers and the 0-1 principle
+- A simple baseline before optimal O(√n) mesh sorts (e.g. Schnorr-Shamir)
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure shearSort(G: r x c grid)
+    for phase := 1 to ceil(log2(r)) + 1 do
+        for each row i in parallel do
+            if r - 1 - i is even then
+                sort row i ascending          // Bottom row, left to right
+            else
+                sort row i descending         // Snake order
+            end if
+        end for
+        if phase <= ceil(log2(r)) then
+            for each column j in parallel do
+                sort column j ascending       // Top to bottom
+            end for
+        end if
+    end for
+end procedure
+
+// Each "sort" is odd-even transposition sort:
+// line length L, L rounds of disjoint neighbour compare-swaps
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [9, 3, 7, 1, 8, 2, 6, 4], action: '2 × 4 grid: rows [9, 3, 7, 1] and [8, 2, 6, 4]', highlight: [] },
+            { array: [9, 7, 3, 1, 2, 4, 6, 8], action: 'Row phase: bottom row 1 ascending, row 0 descending (snake)', highlight: [0, 1, 2, 3, 4, 5, 6, 7] },
+            { array: [2, 4, 3, 1, 9, 7, 6, 8], action: 'Column phase: the smaller value of each column moves up', highlight: [0, 1, 4, 5] },
+            { array: [4, 3, 2, 1, 6, 7, 8, 9], action: 'Row phase: row 0 descending, row 1 ascending - snake order is sorted', highlight: [0, 1, 2, 3, 4, 5, 6, 7] },
+            { array: [1, 2, 3, 4, 6, 7, 8, 9], action: 'Flip row 0 to read the grid row by row', highlight: [0, 1, 2, 3], sorted: [0, 1, 2, 3, 4, 5, 6, 7] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShearSort };
+}
@@ -0,0 +1,337 @@
+/**
+ * Shell Sort Algorithm with Step Tracking
+ * Time Complexity: depends on the gap sequence - worst O(n²) for Shell's n/2,
+ * O(n^(3/2)) for Knuth, O(n^(4/3)) for Sedgewick, unproven for Ciura
+ * Space Complexity: O(1)
+ *
+ * A generalization of insertion sort that first sorts elements far apart
+ * (h-sorting with a decreasing gap h), finishing with a plain insertion sort (h = 1).
+ */
+class ShellSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Shell Sort',
+            null,
+            'O(1)'
+        );
+        this.options = { gapSequence: 'knuth' };
+        this.updateComplexity();
+    }
+
+    getOptions() {
+        return [
+            {
+                key: 'gapSequence',
+                label: 'Gap Sequence',
+                choices: [
+                    { value: 'shell', label: "Shell's n/2" },
+                    { value: 'knuth', label: 'Knuth 3h+1' },
+                    { value: 'sedgewick', label: 'Sedgewick' },
+                    { value: 'ciura', label: 'Ciura' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Set an option; the gap sequence also changes the complexity bounds
+     * @param {string} key - Option key
+     * @param {string} value - Choice value
+     */
+    setOption(key, value) {
+        super.setOption(key, value);
+        this.updateComplexity();
+    }
+
+    /**
+     * Bounds of the current gap sequence; Ciura's gaps were found by experiment
+     * and have no proven bound
+     */
+    updateComplexity() {
+        const bounds = {
+            shell: { average: 'O(n^(3/2))', worst: 'O(n²)' },
+            knuth: { average: 'O(n^(4/3))', worst: 'O(n^(3/2))' },
+            sedgewick: { average: 'O(n^(7/6))', worst: 'O(n^(4/3))' },
+            ciura: { average: 'Unknown', worst: 'Unknown' }
+        };
+        this.timeComplexity = { best: 'O(n log n)', ...bounds[this.options.gapSequence] };
+    }
+
+    /**
+     * Get the gaps to use for an array of size n, largest first
+     * @param {number} n - Array length
+     * @returns {number[]} Decreasing gaps ending in 1
+     */
+    getGaps(n) {
+        const gaps = [];
+
+        switch (this.options.gapSequence) {
+            case 'shell':
+                // n/2, n/4, ..., 1
+                for (let h = Math.floor(n / 2); h > 0; h = Math.floor(h / 2)) {
+                    gaps.push(h);
+                }
+                break;
+
+            case 'sedgewick':
+                // 1, 8, 23, 77, 281, ... (4^k + 3·2^(k-1) + 1)
+                gaps.push(1);
+                for (let k = 1; ; k++) {
+                    const h = Math.pow(4, k) + 3 * Math.pow(2, k - 1) + 1;
+                    if (h >= n) break;
+                    gaps.push(h);
+                }
+                gaps.reverse();
+                break;
+
+            case 'ciura':
+                // Empirically derived, extended by a factor of 2.25
+                {
+                    const ciura = [1, 4, 10, 23, 57, 132, 301, 701];
+                    let h = ciura[ciura.length - 1];
+                    while (h < n) {
+                        h = Math.floor(h * 2.25);
+                        ciura.push(h);
+                    }
+                    gaps.push(...ciura.filter(g => g < n || g === 1).reverse());
+                }
+                break;
+
+            case 'knuth':
+            default:
+                // 1, 4, 13, 40, ... up to n/3
+                {
+                    let h = 1;
+                    while (h < Math.floor(n / 3)) {
+                        h = 3 * h + 1;
+                    }
+                    for (; h > 0; h = Math.floor(h / 3)) {
+                        gaps.push(h);
+                    }
+                }
+                break;
+        }
+
+        return gaps;
+    }
+
+    /**
+     * Generate all steps for shell sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+
+        for (const gap of this.getGaps(n)) {
+            // Announce the gap; each residue class mod gap is one subsequence
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                gap === 1
+                    ? 'Gap 1: final pass is a plain insertion sort'
+                    : `Gap ${gap}: insertion sort each of the ${Math.min(gap, n)} interleaved subsequences`,
+                false,
+                { gap }
+            ));
+
+            // Gapped insertion sort
+            for (let i = gap; i < n; i++) {
+                let j = i;
+
+                while (j >= gap) {
+                    this.steps.push(this.createStep(
+                        StepType.COMPARE,
+                        [j - gap, j],
+                        arr,
+                        `Comparing ${arr[j - gap]} and ${arr[j]} (${gap} apart)`,
+                        false,
+                        { gap }
+                    ));
+
+                    if (arr[j - gap] <= arr[j]) {
+                        break;
+                    }
+
+                    this.steps.push(this.createStep(
+                        StepType.SWAP,
+                        [j - gap, j],
+                        arr,
+                        `Swap ${arr[j - gap]} and ${arr[j]}: ${arr[j - gap]} > ${arr[j]} within the gap-${gap} subsequence`,
+                        true,  // User must perform this swap
+                        { gap }
+                    ));
+
+                    [arr[j - gap], arr[j]] = [arr[j], arr[j - gap]];
+                    j -= gap;
+                }
+            }
+        }
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Validate if user's swap is correct for shell sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: `Correct! You swapped within the gap-${step.gap} subsequence.` };
+        }
+
+        if (Math.abs(userIndices[1] - userIndices[0]) !== step.gap) {
+            return {
+                valid: false,
+                message: `Incorrect. With gap ${step.gap}, only swap elements that are exactly ${step.gap} positions apart.`
+            };
+        }
+
+        return {
+            valid: false,
+            message: `Incorrect. In Shell Sort, insert the current element into its subsequence by swapping it with the larger element ${step.gap} positions to its left.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**Shell Sort** improves insertion sort by letting elements move long distances early on. It insertion-sorts elements that are a fixed gap apart, then shrinks the gap until it reaches 1.
+
+### How It Works:
+1. Pick a gap h from a decreasing gap sequence
+2. Treat every h-th element as one subsequence (there are h interleaved subsequences)
+3. Insertion sort each subsequence - the array is now "h-sorted"
+4. Move to the next smaller gap and repeat
+5. The last pass uses h = 1, which is an ordinary insertion sort on an almost-sorted array
+
+### Gap Sequences:
+- **Shell's n/2**: n/2, n/4, ..., 1 - simple, but O(n²) in the worst case
+- **Knuth 3h+1**: 1, 4, 13, 40, ... - O(n^(3/2)) worst case
+- **Sedgewick**: 1, 8, 23, 77, 281, ... - O(n^(4/3)) worst case
+- **Ciura**: 1, 4, 10, 23, 57, 132, 301, 701 - found experimentally, fastest in practice, but with no proven bound
+
+### Key Characteristics:
+- **Not Stable**: Long-distance swaps can reorder equal elements
+- **In-place**: Only requires O(1) extra space
+- **Adaptive**: Each h-sorted pass keeps the next pass cheap
+- **Complexity depends on the gaps**: The exact bound is still open for many sequences
+
+### When to Use:
+- Medium-sized arrays where a simple, non-recursive sort is wanted
+- Embedded systems with no room for a call stack or extra buffers
+        `.trim();
+    }
+
+    getPseudocode() {
+        const gapLines = {
+            shell: 'gaps := [n/2, n/4, ..., 1]',
+            knuth: 'gaps := [..., 40, 13, 4, 1]      // h := 3h + 1, h < n/3',
+            sedgewick: 'gaps := [..., 281, 77, 23, 8, 1] // 4^k + 3·2^(k-1) + 1',
+            ciura: 'gaps := [701, 301, 132, 57, 23, 10, 4, 1]'
+        };
+
+        return `
+procedure shellSort(A: list of sortable items)
+    n := length(A)
+    ${gapLines[this.options.gapSequence]}
+
+    for each gap in gaps do
+        // Gapped insertion sort: h-sort the array
+        for i := gap to n-1 do
+            j := i
+            while j >= gap and A[j - gap] > A[j] do
+                swap(A[j - gap], A[j])
+                j := j - gap
+            end while
+        end for
+    end for
+end procedure
+        `.trim();
+    }
+
+    /**
+     * Build the walkthrough by running the selected gap sequence on an example
+     * @returns {Object[]} Walkthrough entries: each gap's subsequences and its pass, then the result
+     */
+    getExampleWalkthrough() {
+        const example = [9, 8, 3, 7, 5, 6, 4, 1];
+        const tracer = new ShellSort();
+        tracer.options = { ...this.options };
+        const steps = tracer.generateSteps(example);
+        const gaps = tracer.getGaps(example.length);
+
+        const walkthrough = [
+            { array: [...example], action: `Initial array, gap${gaps.length === 1 ? '' : 's'} ${gaps.join(', ')}`, highlight: [] }
+        ];
+
+        steps.forEach((step, k) => {
+            if (step.type !== StepType.DIVIDE) return;
+
+            const gap = step.gap;
+            const end = steps.findIndex((next, j) => j > k && next.type !== StepType.COMPARE && next.type !== StepType.SWAP);
+            const swaps = steps.slice(k + 1, end).filter(next => next.type === StepType.SWAP);
+
+            if (gap === 1) {
+                walkthrough.push({ array: [...step.arrayState], action: `Gap 1: plain insertion sort${gaps.length > 1 ? ', only short moves remain' : ''}`, highlight: [] });
+                return;
+            }
+
+            const subsequences = Array.from({ length: gap }, (_, r) =>
+                example.map((_, i) => i).filter(i => i % gap === r)
+            );
+            walkthrough.push({
+                array: [...step.arrayState],
+                action: `Gap ${gap}: subsequences ${subsequences.map(group => `(${group.map(i => step.arrayState[i]).join(',')})`).join(', ')}`,
+                highlight: subsequences[0]
+            });
+            walkthrough.push({
+                array: [...steps[end].arrayState],
+                action: `${swaps.length === 0 ? 'No swaps' : `${swaps.length} swap${swaps.length === 1 ? '' : 's'}`} - the array is ${gap}-sorted`,
+                highlight: [...new Set(swaps.flatMap(swap => swap.indices))].sort((a, b) => a - b)
+            });
+        });
+
+        const sorted = [...example].sort((a, b) => a - b);
+        walkthrough.push({ array: sorted, action: 'Final sorted array', highlight: [], sorted: sorted.map((_, i) => i) });
+
+        return walkthrough;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShellSort };
+}
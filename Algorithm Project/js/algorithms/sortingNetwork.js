@@ -0,0 +1,150 @@
+/**
+ * Sorting Network Base Class with Stage Tracking
+ * Time Complexity: O(n log² n) comparators, O(log² n) parallel stages
+ * Space Complexity: O(1)
+ *
+ * A sorting network is a fixed list of comparators that does not depend on
+ * the data. Comparators in the same stage touch disjoint positions, so they
+ * can all run at once; steps carry a `stage` number and the Animator plays
+ * each stage as a single frame.
+ */
+class SortingNetwork extends SortingAlgorithm {
+    /**
+     * Build the comparator stages for a power-of-two size
+     * Every comparator [i, j] has i < j and moves the smaller value to i.
+     * @param {number} size - Network width (power of two)
+     * @returns {Object[]} Stages {label, comparators: number[][]}
+     */
+    getStages(size) {
+        throw new Error('Must implement getStages');
+    }
+
+    /**
+     * Generate all steps, stage by stage
+     *
+     * Arrays whose length is not a power of two are padded with +∞ at the end.
+     * Comparators only ever move the smaller value down, so the padding never
+     * moves and comparators that touch it can be left out.
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+
+        let size = 1;
+        while (size < n) {
+            size *= 2;
+        }
+
+        const stages = this.getStages(size)
+            .map(stage => ({
+                ...stage,
+                comparators: stage.comparators.filter(([, j]) => j < n)
+            }))
+            .filter(stage => stage.comparators.length > 0);
+
+        this.stageCount = stages.length;
+
+        stages.forEach((stage, s) => {
+            const details = { stage: s };
+
+            this.steps.push(this.createStep(
+                StepType.DIVIDE,
+                [],
+                arr,
+                `Stage ${s + 1}/${stages.length}: ${stage.comparators.length} comparator${stage.comparators.length === 1 ? '' : 's'} in parallel (${stage.label})`,
+                false,
+                details
+            ));
+
+            stage.comparators.forEach(([i, j]) => {
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [i, j],
+                    arr,
+                    `Comparator (${i}, ${j}): comparing ${arr[i]} and ${arr[j]}`,
+                    false,
+                    details
+                ));
+
+                if (arr[i] > arr[j]) {
+                    this.steps.push(this.createStep(
+                        StepType.SWAP,
+                        [i, j],
+                        arr,
+                        `Comparator (${i}, ${j}): swap ${arr[i]} and ${arr[j]} so the smaller value goes to ${i}`,
+                        true,  // User must perform this swap
+                        details
+                    ));
+
+                    [arr[i], arr[j]] = [arr[j], arr[i]];
+                }
+            });
+        });
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Counts for the demo screen, including the parallel depth
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        return [
+            ...super.getStats(),
+            { label: 'Parallel stages', value: this.stageCount || 0 }
+        ];
+    }
+
+    /**
+     * Validate if user's swap is correct for a sorting network
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: `Correct! Comparator fired in stage ${step.stage + 1}.` };
+        }
+
+        return {
+            valid: false,
+            message: `Incorrect. In stage ${step.stage + 1}, fire the next out-of-order comparator from left to right (smaller value to the lower index).`
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SortingNetwork };
+}
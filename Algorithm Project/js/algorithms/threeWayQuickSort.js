@@ -0,0 +1,321 @@
+/**
+ * 3-Way Quick Sort Algorithm with Step Tracking
+ * Time Complexity: O(n log n) average, O(n) when all keys are equal, O(n²) worst
+ * Space Complexity: O(log n) for call stack
+ *
+ * Dijkstra's Dutch national flag partition: one left-to-right scan splits the
+ * subarray into < pivot, = pivot and > pivot regions. The equal band is final
+ * and never recursed on, which makes duplicate-heavy inputs fast.
+ */
+class ThreeWayQuickSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            '3-Way Quick Sort',
+            { best: 'O(n)', average: 'O(n log n)', worst: 'O(n²)' },
+            'O(log n)'
+        );
+    }
+
+    /**
+     * Generate all steps for 3-way quick sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        this.quickSortRecursive(arr, 0, arr.length - 1);
+
+        // Mark all as sorted at the end
+        for (let i = 0; i < arr.length; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Array is completely sorted`,
+                false,
+                i === 0 ? { partitions: [] } : {}
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Recursive 3-way quick sort with step tracking
+     * @param {number[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     */
+    quickSortRecursive(arr, low, high) {
+        if (low >= high) {
+            if (low === high) {
+                this.steps.push(this.createStep(
+                    StepType.SORTED,
+                    [low],
+                    arr,
+                    `Single element ${arr[low]} is sorted`,
+                    false
+                ));
+            }
+            return;
+        }
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [low, high],
+            arr,
+            `Sorting subarray from index ${low} to ${high}`,
+            false,
+            { partitions: [] }
+        ));
+
+        const [lt, gt] = this.partition(arr, low, high);
+
+        const band = [];
+        for (let k = lt; k <= gt; k++) {
+            band.push(k);
+        }
+        this.steps.push(this.createStep(
+            StepType.SORTED,
+            band,
+            arr,
+            gt > lt
+                ? `All ${gt - lt + 1} copies of ${arr[lt]} (positions ${lt}-${gt}) are in their final positions`
+                : `Pivot ${arr[lt]} is now in its final position`,
+            false
+        ));
+
+        // Only the < and > regions are recursed on
+        this.quickSortRecursive(arr, low, lt - 1);
+        this.quickSortRecursive(arr, gt + 1, high);
+    }
+
+    /**
+     * Dutch national flag partition with step tracking, pivot = first element
+     * Invariant: arr[low..lt-1] < pivot, arr[lt..i-1] = pivot, arr[i..gt] unscanned, arr[gt+1..high] > pivot
+     * @param {number[]} arr - Array being sorted
+     * @param {number} low - Left boundary
+     * @param {number} high - Right boundary
+     * @returns {number[]} [lt, gt] bounds of the equal band
+     */
+    partition(arr, low, high) {
+        const pivot = arr[low];
+        let lt = low;
+        let i = low + 1;
+        let gt = high;
+
+        this.steps.push(this.createStep(
+            StepType.PIVOT,
+            [low],
+            arr,
+            `Selected pivot: ${pivot} (first element)`,
+            false,
+            { partitions: this.getPartitions(low, lt, i, gt, high, pivot) }
+        ));
+
+        while (i <= gt) {
+            const details = { partitions: this.getPartitions(low, lt, i, gt, high, pivot) };
+
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [i, lt],
+                arr,
+                `Comparing ${arr[i]} with pivot ${pivot}`,
+                false,
+                details
+            ));
+
+            if (arr[i] < pivot) {
+                this.steps.push(this.createStep(
+                    StepType.SWAP,
+                    [lt, i],
+                    arr,
+                    `${arr[i]} < ${pivot}: swap with ${arr[lt]} at the start of the equal band to grow the < region`,
+                    true,  // User must perform this swap
+                    { ...details, region: 'less' }
+                ));
+
+                [arr[lt], arr[i]] = [arr[i], arr[lt]];
+                lt++;
+                i++;
+            } else if (arr[i] > pivot) {
+                if (i !== gt) {
+                    this.steps.push(this.createStep(
+                        StepType.SWAP,
+                        [i, gt],
+                        arr,
+                        `${arr[i]} > ${pivot}: swap with ${arr[gt]}, the last unscanned element, to grow the > region`,
+                        true,  // User must perform this swap
+                        { ...details, region: 'greater' }
+                    ));
+
+                    [arr[i], arr[gt]] = [arr[gt], arr[i]];
+                } else {
+                    this.steps.push(this.createStep(
+                        StepType.SELECT,
+                        [i],
+                        arr,
+                        `${arr[i]} > ${pivot}: already next to the > region`,
+                        false,
+                        details
+                    ));
+                }
+                gt--;
+            } else {
+                this.steps.push(this.createStep(
+                    StepType.SELECT,
+                    [i],
+                    arr,
+                    `${arr[i]} = ${pivot}: it joins the equal band`,
+                    false,
+                    details
+                ));
+                i++;
+            }
+        }
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [lt, gt],
+            arr,
+            `Partition done: < ${pivot} in ${this.formatRange(low, lt - 1)}, = ${pivot} in ${this.formatRange(lt, gt)}, > ${pivot} in ${this.formatRange(gt + 1, high)}`,
+            false,
+            { partitions: this.getPartitions(low, lt, i, gt, high, pivot) }
+        ));
+
+        return [lt, gt];
+    }
+
+    /**
+     * Describe the settled regions for the renderer
+     * @param {number} low - Left boundary
+     * @param {number} lt - First index of the equal band
+     * @param {number} i - First unscanned index
+     * @param {number} gt - Last unscanned index
+     * @param {number} high - Right boundary
+     * @param {number} pivot - Pivot value
+     * @returns {Object[]} Bands {start, end, kind, label}; empty ones are skipped by the renderer
+     */
+    getPartitions(low, lt, i, gt, high, pivot) {
+        return [
+            { start: low, end: lt - 1, kind: 'less', label: `< ${pivot}` },
+            { start: lt, end: i - 1, kind: 'equal', label: `= ${pivot}` },
+            { start: gt + 1, end: high, kind: 'greater', label: `> ${pivot}` }
+        ];
+    }
+
+    /**
+     * Validate if user's swap is correct for 3-way quick sort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return {
+                valid: true,
+                message: step.region === 'less' ? 'Correct! The < region grows.' : 'Correct! The > region grows.'
+            };
+        }
+
+        return {
+            valid: false,
+            message: `Incorrect. In 3-way partitioning, the next unscanned element goes to the < region (swap with the first element of the equal band) or to the > region (swap with the last unscanned element).`
+        };
+    }
+
+    getExplanation() {
+        return `
+**3-Way Quick Sort** partitions around a pivot into three regions instead of two: smaller, equal and larger. It is Dijkstra's solution to the Dutch national flag problem.
+
+### How It Works:
+1. **Choose a Pivot**: We use the first element
+2. **Scan once**: Keep three pointers lt, i and gt
+   - arr[i] < pivot: swap arr[lt] and arr[i], advance lt and i
+   - arr[i] > pivot: swap arr[i] and arr[gt], shrink gt (do not advance i - the new element is unscanned)
+   - arr[i] = pivot: advance i
+3. **Recurse**: Sort the < region and the > region. The equal band is already final!
+
+### Why Three Regions?
+- Standard Quick Sort keeps recursing on runs of equal keys, which degrades to O(n²) when everything is equal
+- Here all copies of the pivot are finished in one partition
+- With only k distinct keys, the recursion depth is at most k
+- Try it with the "With Duplicates" input type
+
+### Key Characteristics:
+- **Not Stable**: May change relative order of equal elements
+- **In-place**: Requires only O(log n) stack space
+- **Entropy-optimal**: Runs in linear time when there are few distinct keys
+
+### When to Use:
+- Data with many duplicate keys (grades, categories, ages)
+- Sorting records by a key with few distinct values
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure quickSort3(A, low, high)
+    if low >= high then
+        return
+    end if
+
+    pivot := A[low]            // Choose first element as pivot
+    lt := low                  // A[low..lt-1]  < pivot
+    i := low + 1               // A[lt..i-1]    = pivot
+    gt := high                 // A[gt+1..high] > pivot
+
+    while i <= gt do
+        if A[i] < pivot then
+            swap(A[lt], A[i])
+            lt := lt + 1
+            i := i + 1
+        else if A[i] > pivot then
+            swap(A[i], A[gt])
+            gt := gt - 1       // A[i] is new: check it next
+        else
+            i := i + 1         // Equal: joins the band
+        end if
+    end while
+
+    quickSort3(A, low, lt - 1)     // Equal band A[lt..gt] is final
+    quickSort3(A, gt + 1, high)
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [3, 5, 3, 1, 3, 2, 5], action: 'Initial array, pivot = 3 (first element)', highlight: [0] },
+            { array: [3, 5, 3, 1, 3, 2, 5], action: '5 > 3: swap with the last unscanned element 5', highlight: [1, 6] },
+            { array: [3, 2, 3, 1, 3, 5, 5], action: '5 > 3 again: swap with 2, the > region grows', highlight: [1, 5] },
+            { array: [2, 3, 3, 1, 3, 5, 5], action: '2 < 3: swap with the first 3 - the < region grows', highlight: [0, 1] },
+            { array: [2, 1, 3, 3, 3, 5, 5], action: '3 = 3 joins the band; 1 < 3 swaps with the first 3', highlight: [1, 3] },
+            { array: [2, 1, 3, 3, 3, 5, 5], action: 'Last 3 joins the band: [3, 3, 3] is final', highlight: [], sorted: [2, 3, 4] },
+            { array: [1, 2, 3, 3, 3, 5, 5], action: 'Recurse on [2, 1] and [5, 5] only', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ThreeWayQuickSort };
+}
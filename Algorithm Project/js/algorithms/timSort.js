@@ -0,0 +1,840 @@
+/**
+ * TimSort Algorithm with Step Tracking
+ * Time Complexity: O(n) best (already sorted), O(n log n) average/worst
+ * Space Complexity: O(n)
+ *
+ * A hybrid of merge sort and binary insertion sort that exploits existing order:
+ * it detects natural runs, extends short runs to minrun with binary insertion,
+ * and merges runs from a stack whose lengths follow Fibonacci-like invariants.
+ *
+ * The constants are scaled down (MIN_MERGE 32 → 8, MIN_GALLOP 7 → 3) so that
+ * runs, merges and galloping all show up on the small arrays the game uses.
+ */
+class TimSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'TimSort',
+            { best: 'O(n)', average: 'O(n log n)', worst: 'O(n log n)' },
+            'O(n)'
+        );
+        this.minMerge = 8;
+        this.minGallop = 3;
+    }
+
+    /**
+     * Compute the minimum run length for an array of size n
+     * Takes the top bits of n, adding 1 if any remaining bit is set,
+     * so that n / minrun is a power of two or slightly less
+     * @param {number} n - Array length
+     * @returns {number} Minimum run length
+     */
+    computeMinRun(n) {
+        let r = 0;
+        while (n >= this.minMerge) {
+            r |= n & 1;
+            n >>= 1;
+        }
+        return n + r;
+    }
+
+    /**
+     * Snapshot of the run stack as [start, end] ranges for the renderer
+     * @returns {number[][]} Run ranges
+     */
+    runRanges() {
+        return this.runStack.map(run => [run.base, run.base + run.len - 1]);
+    }
+
+    /**
+     * Generate all steps for TimSort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        const minRun = this.computeMinRun(n);
+        this.runStack = [];
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            n < this.minMerge
+                ? `n = ${n} is below MIN_MERGE (${this.minMerge}): the whole array becomes one run`
+                : `n = ${n}: minrun = ${minRun}, so runs shorter than ${minRun} are extended`,
+            false,
+            { runs: [] }
+        ));
+
+        let lo = 0;
+        while (lo < n) {
+            let runLen = this.countRunAndMakeAscending(arr, lo);
+
+            // Extend short runs to minrun with binary insertion sort
+            if (runLen < minRun) {
+                const force = Math.min(minRun, n - lo);
+                if (force > runLen) {
+                    this.steps.push(this.createStep(
+                        StepType.RUN,
+                        [lo, lo + runLen - 1],
+                        arr,
+                        `Run of length ${runLen} is shorter than minrun ${minRun}: extend it to ${force} with binary insertion`,
+                        false,
+                        { runs: [...this.runRanges(), [lo, lo + force - 1]] }
+                    ));
+                    this.binaryInsertionSort(arr, lo, lo + force, lo + runLen);
+                }
+                runLen = force;
+            }
+
+            // Push the run and restore the stack invariants
+            this.runStack.push({ base: lo, len: runLen });
+            this.steps.push(this.createStep(
+                StepType.RUN,
+                [lo, lo + runLen - 1],
+                arr,
+                `Push run [${lo}..${lo + runLen - 1}] (length ${runLen}) onto the merge stack`,
+                false,
+                { runs: this.runRanges() }
+            ));
+
+            this.mergeCollapse(arr);
+            lo += runLen;
+        }
+
+        // Merge all remaining runs
+        this.mergeForceCollapse(arr);
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Find the natural run starting at lo, reversing it if strictly descending
+     * @param {number[]} arr - Array being sorted
+     * @param {number} lo - Start of the run
+     * @returns {number} Length of the run
+     */
+    countRunAndMakeAscending(arr, lo) {
+        const n = arr.length;
+        let hi = lo + 1;
+        if (hi === n) {
+            return 1;
+        }
+
+        this.steps.push(this.createStep(
+            StepType.COMPARE,
+            [lo, hi],
+            arr,
+            `Detect run at ${lo}: comparing ${arr[lo]} and ${arr[hi]}`,
+            false
+        ));
+
+        const descending = arr[hi] < arr[lo];
+        hi++;
+
+        while (hi < n) {
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [hi - 1, hi],
+                arr,
+                `Extend ${descending ? 'descending' : 'ascending'} run: comparing ${arr[hi - 1]} and ${arr[hi]}`,
+                false
+            ));
+
+            // Descending runs must be strict so reversing keeps the sort stable
+            if (descending ? !(arr[hi] < arr[hi - 1]) : arr[hi] < arr[hi - 1]) {
+                break;
+            }
+            hi++;
+        }
+
+        this.steps.push(this.createStep(
+            StepType.RUN,
+            [lo, hi - 1],
+            arr,
+            `Found ${descending ? 'strictly descending' : 'ascending'} run [${lo}..${hi - 1}] of length ${hi - lo}`,
+            false,
+            { runs: [...this.runRanges(), [lo, hi - 1]] }
+        ));
+
+        if (descending) {
+            // Reverse in place by swapping from both ends
+            for (let i = lo, j = hi - 1; i < j; i++, j--) {
+                this.steps.push(this.createStep(
+                    StepType.SWAP,
+                    [i, j],
+                    arr,
+                    `Reverse descending run: swap ${arr[i]} and ${arr[j]}`,
+                    true  // User must perform this swap
+                ));
+                [arr[i], arr[j]] = [arr[j], arr[i]];
+            }
+        }
+
+        return hi - lo;
+    }
+
+    /**
+     * Binary insertion sort of arr[lo..hi), where arr[lo..start) is already sorted
+     * @param {number[]} arr - Array being sorted
+     * @param {number} lo - Start of the range
+     * @param {number} hi - End of the range (exclusive)
+     * @param {number} start - First element not yet known to be sorted
+     */
+    binaryInsertionSort(arr, lo, hi, start) {
+        for (let i = start; i < hi; i++) {
+            const pivot = arr[i];
+
+            // Binary search for the insertion point (after equal elements, for stability)
+            let left = lo;
+            let right = i;
+            while (left < right) {
+                const mid = (left + right) >>> 1;
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [mid, i],
+                    arr,
+                    `Binary search for ${pivot} in [${left}..${right - 1}]: compare with ${arr[mid]}`,
+                    false
+                ));
+
+                if (pivot < arr[mid]) {
+                    right = mid;
+                } else {
+                    left = mid + 1;
+                }
+            }
+
+            this.steps.push(this.createStep(
+                StepType.INSERT,
+                [left],
+                arr,
+                left === i
+                    ? `${pivot} already belongs at position ${i}`
+                    : `${pivot} belongs at position ${left}: shift it left`,
+                false
+            ));
+
+            // Shift the pivot into place (represented as swaps for user interaction)
+            for (let j = i; j > left; j--) {
+                this.steps.push(this.createStep(
+                    StepType.SWAP,
+                    [j - 1, j],
+                    arr,
+                    `Move ${arr[j - 1]} one position to the right (swap positions ${j - 1} and ${j})`,
+                    true  // User must perform this swap
+                ));
+                [arr[j - 1], arr[j]] = [arr[j], arr[j - 1]];
+            }
+        }
+    }
+
+    /**
+     * Merge runs until the stack invariants hold, with X, Y, Z the top three runs:
+     * |X| > |Y| + |Z| and |Y| > |Z|
+     * @param {number[]} arr - Array being sorted
+     */
+    mergeCollapse(arr) {
+        const stack = this.runStack;
+
+        while (stack.length > 1) {
+            let n = stack.length - 2;
+            let reason;
+
+            if ((n > 0 && stack[n - 1].len <= stack[n].len + stack[n + 1].len) ||
+                (n > 1 && stack[n - 2].len <= stack[n - 1].len + stack[n].len)) {
+                reason = `|X| > |Y| + |Z| is violated`;
+                if (stack[n - 1].len < stack[n + 1].len) {
+                    n--;
+                }
+            } else if (stack[n].len <= stack[n + 1].len) {
+                reason = `|Y| > |Z| is violated (${stack[n].len} ≤ ${stack[n + 1].len})`;
+            } else {
+                break;
+            }
+
+            this.steps.push(this.createStep(
+                StepType.MERGE,
+                [stack[n].base, stack[n + 1].base + stack[n + 1].len - 1],
+                arr,
+                `Stack invariant ${reason}: merge runs of length ${stack[n].len} and ${stack[n + 1].len}`,
+                false,
+                { runs: this.runRanges() }
+            ));
+
+            this.mergeAt(arr, n);
+        }
+    }
+
+    /**
+     * Merge all runs on the stack once the input is exhausted
+     * @param {number[]} arr - Array being sorted
+     */
+    mergeForceCollapse(arr) {
+        const stack = this.runStack;
+
+        while (stack.length > 1) {
+            let n = stack.length - 2;
+            if (n > 0 && stack[n - 1].len < stack[n + 1].len) {
+                n--;
+            }
+
+            this.steps.push(this.createStep(
+                StepType.MERGE,
+                [stack[n].base, stack[n + 1].base + stack[n + 1].len - 1],
+                arr,
+                `Input exhausted: merge runs of length ${stack[n].len} and ${stack[n + 1].len}`,
+                false,
+                { runs: this.runRanges() }
+            ));
+
+            this.mergeAt(arr, n);
+        }
+    }
+
+    /**
+     * Merge the runs at stack positions i and i + 1
+     * @param {number[]} arr - Array being sorted
+     * @param {number} i - Stack index of the left run
+     */
+    mergeAt(arr, i) {
+        const stack = this.runStack;
+        let base1 = stack[i].base;
+        let len1 = stack[i].len;
+        const base2 = stack[i + 1].base;
+        let len2 = stack[i + 1].len;
+
+        // Record the merged run now; the merge below only rearranges its contents
+        stack[i] = { base: base1, len: len1 + len2 };
+        stack.splice(i + 1, 1);
+
+        // Elements of A that are <= B[0] are already in place
+        const skip = this.gallop(arr, arr[base2], arr, base1, len1, true, base2);
+        if (skip > 0) {
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                [base1, base1 + skip - 1],
+                arr,
+                `Gallop: the first ${skip} element(s) of the left run are ≤ ${arr[base2]} and already in place`,
+                false
+            ));
+            base1 += skip;
+            len1 -= skip;
+        }
+
+        // Elements of B that are >= A's last element are already in place
+        if (len1 > 0) {
+            const keep = this.gallop(arr, arr[base1 + len1 - 1], arr, base2, len2, false, base1 + len1 - 1);
+            if (keep < len2) {
+                this.steps.push(this.createStep(
+                    StepType.SELECT,
+                    [base2 + keep, base2 + len2 - 1],
+                    arr,
+                    `Gallop: the last ${len2 - keep} element(s) of the right run are ≥ ${arr[base1 + len1 - 1]} and already in place`,
+                    false
+                ));
+            }
+            len2 = keep;
+        }
+
+        // Copy the shorter run out, so temporary storage never exceeds n / 2
+        if (len1 > 0 && len2 > 0) {
+            if (len1 <= len2) {
+                this.mergeLo(arr, base1, len1, base2, len2);
+            } else {
+                this.mergeHi(arr, base1, len1, base2, len2);
+            }
+        }
+
+        this.steps.push(this.createStep(
+            StepType.MERGE,
+            [stack[i].base, stack[i].base + stack[i].len - 1],
+            arr,
+            `Merged into run [${stack[i].base}..${stack[i].base + stack[i].len - 1}] of length ${stack[i].len}`,
+            false,
+            { runs: this.runRanges() }
+        ));
+    }
+
+    /**
+     * Galloping search: exponential probes 1, 3, 7, ... then binary search
+     * @param {number[]} arr - Array being sorted
+     * @param {number} key - Value to locate
+     * @param {number[]} src - Array to search (the main array or the temp copy)
+     * @param {number} base - Start of the sorted range in src
+     * @param {number} len - Length of the range
+     * @param {boolean} right - Count elements <= key (true) or < key (false)
+     * @param {number} highlight - Bar index to highlight alongside in-array probes
+     * @param {boolean} fromEnd - Probe from the end of the range instead of the start
+     * @returns {number} Number of elements in the range that precede key
+     */
+    gallop(arr, key, src, base, len, right, highlight, fromEnd = false) {
+        const inArray = src === arr;
+        const precedes = value => right ? value <= key : value < key;
+        const probe = offset => {
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                inArray ? [base + offset, highlight] : [highlight],
+                arr,
+                `Gallop for ${key}: probe ${src[base + offset]} at offset ${offset}`,
+                false
+            ));
+            return precedes(src[base + offset]);
+        };
+
+        let lo = 0;
+        let hi = len;
+        let ofs = 1;
+
+        if (fromEnd) {
+            // Exponential phase from the end: offsets len - 1, len - 3, len - 7, ...
+            while (ofs <= len && !probe(len - ofs)) {
+                hi = len - ofs;
+                ofs = ofs * 2 + 1;
+            }
+            lo = ofs <= len ? len - ofs + 1 : 0;
+        } else {
+            // Exponential phase: offsets 0, 2, 6, 14, ...
+            while (ofs <= len && probe(ofs - 1)) {
+                lo = ofs;
+                ofs = ofs * 2 + 1;
+            }
+            hi = Math.min(ofs - 1, len);
+        }
+
+        // Binary phase within [lo, hi)
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (probe(mid)) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+
+        return lo;
+    }
+
+    /**
+     * Merge adjacent runs A = arr[base1..] and B = arr[base2..] left to right,
+     * copying A to temporary storage and switching to galloping mode when one
+     * run keeps winning; used when A is the shorter run
+     * @param {number[]} arr - Array being sorted
+     * @param {number} base1 - Start of run A
+     * @param {number} len1 - Length of run A
+     * @param {number} base2 - Start of run B (= base1 + len1)
+     * @param {number} len2 - Length of run B
+     */
+    mergeLo(arr, base1, len1, base2, len2) {
+        const tmp = arr.slice(base1, base1 + len1);
+        const endB = base2 + len2;
+        let i = 0;
+        let j = base2;
+        let dest = base1;
+
+        const write = (value, source) => {
+            this.steps.push(this.createStep(
+                StepType.WRITE,
+                [dest],
+                arr,
+                `Write ${value} from the ${source} run to position ${dest}`,
+                false,
+                { value }
+            ));
+            arr[dest] = value;
+            dest++;
+        };
+
+        this.steps.push(this.createStep(
+            StepType.MERGE,
+            [base1, endB - 1],
+            arr,
+            `Copy left run [${tmp.join(', ')}] to temporary storage and merge left to right`,
+            false
+        ));
+
+        while (i < len1 && j < endB) {
+            // One-at-a-time mode
+            let count1 = 0;
+            let count2 = 0;
+
+            while (i < len1 && j < endB) {
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [dest, j],
+                    arr,
+                    `Comparing ${tmp[i]} (left run) and ${arr[j]} (right run)`,
+                    false
+                ));
+
+                if (arr[j] < tmp[i]) {
+                    write(arr[j], 'right');
+                    j++;
+                    count2++;
+                    count1 = 0;
+                } else {
+                    write(tmp[i], 'left');
+                    i++;
+                    count1++;
+                    count2 = 0;
+                }
+
+                if (count1 >= this.minGallop || count2 >= this.minGallop) {
+                    break;
+                }
+            }
+
+            if (i >= len1 || j >= endB) {
+                break;
+            }
+
+            // Galloping mode
+            this.steps.push(this.createStep(
+                StepType.MERGE,
+                [dest],
+                arr,
+                `The ${count1 >= this.minGallop ? 'left' : 'right'} run won ${this.minGallop} times in a row: enter galloping mode`,
+                false
+            ));
+
+            let copied1;
+            let copied2;
+            do {
+                // How many of A's elements precede B[j]? Copy them as one block
+                copied1 = this.gallop(arr, arr[j], tmp, i, len1 - i, true, dest);
+                if (copied1 > 0) {
+                    this.steps.push(this.createStep(
+                        StepType.SELECT,
+                        [dest, dest + copied1 - 1],
+                        arr,
+                        `Gallop found ${copied1} element(s) of the left run ≤ ${arr[j]}: copy them as a block`,
+                        false
+                    ));
+                    for (let c = 0; c < copied1; c++) {
+                        write(tmp[i++], 'left');
+                    }
+                }
+                if (i >= len1) break;
+
+                write(arr[j++], 'right');
+                if (j >= endB) break;
+
+                // How many of B's elements precede A[i]? Copy them as one block
+                copied2 = this.gallop(arr, tmp[i], arr, j, endB - j, false, dest);
+                if (copied2 > 0) {
+                    this.steps.push(this.createStep(
+                        StepType.SELECT,
+                        [j, j + copied2 - 1],
+                        arr,
+                        `Gallop found ${copied2} element(s) of the right run < ${tmp[i]}: copy them as a block`,
+                        false
+                    ));
+                    for (let c = 0; c < copied2; c++) {
+                        write(arr[j++], 'right');
+                    }
+                }
+                if (j >= endB) break;
+
+                write(tmp[i++], 'left');
+                if (i >= len1) break;
+            } while (copied1 >= this.minGallop || copied2 >= this.minGallop);
+
+            if (i < len1 && j < endB) {
+                this.steps.push(this.createStep(
+                    StepType.MERGE,
+                    [dest],
+                    arr,
+                    `Galloping no longer pays off: back to one-at-a-time merging`,
+                    false
+                ));
+            }
+        }
+
+        // Whatever is left of A goes at the end; what is left of B is already in place
+        while (i < len1) {
+            write(tmp[i++], 'left');
+        }
+    }
+
+    /**
+     * Merge adjacent runs A = arr[base1..] and B = arr[base2..] right to left,
+     * copying B to temporary storage; the mirror image of mergeLo, used when
+     * B is the shorter run
+     * @param {number[]} arr - Array being sorted
+     * @param {number} base1 - Start of run A
+     * @param {number} len1 - Length of run A
+     * @param {number} base2 - Start of run B (= base1 + len1)
+     * @param {number} len2 - Length of run B
+     */
+    mergeHi(arr, base1, len1, base2, len2) {
+        const tmp = arr.slice(base2, base2 + len2);
+        let i = base1 + len1 - 1;
+        let j = len2 - 1;
+        let dest = base2 + len2 - 1;
+
+        const write = (value, source) => {
+            this.steps.push(this.createStep(
+                StepType.WRITE,
+                [dest],
+                arr,
+                `Write ${value} from the ${source} run to position ${dest}`,
+                false,
+                { value }
+            ));
+            arr[dest] = value;
+            dest--;
+        };
+
+        this.steps.push(this.createStep(
+            StepType.MERGE,
+            [base1, dest],
+            arr,
+            `Copy right run [${tmp.join(', ')}] to temporary storage and merge right to left`,
+            false
+        ));
+
+        while (i >= base1 && j >= 0) {
+            // One-at-a-time mode; on ties the right run's element goes last
+            let count1 = 0;
+            let count2 = 0;
+
+            while (i >= base1 && j >= 0) {
+                this.steps.push(this.createStep(
+                    StepType.COMPARE,
+                    [i, dest],
+                    arr,
+                    `Comparing ${arr[i]} (left run) and ${tmp[j]} (right run)`,
+                    false
+                ));
+
+                if (arr[i] > tmp[j]) {
+                    write(arr[i--], 'left');
+                    count1++;
+                    count2 = 0;
+                } else {
+                    write(tmp[j--], 'right');
+                    count2++;
+                    count1 = 0;
+                }
+
+                if (count1 >= this.minGallop || count2 >= this.minGallop) {
+                    break;
+                }
+            }
+
+            if (i < base1 || j < 0) {
+                break;
+            }
+
+            // Galloping mode
+            this.steps.push(this.createStep(
+                StepType.MERGE,
+                [dest],
+                arr,
+                `The ${count1 >= this.minGallop ? 'left' : 'right'} run won ${this.minGallop} times in a row: enter galloping mode`,
+                false
+            ));
+
+            let copied1;
+            let copied2;
+            do {
+                // How many of A's elements follow B[j]? Copy them as one block
+                const rest1 = i - base1 + 1;
+                copied1 = rest1 - this.gallop(arr, tmp[j], arr, base1, rest1, true, dest, true);
+                if (copied1 > 0) {
+                    this.steps.push(this.createStep(
+                        StepType.SELECT,
+                        [i - copied1 + 1, i],
+                        arr,
+                        `Gallop found ${copied1} element(s) of the left run > ${tmp[j]}: copy them as a block`,
+                        false
+                    ));
+                    for (let c = 0; c < copied1; c++) {
+                        write(arr[i--], 'left');
+                    }
+                }
+                if (i < base1) break;
+
+                write(tmp[j--], 'right');
+                if (j < 0) break;
+
+                // How many of B's elements follow A[i]? Copy them as one block
+                copied2 = j + 1 - this.gallop(arr, arr[i], tmp, 0, j + 1, false, dest, true);
+                if (copied2 > 0) {
+                    this.steps.push(this.createStep(
+                        StepType.SELECT,
+                        [dest - copied2 + 1, dest],
+                        arr,
+                        `Gallop found ${copied2} element(s) of the right run ≥ ${arr[i]}: copy them as a block`,
+                        false
+                    ));
+                    for (let c = 0; c < copied2; c++) {
+                        write(tmp[j--], 'right');
+                    }
+                }
+                if (j < 0) break;
+
+                write(arr[i--], 'left');
+                if (i < base1) break;
+            } while (copied1 >= this.minGallop || copied2 >= this.minGallop);
+
+            if (i >= base1 && j >= 0) {
+                this.steps.push(this.createStep(
+                    StepType.MERGE,
+                    [dest],
+                    arr,
+                    `Galloping no longer pays off: back to one-at-a-time merging`,
+                    false
+                ));
+            }
+        }
+
+        // Whatever is left of B goes at the front; what is left of A is already in place
+        while (j >= 0) {
+            write(tmp[j--], 'right');
+        }
+    }
+
+    /**
+     * Validate if user's swap is correct for TimSort
+     * @param {number} stepIndex - Current step index
+     * @param {Object} userAction - {type: 'swap', indices: [i, j]}
+     * @returns {Object} {valid: boolean, message: string}
+     */
+    validateMove(stepIndex, userAction) {
+        const step = this.steps[stepIndex];
+
+        if (!step) {
+            return { valid: false, message: 'Invalid step index' };
+        }
+
+        if (!step.isUserAction) {
+            return { valid: false, message: 'No user action required at this step' };
+        }
+
+        if (userAction.type !== 'swap') {
+            return { valid: false, message: 'Expected a swap action' };
+        }
+
+        const expectedIndices = step.indices.sort((a, b) => a - b);
+        const userIndices = [...userAction.indices].sort((a, b) => a - b);
+
+        if (expectedIndices[0] === userIndices[0] && expectedIndices[1] === userIndices[1]) {
+            return { valid: true, message: 'Correct! The run is taking shape.' };
+        }
+
+        return {
+            valid: false,
+            message: `Incorrect. In TimSort, reverse a descending run from both ends, or shift the binary-inserted element one position left.`
+        };
+    }
+
+    getExplanation() {
+        return `
+**TimSort** is the hybrid sort behind Python's \`sorted\`, Java's object sort and V8's \`Array.prototype.sort\`. It is built for real-world data, which is rarely random and usually contains ordered stretches ("runs").
+
+### How It Works:
+1. **Find runs**: Scan for a natural run - ascending, or strictly descending (reversed in place)
+2. **Extend short runs**: Runs shorter than *minrun* are extended with binary insertion sort
+3. **Push onto a stack**: Each run goes onto a merge stack
+4. **Keep the invariants**: For the top three runs X, Y, Z: |X| > |Y| + |Z| and |Y| > |Z|. Merge until both hold
+5. **Finish**: Merge everything left on the stack
+
+### Merging:
+- Copy the shorter run to temporary storage
+- Left run shorter: merge left to right; right run shorter: merge right to left
+- Either way the output never overwrites an element that has not been read yet
+
+### Galloping Mode:
+- While merging, count how many times in a row the same run wins
+- After MIN_GALLOP wins, switch to exponential search (1, 3, 7, 15, ...) to find how many elements can be copied as a block
+- Return to one-at-a-time merging once the blocks get small
+
+### Key Characteristics:
+- **Stable**: Equal elements keep their relative order
+- **Adaptive**: O(n) on sorted or reverse-sorted input, far fewer comparisons on nearly sorted data
+- **Not In-place**: Each merge copies the shorter of its two runs, so it needs at most n/2 temporary space
+- **Balanced merges**: The stack invariants keep merges similar in size, like a well-shaped merge tree
+
+### This Demo:
+- Real implementations use MIN_MERGE = 32 and MIN_GALLOP = 7; here they are scaled down to ${this.minMerge} and ${this.minGallop}
+- Try the "Nearly Sorted" input and compare with Merge Sort
+        `.trim();
+    }
+
+    getPseudocode() {
+        return `
+procedure timSort(A)
+    minrun := computeMinRun(length(A))
+    stack := empty
+    lo := 0
+    while lo < length(A) do
+        len := length of natural run at lo   // Reverse if strictly descending
+        if len < minrun then
+            force := min(minrun, length(A) - lo)
+            binaryInsertionSort(A, lo, lo + force)
+            len := force
+        end if
+        push (lo, len) onto stack
+        mergeCollapse(stack)
+        lo := lo + len
+    end while
+    merge all remaining runs on stack
+end procedure
+
+procedure mergeCollapse(stack)
+    // X, Y, Z are the top three runs (Z on top)
+    while stack has more than one run do
+        if |X| <= |Y| + |Z| then
+            merge Y with the smaller of X and Z
+        else if |Y| <= |Z| then
+            merge Y and Z
+        else
+            break                     // Invariants hold
+        end if
+    end while
+end procedure
+
+procedure merge(A-run, B-run)
+    copy the shorter run to temp      // At most n/2 elements
+    merge from that run's side: left to right if A is shorter, else right to left
+    repeat
+        take the smaller head; count consecutive wins
+        if one run won MIN_GALLOP times then
+            gallop: exponential search for the block to copy
+        end if
+    until one run is empty
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        return [
+            { array: [10, 20, 30, 40, 80, 70, 60, 50], action: 'Initial array (minrun = 4)', highlight: [] },
+            { array: [10, 20, 30, 40, 80, 70, 60, 50], action: 'Run 1: ascending [10, 20, 30, 40, 80]', highlight: [0, 1, 2, 3, 4] },
+            { array: [10, 20, 30, 40, 80, 70, 60, 50], action: 'Run 2: strictly descending [70, 60, 50]', highlight: [5, 6, 7] },
+            { array: [10, 20, 30, 40, 80, 50, 60, 70], action: 'Reverse it in place: [50, 60, 70]', highlight: [5, 7] },
+            { array: [10, 20, 30, 40, 80, 50, 60, 70], action: 'Stack invariant |Y| > |Z| holds (5 > 3)... input exhausted, merge', highlight: [0, 7] },
+            { array: [10, 20, 30, 40, 80, 50, 60, 70], action: 'Gallop: 10, 20, 30, 40 are ≤ 50 and already in place', highlight: [0, 1, 2, 3], sorted: [0, 1, 2, 3] },
+            { array: [10, 20, 30, 40, 50, 60, 70, 80], action: 'Merge [80] with [50, 60, 70] - done in 2 runs', highlight: [], sorted: [0, 1, 2, 3, 4, 5, 6, 7] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimSort };
+}
@@ -0,0 +1,462 @@
+/**
+ * Tree Sort Algorithm with Step Tracking
+ * Time Complexity: O(n log n) average, O(n²) worst (O(n log n) with AVL balancing)
+ * Space Complexity: O(n)
+ *
+ * Inserts every element into a binary search tree, then writes the values
+ * back with an in-order traversal. Steps carry a snapshot of the tree for
+ * the renderer's tree panel.
+ */
+class TreeSort extends SortingAlgorithm {
+    constructor() {
+        super(
+            'Tree Sort',
+            { best: 'O(n log n)', average: 'O(n log n)', worst: 'O(n²)' },
+            'O(n)'
+        );
+        this.options = { balance: 'none' };
+        this.rotations = 0;
+        this.treeHeight = 0;
+    }
+
+    getOptions() {
+        return [
+            {
+                key: 'balance',
+                label: 'Tree',
+                choices: [
+                    { value: 'none', label: 'Plain BST' },
+                    { value: 'avl', label: 'AVL (self-balancing)' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Traversal writes values instead of swapping, so there is nothing to play
+     * @returns {boolean} Always false
+     */
+    isPlayable() {
+        return false;
+    }
+
+    /**
+     * Generate all steps for tree sort
+     * @param {number[]} inputArray - The array to sort
+     * @returns {Step[]} Array of step objects
+     */
+    generateSteps(inputArray) {
+        this.reset();
+        const arr = [...inputArray];
+        const n = arr.length;
+        const avl = this.options.balance === 'avl';
+        this.rotations = 0;
+
+        // Node i holds the element that started at index i
+        this.nodes = [];
+        this.root = null;
+
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SELECT,
+                [i],
+                arr,
+                this.root === null
+                    ? `Insert ${arr[i]}: the tree is empty, so it becomes the root`
+                    : `Insert ${arr[i]} into the tree`,
+                false,
+                { tree: this.snapshot() }
+            ));
+
+            const path = this.insert(arr, i);
+
+            this.steps.push(this.createStep(
+                StepType.INSERT,
+                [i],
+                arr,
+                `${arr[i]} added as a new leaf at depth ${path.length}`,
+                false,
+                { tree: this.snapshot({ active: i, path }) }
+            ));
+
+            if (avl) {
+                this.rebalance(arr, path);
+            } else {
+                [...path].reverse().forEach(id => this.updateHeight(id));
+            }
+        }
+
+        this.treeHeight = this.getHeight(this.root);
+
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `All ${n} elements inserted: tree height ${this.treeHeight}. In-order traversal writes them back sorted`,
+            false,
+            { tree: this.snapshot() }
+        ));
+
+        // In-order traversal: left subtree, node, right subtree
+        const visited = [];
+        let k = 0;
+        const visit = id => {
+            if (id === null) return;
+            visit(this.nodes[id].left);
+
+            const value = this.nodes[id].value;
+            visited.push(id);
+            this.steps.push(this.createStep(
+                StepType.WRITE,
+                [k],
+                arr,
+                `Visit ${value}: write it to position ${k}`,
+                false,
+                { value, tree: this.snapshot({ active: id, visited: [...visited] }) }
+            ));
+            arr[k] = value;
+            k++;
+
+            visit(this.nodes[id].right);
+        };
+        visit(this.root);
+
+        // Mark all elements as sorted
+        for (let i = 0; i < n; i++) {
+            this.steps.push(this.createStep(
+                StepType.SORTED,
+                [i],
+                arr,
+                `Element ${arr[i]} is in its final position`,
+                false
+            ));
+        }
+
+        return this.steps;
+    }
+
+    /**
+     * Insert node i as a leaf, with one comparison step per node on the way down
+     * Equal values go right, so equal elements keep their order.
+     * @param {number[]} arr - Input values (node i holds arr[i])
+     * @param {number} i - Index of the element to insert
+     * @returns {number[]} Node ids from the root to the new node's parent
+     */
+    insert(arr, i) {
+        this.nodes[i] = { value: arr[i], left: null, right: null, height: 1 };
+        const path = [];
+
+        if (this.root === null) {
+            this.root = i;
+            return path;
+        }
+
+        let id = this.root;
+        while (true) {
+            path.push(id);
+            const goLeft = arr[i] < arr[id];
+
+            this.steps.push(this.createStep(
+                StepType.COMPARE,
+                [i],
+                arr,
+                goLeft
+                    ? `${arr[i]} < ${arr[id]}: go left`
+                    : `${arr[i]} ≥ ${arr[id]}: go right`,
+                false,
+                { tree: this.snapshot({ active: id, path: [...path] }) }
+            ));
+
+            const side = goLeft ? 'left' : 'right';
+            if (this.nodes[id][side] === null) {
+                this.nodes[id][side] = i;
+                return path;
+            }
+            id = this.nodes[id][side];
+        }
+    }
+
+    /**
+     * AVL fix-up: walk back up the insertion path, updating heights and rotating
+     * @param {number[]} arr - Input values
+     * @param {number[]} path - Ancestors of the inserted node, root first
+     */
+    rebalance(arr, path) {
+        for (let p = path.length - 1; p >= 0; p--) {
+            const id = path[p];
+            const parent = p > 0 ? path[p - 1] : null;
+            this.updateHeight(id);
+
+            const balance = this.getBalance(id);
+            if (Math.abs(balance) <= 1) continue;
+
+            const node = this.nodes[id];
+            let newRoot;
+
+            if (balance > 1) {
+                const child = node.left;
+                if (this.getBalance(child) < 0) {
+                    // Left-right case: turn it into left-left first
+                    node.left = this.rotateLeft(child);
+                    this.pushRotation(arr, 'left', child, `left-right case at ${arr[id]}`);
+                }
+                newRoot = this.rotateRight(id);
+                this.replaceChild(parent, id, newRoot);
+                this.pushRotation(arr, 'right', id, `balance factor +2 at ${arr[id]}`);
+            } else {
+                const child = node.right;
+                if (this.getBalance(child) > 0) {
+                    // Right-left case: turn it into right-right first
+                    node.right = this.rotateRight(child);
+                    this.pushRotation(arr, 'right', child, `right-left case at ${arr[id]}`);
+                }
+                newRoot = this.rotateLeft(id);
+                this.replaceChild(parent, id, newRoot);
+                this.pushRotation(arr, 'left', id, `balance factor −2 at ${arr[id]}`);
+            }
+
+            // One rotation (or double rotation) restores the height: nothing above changes
+            break;
+        }
+    }
+
+    /**
+     * Record a rotation step with the tree after the rotation
+     * @param {number[]} arr - Input values
+     * @param {string} direction - 'left' or 'right'
+     * @param {number} id - Node the rotation was applied at
+     * @param {string} reason - Why the rotation was needed
+     */
+    pushRotation(arr, direction, id, reason) {
+        this.rotations++;
+        this.steps.push(this.createStep(
+            StepType.DIVIDE,
+            [],
+            arr,
+            `Rotate ${direction} at ${arr[id]} (${reason})`,
+            false,
+            { tree: this.snapshot({ active: id }) }
+        ));
+    }
+
+    /**
+     * Point parent (or the root) at a rotated subtree's new root
+     * @param {number|null} parent - Parent id, null when the subtree is the whole tree
+     * @param {number} oldChild - Previous subtree root
+     * @param {number} newChild - New subtree root
+     */
+    replaceChild(parent, oldChild, newChild) {
+        if (parent === null) {
+            this.root = newChild;
+        } else if (this.nodes[parent].left === oldChild) {
+            this.nodes[parent].left = newChild;
+        } else {
+            this.nodes[parent].right = newChild;
+        }
+    }
+
+    /**
+     * Rotate the subtree at id to the right
+     * @param {number} id - Subtree root
+     * @returns {number} New subtree root (the old left child)
+     */
+    rotateRight(id) {
+        const pivot = this.nodes[id].left;
+        this.nodes[id].left = this.nodes[pivot].right;
+        this.nodes[pivot].right = id;
+        this.updateHeight(id);
+        this.updateHeight(pivot);
+        return pivot;
+    }
+
+    /**
+     * Rotate the subtree at id to the left
+     * @param {number} id - Subtree root
+     * @returns {number} New subtree root (the old right child)
+     */
+    rotateLeft(id) {
+        const pivot = this.nodes[id].right;
+        this.nodes[id].right = this.nodes[pivot].left;
+        this.nodes[pivot].left = id;
+        this.updateHeight(id);
+        this.updateHeight(pivot);
+        return pivot;
+    }
+
+    /**
+     * Height of a subtree, counted in levels
+     * @param {number|null} id - Subtree root
+     * @returns {number} 0 for an empty subtree
+     */
+    getHeight(id) {
+        return id === null ? 0 : this.nodes[id].height;
+    }
+
+    /**
+     * Recompute a node's height from its children
+     * @param {number} id - Node id
+     */
+    updateHeight(id) {
+        const node = this.nodes[id];
+        node.height = 1 + Math.max(this.getHeight(node.left), this.getHeight(node.right));
+    }
+
+    /**
+     * Balance factor: left height minus right height
+     * @param {number} id - Node id
+     * @returns {number} Between -1 and 1 for a balanced node
+     */
+    getBalance(id) {
+        return this.getHeight(this.nodes[id].left) - this.getHeight(this.nodes[id].right);
+    }
+
+    /**
+     * Copy of the tree for a step
+     * @param {Object} highlight - {active, path, visited} node ids to highlight
+     * @returns {Object} {nodes: {value, left, right}[] by id, root, active, path, visited}
+     */
+    snapshot({ active = null, path = [], visited = [] } = {}) {
+        return {
+            nodes: this.nodes.map(node => node && { value: node.value, left: node.left, right: node.right }),
+            root: this.root,
+            active,
+            path,
+            visited
+        };
+    }
+
+    /**
+     * Counts for the demo screen, including the final tree height
+     * @returns {Object[]} {label, value} pairs
+     */
+    getStats() {
+        const stats = [
+            { label: 'Comparisons', value: this.steps.filter(s => s.type === 'compare').length },
+            { label: 'Tree height', value: this.treeHeight }
+        ];
+
+        if (this.options.balance === 'avl') {
+            stats.push({ label: 'Rotations', value: this.rotations });
+        }
+
+        return stats;
+    }
+
+    getExplanation() {
+        const avl = this.options.balance === 'avl';
+        const balanceNote = avl
+            ? `### AVL Balancing:
+- Every node keeps the heights of its two subtrees within 1 of each other
+- After an insertion, walk back up; at the first node that is off by 2, rotate
+- Left-left and right-right cases need one rotation; left-right and right-left need two
+- The height stays below 1.44 log₂ n, so every insertion is O(log n)`
+            : `### The Degenerate Case:
+- A plain BST takes whatever shape the input gives it
+- Sorted or **reversed** input builds a single chain of height n
+- Every insertion then walks the whole chain: 1 + 2 + ... + (n − 1) = O(n²) comparisons
+- Switch to **AVL** and run the reversed input again to compare the tree heights`;
+
+        return `
+**Tree Sort** builds a binary search tree from the input, then reads it back in order. All the sorting work happens inside the tree insertions.
+
+### How It Works:
+1. Insert each element into a binary search tree: go left if smaller, right otherwise
+2. The new element becomes a leaf
+3. Once all are inserted, traverse the tree in order: left subtree, node, right subtree
+4. The in-order traversal visits the values in sorted order; write them back
+
+${balanceNote}
+
+### Key Characteristics:
+- **Stable**: Equal values go right, so they are visited in arrival order
+- **Not In-place**: The tree takes O(n) extra space
+- **Shape-dependent**: Cost is the sum of node depths - O(n log n) for a balanced tree, O(n²) for a chain
+
+### When to Use:
+- When the data already lives in a search tree, e.g. a TreeMap or database index
+- Sorting a stream while also supporting lookups
+        `.trim();
+    }
+
+    getPseudocode() {
+        if (this.options.balance === 'avl') {
+            return `
+procedure treeSort(A: list of sortable items)
+    root := null
+    for each x in A do
+        root := avlInsert(root, x)
+    end for
+    k := 0
+    inOrder(root)                            // Writes A[k++] at each visit
+end procedure
+
+function avlInsert(node, x)
+    if node = null then return new leaf(x)
+    if x < node.value then node.left := avlInsert(node.left, x)
+    else node.right := avlInsert(node.right, x)
+
+    update node.height
+    if balance(node) > 1 then                // Left side too tall
+        if balance(node.left) < 0 then node.left := rotateLeft(node.left)
+        return rotateRight(node)
+    if balance(node) < -1 then               // Right side too tall
+        if balance(node.right) > 0 then node.right := rotateRight(node.right)
+        return rotateLeft(node)
+    return node
+end function
+            `.trim();
+        }
+
+        return `
+procedure treeSort(A: list of sortable items)
+    root := null
+    for each x in A do
+        root := insert(root, x)
+    end for
+    k := 0
+    inOrder(root)
+end procedure
+
+function insert(node, x)
+    if node = null then return new leaf(x)
+    if x < node.value then node.left := insert(node.left, x)
+    else node.right := insert(node.right, x)   // Equal keys go right
+    return node
+end function
+
+procedure inOrder(node)
+    if node = null then return
+    inOrder(node.left)
+    A[k] := node.value
+    k := k + 1
+    inOrder(node.right)
+end procedure
+        `.trim();
+    }
+
+    getExampleWalkthrough() {
+        if (this.options.balance === 'avl') {
+            return [
+                { array: [50, 40, 30, 20, 10], action: 'Reversed input: insert 50, then 40 to its left', highlight: [0, 1] },
+                { array: [50, 40, 30, 20, 10], action: 'Insert 30: 50 is off balance by +2 - rotate right at 50, 40 becomes the root', highlight: [2] },
+                { array: [50, 40, 30, 20, 10], action: 'Insert 20 under 30; insert 10: rotate right at 30', highlight: [3, 4] },
+                { array: [10, 20, 30, 40, 50], action: 'In-order traversal writes 10, 20, 30, 40, 50', highlight: [0, 1, 2, 3, 4] },
+                { array: [10, 20, 30, 40, 50], action: 'Tree height 3 instead of 5, after 2 rotations', highlight: [], sorted: [0, 1, 2, 3, 4] }
+            ];
+        }
+
+        return [
+            { array: [40, 20, 60, 10, 30], action: 'Insert 40 as the root', highlight: [0] },
+            { array: [40, 20, 60, 10, 30], action: 'Insert 20 (left of 40) and 60 (right of 40)', highlight: [1, 2] },
+            { array: [40, 20, 60, 10, 30], action: 'Insert 10: 10 < 40, 10 < 20 - left of 20', highlight: [3] },
+            { array: [40, 20, 60, 10, 30], action: 'Insert 30: 30 < 40, 30 ≥ 20 - right of 20', highlight: [4] },
+            { array: [10, 20, 30, 40, 60], action: 'In-order traversal: 10, 20, 30, 40, 60', highlight: [0, 1, 2, 3, 4] },
+            { array: [10, 20, 30, 40, 60], action: 'Sorted - the tree has height 3', highlight: [], sorted: [0, 1, 2, 3, 4] }
+        ];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TreeSort };
+}
@@ -71,11 +71,38 @@ class App {
     getAlgorithmShortDescription(key) {
         const descriptions = {
             bubble: 'Repeatedly swap adjacent elements if they are in the wrong order.',
+            cocktail: 'Bubble sort in both directions, so small values travel left fast.',
+            oddEven: 'Alternate odd and even pair phases - every phase is fully parallel.',
+            comb: 'Bubble sort with a gap that shrinks by 1.3 to kill turtles early.',
+            gnome: 'Step forward while in order, swap and step back when not.',
             selection: 'Find the minimum element and place it at the beginning.',
+            cycle: 'Rotate each permutation cycle into place with the fewest memory writes.',
+            pancake: 'Only prefix flips allowed: flip the largest to the top, then to the bottom.',
             insertion: 'Build the sorted array one element at a time.',
+            shell: 'Insertion sort over shrinking gaps so elements move far, fast.',
+            tim: 'Find natural runs, extend them with binary insertion, merge with galloping.',
             merge: 'Divide, conquer, and merge - a classic divide-and-conquer approach.',
+            bottomUp: 'Merge runs of width 1, 2, 4, ... pass by pass - no recursion.',
+            inPlaceMerge: 'Stable merge sort with no buffer: merges rotate blocks past each other.',
+            parallelMerge: 'Merge sort on P simulated processors, with a timeline and work/span figures.',
+            linkedList: 'Merge sort on a linked list: split with slow/fast pointers, merge by relinking nodes.',
+            bitonic: 'A fixed comparator network; each stage runs all its comparators at once.',
+            oddEvenMerge: 'Batcher\'s merge sort network - fewer comparators than bitonic sort.',
+            shear: 'Sort a 2D grid: snake-order row phases alternate with column phases.',
             quick: 'Partition around a pivot and recursively sort subarrays.',
-            heap: 'Use a binary heap to efficiently find and extract the maximum element.'
+            threeWay: 'Split into less, equal and greater regions - fast on duplicates.',
+            dualPivot: 'Two pivots split each subarray into three parts, as in the JDK.',
+            heap: 'Use a binary heap to efficiently find and extract the maximum element.',
+            intro: 'Quick sort that falls back to heap sort when recursion gets too deep.',
+            quickSelect: 'Find the k-th smallest: partition, then keep only the side that holds it.',
+            tree: 'Insert into a binary search tree, read it back in order; optional AVL balancing.',
+            patience: 'Deal cards onto piles by binary search, heap-merge them; piles = LIS length.',
+            kWay: 'Merge k sorted lists: a min-heap of list heads picks every next value.',
+            external: 'Sort a disk of blocks with M elements of memory - count the I/Os, not the comparisons.',
+            counting: 'Tally each value, then write them back in order - no comparisons.',
+            radix: 'Bucket by one digit at a time, least significant digit first.',
+            bucket: 'Scatter floats into n buckets, insertion sort each, concatenate.',
+            msdRadix: 'Bucket strings by first character, recurse on the next; the recursion is a trie.'
         };
         return descriptions[key] || '';
     }
@@ -140,13 +167,7 @@ class App {
 
         // Update explanation screen
         document.getElementById('explanation-title').textContent = algorithm.name;
-        document.getElementById('explanation-text').innerHTML =
-            markdownToHtml(algorithm.getExplanation());
-        document.getElementById('pseudocode').innerHTML =
-            highlightPseudocode(algorithm.getPseudocode());
-
-        // Render example walkthrough
-        this.renderExampleWalkthrough(algorithm.getExampleWalkthrough());
+        this.renderAlgorithmDetails(algorithm);
 
         // Toggle game/tool options
         const gameOptions = document.getElementById('game-options');
@@ -167,28 +188,102 @@ class App {
         } else {
             gameOptions.classList.remove('hidden');
             toolOptions.classList.add('hidden');
+            // Sorts without swaps can only be watched
+            document.getElementById('start-game-btn').classList.toggle('hidden', !algorithm.isPlayable());
             if (difficultyTitle) difficultyTitle.style.display = 'block';
             if (difficultySelector) difficultySelector.style.display = 'flex';
             if (inputTypeTitle) inputTypeTitle.style.display = 'block';
             if (inputTypeSelector) inputTypeSelector.style.display = 'flex';
+            this.updateInputTypes(algorithm);
         }
 
         this.showScreen('explanation');
     }
 
+    /**
+     * Hide the input types an algorithm cannot sort (e.g. floats for counting sort)
+     * @param {SortingAlgorithm} algorithm - Selected algorithm
+     */
+    updateInputTypes(algorithm) {
+        const buttons = [...document.querySelectorAll('#input-type-selector .difficulty-btn')];
+
+        buttons.forEach(btn => {
+            btn.classList.toggle('hidden', !algorithm.supportsInput(btn.dataset.input));
+        });
+
+        // Fall back to the first supported type if the selected one is hidden
+        if (!algorithm.supportsInput(this.selectedInputType)) {
+            const fallback = buttons.find(btn => algorithm.supportsInput(btn.dataset.input));
+            buttons.forEach(btn => btn.classList.toggle('active', btn === fallback));
+            this.selectedInputType = fallback.dataset.input;
+        }
+    }
+
+    /**
+     * Render the variant-dependent parts of the explanation screen
+     * @param {SortingAlgorithm} algorithm - Selected algorithm
+     */
+    renderAlgorithmDetails(algorithm) {
+        document.getElementById('explanation-text').innerHTML =
+            markdownToHtml(algorithm.getExplanation());
+        document.getElementById('pseudocode').innerHTML =
+            highlightPseudocode(algorithm.getPseudocode());
+
+        this.renderAlgorithmOptions(algorithm);
+
+        // Render example walkthrough
+        this.renderExampleWalkthrough(algorithm.getExampleWalkthrough());
+    }
+
+    /**
+     * Render option selectors (gap sequence, pivot strategy, ...) for the algorithm
+     * @param {SortingAlgorithm} algorithm - Selected algorithm
+     */
+    renderAlgorithmOptions(algorithm) {
+        const section = document.getElementById('algorithm-options-section');
+        const container = document.getElementById('algorithm-options');
+        const options = algorithm.getOptions();
+
+        section.classList.toggle('hidden', options.length === 0);
+
+        container.innerHTML = options.map(option => `
+            <div class="option-group">
+                <span class="option-label">${option.label}</span>
+                <div class="difficulty-selector option-selector" data-option="${option.key}">
+                    ${option.choices.map(choice => `
+                        <button class="difficulty-btn ${choice.value === algorithm.options[option.key] ? 'active' : ''}"
+                            data-value="${choice.value}">${choice.label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        // Changing a variant updates explanation, pseudocode and walkthrough
+        container.querySelectorAll('.option-selector').forEach(selector => {
+            selector.querySelectorAll('.difficulty-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    algorithm.setOption(selector.dataset.option, btn.dataset.value);
+                    this.renderAlgorithmDetails(algorithm);
+                });
+            });
+        });
+    }
+
     /**
      * Render example walkthrough
      * @param {Object[]} steps - Walkthrough steps
      */
     renderExampleWalkthrough(steps) {
         const container = document.getElementById('example-walkthrough');
-        const maxValue = Math.max(...steps[0].array);
+        // String examples are drawn as equal-height cards
+        const isText = typeof steps[0].array[0] === 'string';
+        const maxValue = isText ? 0 : Math.max(...steps[0].array);
 
         container.innerHTML = steps.slice(0, 6).map((step, idx) => `
             <div class="example-step">
                 <div class="mini-bars">
                     ${step.array.map((val, i) => {
-            const height = (val / maxValue) * 40;
+            const height = isText ? 24 : (val / maxValue) * 40;
             let className = 'mini-bar';
             if (step.highlight && step.highlight.includes(i)) className += ' highlight';
             if (step.sorted && step.sorted.includes(i)) className += ' sorted';
@@ -219,6 +314,7 @@ class App {
         // Initialize renderer
         this.renderer = new Renderer('bars-container');
         this.renderer.init(gameInfo.array);
+        this.updateStepView();
 
         // Setup bar selection
         document.getElementById('bars-container').addEventListener('barSelected', (e) => {
@@ -245,6 +341,18 @@ class App {
         const state = this.gameManager.getCurrentState();
         if (!state.active || state.isComplete) return;
 
+        // Selection games ask which side of the pivot to keep: one click on that side
+        if (state.currentStep && state.currentStep.type === 'recurse') {
+            this.attemptRecurse(index);
+            return;
+        }
+
+        // Flip games take a single click: flip everything up to the clicked bar
+        if (this.gameManager.currentAlgorithm.getMoveType() === 'reverse') {
+            this.attemptReverse(0, index);
+            return;
+        }
+
         // Check if bar is already selected
         const existingIndex = this.selectedBars.indexOf(index);
         if (existingIndex !== -1) {
@@ -281,8 +389,10 @@ class App {
             await this.renderer.animateSwap(i, j);
             this.showToast(`+${result.points} points! ${result.message}`, 'success');
 
-            // Update sorted state
+            // Pick up values written by non-swap steps, then update sorted state
+            this.renderer.setValues(this.gameManager.currentArray);
             this.updateSortedBars();
+            this.updateStepView();
         } else {
             // Show error
             await this.renderer.flashError([i, j]);
@@ -301,6 +411,90 @@ class App {
         }
     }
 
+    /**
+     * Attempt to reverse a range (a pancake flip)
+     * @param {number} start - First index of the range
+     * @param {number} end - Last index of the range
+     */
+    async attemptReverse(start, end) {
+        const result = this.gameManager.processMove({
+            type: 'reverse',
+            indices: [start, end]
+        });
+
+        if (result.valid) {
+            await this.renderer.animateReverse(start, end);
+            this.showToast(`+${result.points} points! ${result.message}`, 'success');
+
+            this.renderer.setValues(this.gameManager.currentArray);
+            this.updateSortedBars();
+            this.updateStepView();
+        } else {
+            await this.renderer.flashError([end]);
+            this.showToast(result.message, 'error');
+        }
+
+        this.updateGameUI();
+
+        if (result.isComplete) {
+            this.endGame();
+        }
+    }
+
+    /**
+     * Pick the side of the pivot to keep searching (quickselect)
+     * @param {number} index - Clicked bar index
+     */
+    async attemptRecurse(index) {
+        const result = this.gameManager.processMove({
+            type: 'recurse',
+            indices: [index]
+        });
+
+        if (result.valid) {
+            this.showToast(`+${result.points} points! ${result.message}`, 'success');
+
+            this.renderer.setValues(this.gameManager.currentArray);
+            this.updateSortedBars();
+            this.updateStepView();
+        } else {
+            await this.renderer.flashError([index]);
+            this.showToast(result.message, 'error');
+        }
+
+        this.updateGameUI();
+
+        if (result.isComplete) {
+            this.endGame();
+        }
+    }
+
+    /**
+     * Apply the layout details of the steps so far: the range still being searched
+     * (quickselect), the grid with its row markers (shear sort) and the heap tree (heap sort)
+     */
+    updateStepView() {
+        const steps = this.gameManager.steps;
+        let focus = null;
+        let grid = null;
+        let tree = null;
+
+        for (let i = 0; i <= this.gameManager.currentStepIndex && i < steps.length; i++) {
+            focus = steps[i].focus || focus;
+            grid = steps[i].grid || grid;
+            tree = steps[i].tree || tree;
+        }
+
+        this.renderer.setFocus(focus);
+        if (grid) {
+            this.renderer.setGrid(grid);
+        }
+        // The heap shape only: highlighting the pending swap would give the move away
+        if (tree) {
+            this.renderer.setTree({ ...tree, comparing: [], swapping: [] });
+        }
+    }
+
     /**
      * Update sorted bar states
      */
@@ -347,7 +541,7 @@ class App {
         } else {
             document.getElementById('step-type').textContent = 'COMPLETE';
             document.getElementById('step-description').textContent =
-                'Array is sorted!';
+                this.gameManager.currentAlgorithm.getCompletionMessage();
             document.getElementById('step-hint').textContent = '';
         }
     }
@@ -417,6 +611,7 @@ class App {
         document.getElementById('result-accuracy').textContent = `${results.accuracy}%`;
         document.getElementById('result-time').textContent = formatSeconds(results.timeTaken);
         document.getElementById('result-streak').textContent = results.maxStreak;
+        this.renderStats('result-stats', results.algorithmStats);
 
         // Update complexity reminder
         document.getElementById('complexity-reminder-grid').innerHTML = `
@@ -447,14 +642,30 @@ class App {
         }, 1500);
     }
 
+    /**
+     * Render algorithm counts (comparisons, swaps, writes) as stat items
+     * @param {string} containerId - Target element id
+     * @param {Object[]} stats - {label, value} pairs from SortingAlgorithm.getStats
+     */
+    renderStats(containerId, stats) {
+        document.getElementById(containerId).innerHTML = stats.map(stat => `
+            <div class="stat-item">
+                <span class="label">${stat.label}</span>
+                <span class="value">${stat.value}</span>
+            </div>
+        `).join('');
+    }
+
     /**
      * Skip current step
      */
     skipStep() {
         const result = this.gameManager.skipStep();
         if (result.success) {
+            this.renderer.setValues(this.gameManager.currentArray);
             this.updateGameUI();
             this.updateSortedBars();
+            this.updateStepView();
 
             if (this.gameManager.isGameComplete) {
                 this.endGame();
@@ -527,6 +738,9 @@ class App {
         this.animator = new Animator(this.demoRenderer);
         this.animator.loadSteps(steps);
 
+        // Totals for the whole run
+        this.renderStats('demo-stats', algorithm.getStats());
+
         // Setup callbacks
         this.animator.onStep((step, index) => {
             document.getElementById('demo-step-type').textContent = step.type.toUpperCase();
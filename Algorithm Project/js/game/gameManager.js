@@ -6,11 +6,38 @@ class GameManager {
     constructor() {
         this.algorithms = {
             bubble: new BubbleSort(),
+            cocktail: new CocktailShakerSort(),
+            oddEven: new OddEvenSort(),
+            comb: new CombSort(),
+            gnome: new GnomeSort(),
             selection: new SelectionSort(),
+            cycle: new CycleSort(),
+            pancake: new PancakeSort(),
             insertion: new InsertionSort(),
+            tim: new TimSort(),
+            shell: new ShellSort(),
             merge: new MergeSort(),
+            bottomUp: new BottomUpMergeSort(),
+            inPlaceMerge: new InPlaceMergeSort(),
+            parallelMerge: new ParallelMergeSort(),
+            linkedList: new LinkedListMergeSort(),
+            bitonic: new BitonicSort(),
+            oddEvenMerge: new OddEvenMergeSort(),
+            shear: new ShearSort(),
             quick: new QuickSort(),
-            heap: new HeapSort()
+            threeWay: new ThreeWayQuickSort(),
+            dualPivot: new DualPivotQuickSort(),
+            heap: new HeapSort(),
+            intro: new IntroSort(),
+            quickSelect: new QuickSelect(),
+            tree: new TreeSort(),
+            patience: new PatienceSort(),
+            kWay: new KWayMerge(),
+            external: new ExternalMergeSort(),
+            counting: new CountingSort(),
+            radix: new RadixSort(),
+            bucket: new BucketSort(),
+            msdRadix: new MSDRadixSort()
         };
 
         this.difficulties = {
@@ -24,7 +51,9 @@ class GameManager {
             random: 'Random',
             reversed: 'Reverse Sorted',
             nearlySorted: 'Nearly Sorted',
-            duplicates: 'With Duplicates'
+            duplicates: 'With Duplicates',
+            uniformFloat: 'Uniform Floats',
+            strings: 'Short Strings'
         };
 
         this.reset();
@@ -100,6 +129,24 @@ class GameManager {
                 arr = this.shuffleArray(arr);
                 break;
 
+            case 'uniformFloat':
+                // Floats drawn uniformly from [0, 1), two decimals
+                for (let i = 0; i < size; i++) {
+                    arr.push(Math.floor(Math.random() * 100) / 100);
+                }
+                break;
+
+            case 'strings':
+                // Short lowercase words; many share prefixes
+                const words = [
+                    'a', 'an', 'and', 'ant', 'ape', 'apt', 'as', 'at',
+                    'bad', 'bag', 'band', 'bat', 'be', 'bed', 'bee', 'bet',
+                    'cab', 'can', 'cap', 'car', 'card', 'cart', 'cat', 'do',
+                    'dog', 'dot', 'ear', 'eat', 'egg', 'ego', 'fan', 'far'
+                ];
+                arr = this.shuffleArray(words).slice(0, size);
+                break;
+
             case 'random':
             default:
                 // Random unique values
@@ -176,11 +223,12 @@ class GameManager {
     advanceToNextUserAction() {
         while (this.currentStepIndex < this.steps.length) {
             const step = this.steps[this.currentStepIndex];
+            // Update array state; a user step holds the array as it is before the move,
+            // which includes values written by non-user steps (e.g. TimSort merges)
+            this.currentArray = [...step.arrayState];
             if (step.isUserAction) {
                 break;
             }
-            // Update array state for non-user steps
-            this.currentArray = [...step.arrayState];
             this.currentStepIndex++;
         }
     }
@@ -218,7 +266,7 @@ class GameManager {
 
     /**
      * Process user's move
-     * @param {Object} userAction - {type: 'swap'|'select', indices: [i, j] or value: number}
+     * @param {Object} userAction - {type: 'swap'|'reverse'|'recurse'|'select', indices: [i, j] or value: number}
      * @returns {Object} Result of the move
      */
     processMove(userAction) {
@@ -250,11 +298,7 @@ class GameManager {
             this.score += points;
 
             // Apply the action to array
-            if (userAction.type === 'swap') {
-                const [i, j] = userAction.indices;
-                [this.currentArray[i], this.currentArray[j]] =
-                    [this.currentArray[j], this.currentArray[i]];
-            }
+            this.applyAction(userAction);
 
             // Move to next step
             this.currentStepIndex++;
@@ -294,6 +338,23 @@ class GameManager {
         }
     }
 
+    /**
+     * Apply a move to the current array
+     * @param {Object} action - {type: 'swap'|'reverse'|'recurse', indices: [i, j]}; a reverse flips i..j inclusive,
+     *                          a recurse only narrows the search and leaves the array as it is
+     */
+    applyAction(action) {
+        const [i, j] = action.indices;
+
+        if (action.type === 'swap') {
+            [this.currentArray[i], this.currentArray[j]] =
+                [this.currentArray[j], this.currentArray[i]];
+        } else if (action.type === 'reverse') {
+            const reversed = this.currentArray.slice(i, j + 1).reverse();
+            this.currentArray.splice(i, reversed.length, ...reversed);
+        }
+    }
+
     /**
      * Get a hint for the current step
      * @returns {string} Hint text
@@ -307,6 +368,10 @@ class GameManager {
         switch (currentStep.type) {
             case 'swap':
                 return `Look for elements at positions ${currentStep.indices.join(' and ')}. ${currentStep.description}`;
+            case 'reverse':
+                return `Click the bar at position ${currentStep.indices[1]} to flip everything up to it. ${currentStep.description}`;
+            case 'recurse':
+                return `Click any bar between positions ${currentStep.indices[0]} and ${currentStep.indices[1]}. ${currentStep.description}`;
             case 'select':
                 return `Select the correct element. ${currentStep.description}`;
             default:
@@ -369,6 +434,7 @@ class GameManager {
             accuracy: Math.round(accuracy),
             timeTaken: Math.round(timeTaken * 10) / 10,
             maxStreak: this.maxStreak,
+            algorithmStats: this.currentAlgorithm.getStats(),
             timeComplexity: this.currentAlgorithm.timeComplexity,
             spaceComplexity: this.currentAlgorithm.spaceComplexity
         };
@@ -386,11 +452,7 @@ class GameManager {
         const currentStep = this.steps[this.currentStepIndex];
         if (currentStep && currentStep.isUserAction) {
             // Apply the correct action automatically
-            if (currentStep.type === 'swap') {
-                const [i, j] = currentStep.indices;
-                [this.currentArray[i], this.currentArray[j]] =
-                    [this.currentArray[j], this.currentArray[i]];
-            }
+            this.applyAction(currentStep);
             this.currentArray = [...currentStep.arrayState];
         }
 
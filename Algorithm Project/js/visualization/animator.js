@@ -64,8 +64,7 @@ class Animator {
                 continue;
             }
 
-            await this.executeStep(this.currentStep);
-            this.currentStep++;
+            this.currentStep += await this.executeFrame(this.currentStep);
 
             await this.wait(Math.round(500 / this.speed));
         }
@@ -104,8 +103,7 @@ class Animator {
      */
     async stepForward() {
         if (this.currentStep < this.steps.length) {
-            await this.executeStep(this.currentStep);
-            this.currentStep++;
+            this.currentStep += await this.executeFrame(this.currentStep);
 
             if (this.currentStep >= this.steps.length && this.completeCallback) {
                 this.completeCallback();
@@ -133,6 +131,55 @@ class Animator {
         this.renderer.clearAllStates();
     }
 
+    /**
+     * Execute the next frame: a single step, or a whole sorting-network stage
+     * @param {number} stepIndex - Index of the first step of the frame
+     * @returns {Promise<number>} Number of steps consumed
+     */
+    async executeFrame(stepIndex) {
+        const step = this.steps[stepIndex];
+        if (!step || step.stage === undefined) {
+            await this.executeStep(stepIndex);
+            return 1;
+        }
+
+        let end = stepIndex;
+        while (end < this.steps.length && this.steps[end].stage === step.stage) {
+            end++;
+        }
+
+        await this.executeStage(stepIndex, end);
+        return end - stepIndex;
+    }
+
+    /**
+     * Play the steps of one network stage as a single parallel frame
+     * Comparators in a stage touch disjoint positions, so their swaps can run together.
+     * @param {number} start - Index of the stage's first step
+     * @param {number} end - Index after the stage's last step
+     */
+    async executeStage(start, end) {
+        const stageSteps = this.steps.slice(start, end);
+
+        // Report the stage header, with progress at the end of the stage
+        if (this.stepCallback) {
+            this.stepCallback(stageSteps[0], end - 1);
+        }
+
+        const compared = stageSteps.filter(step => step.type === 'compare');
+        const swaps = stageSteps.filter(step => step.type === 'swap');
+
+        this.renderer.setComparing(compared.flatMap(step => step.indices));
+        await this.wait(Math.round(250 / this.speed));
+
+        if (swaps.length > 0) {
+            this.renderer.setSwapping(swaps.flatMap(step => step.indices));
+            await Promise.all(swaps.map(step =>
+                this.renderer.animateSwap(step.indices[0], step.indices[1])
+            ));
+        }
+    }
+
     /**
      * Execute a single step
      * @param {number} stepIndex - Index of step to execute
@@ -146,6 +193,56 @@ class Animator {
             this.stepCallback(step, stepIndex);
         }
 
+        // Shell sort steps carry the current gap; color its subsequences
+        if (step.gap !== undefined) {
+            this.renderer.setSubsequences(step.gap);
+        }
+
+        // TimSort steps carry the current run stack
+        if (step.runs) {
+            this.renderer.setRuns(step.runs);
+        }
+
+        // 3-way and dual-pivot quick sort steps carry their partition regions
+        if (step.partitions) {
+            this.renderer.setPartitions(step.partitions);
+        }
+
+        // Non-comparison sorts carry their bucket/count array
+        if (step.lane) {
+            this.renderer.setLane(step.lane);
+        }
+
+        // Tree sort steps carry the search tree
+        if (step.tree) {
+            this.renderer.setTree(step.tree);
+        }
+
+        // Parallel merge sort steps carry the processor schedule
+        if (step.timeline) {
+            this.renderer.setTimeline(step.timeline);
+        }
+
+        // Shear sort steps carry the grid shape and the direction of each row
+        if (step.grid) {
+            this.renderer.setGrid(step.grid);
+        }
+
+        // Linked list steps carry the chains of nodes and their pointers
+        if (step.list) {
+            this.renderer.setList(step.list);
+        }
+
+        // Quickselect steps carry the range still being searched
+        if (step.focus) {
+            this.renderer.setFocus(step.focus);
+        }
+
+        // String radix sort steps carry the character position being examined
+        if (step.charIndex !== undefined) {
+            this.renderer.setCharIndex(step.charIndex);
+        }
+
         // Visualize based on step type
         switch (step.type) {
             case 'compare':
@@ -153,8 +250,19 @@ class Animator {
                 break;
 
             case 'swap':
-                this.renderer.setSwapping(step.indices);
-                await this.renderer.animateSwap(step.indices[0], step.indices[1]);
+                // K-way merge heap swaps happen in the tree panel only and have no bars
+                if (step.indices.length === 2) {
+                    this.renderer.setSwapping(step.indices);
+                    await this.renderer.animateSwap(step.indices[0], step.indices[1]);
+                }
+                break;
+
+            case 'reverse':
+                await this.renderer.animateReverse(step.indices[0], step.indices[1]);
+                break;
+
+            case 'rotate':
+                await this.renderer.animateRotate(step.indices[0], step.indices[1], step.indices[2]);
                 break;
 
             case 'sorted':
@@ -162,7 +270,7 @@ class Animator {
                 break;
 
             case 'pivot':
-                this.renderer.setPivot(step.indices[0]);
+                step.indices.forEach(index => this.renderer.setPivot(index));
                 break;
 
             case 'select':
@@ -182,6 +290,37 @@ class Animator {
             case 'insert':
                 this.renderer.setSelected(step.indices);
                 break;
+
+            case 'count':
+                this.renderer.setComparing(step.indices);
+                break;
+
+            case 'distribute':
+                this.renderer.setSelected(step.indices);
+                break;
+
+            case 'run':
+                this.renderer.setSelected(step.indices);
+                break;
+
+            case 'write':
+                this.renderer.updateBar(step.indices[0], step.value, this.renderer.maxValue);
+                this.renderer.setSwapping(step.indices);
+                break;
+
+            case 'recurse':
+                this.renderer.setSelected(step.indices);
+                break;
+
+            case 'relink':
+            case 'cut':
+                this.renderer.setSwapping(step.indices);
+                break;
+        }
+
+        // Dual-pivot steps keep both pivots marked while the regions grow
+        if (step.pivots) {
+            step.pivots.forEach(index => this.renderer.setPivot(index));
         }
     }
 
@@ -201,6 +340,9 @@ class Animator {
             if (step.type === 'sorted') {
                 this.renderer.setSorted(step.indices);
             }
+            if (step.focus) {
+                this.renderer.setFocus(step.focus);
+            }
         }
 
         this.currentStep = stepIndex;
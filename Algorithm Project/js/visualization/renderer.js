@@ -17,6 +17,12 @@ class Renderer {
             selected: 'var(--color-bar-selected)',
             pivot: 'var(--color-bar-pivot)'
         };
+
+        // Distinct hues for interleaved subsequences (shell sort gaps)
+        this.groupPalette = [
+            '#6366f1', '#06b6d4', '#f97316', '#14b8a6',
+            '#eab308', '#a855f7', '#84cc16', '#f43f5e'
+        ];
     }
 
     /**
@@ -27,8 +33,17 @@ class Renderer {
         this.container.innerHTML = '';
         this.bars = [];
         this.selectedIndices = [];
-
-        const maxValue = Math.max(...array);
+        this.clearLane();
+        this.clearTree();
+        this.clearTimeline();
+        this.clearList();
+        this.clearGrid();
+
+        // Strings have no height to show, so they are drawn as labelled cards
+        this.cardMode = array.some(value => typeof value === 'string');
+        const maxValue = this.cardMode ? 0 : Math.max(...array);
+        this.maxValue = maxValue;
+        this.minValue = this.cardMode ? 0 : Math.min(...array);
         const containerWidth = this.container.clientWidth;
         const barWidth = Math.max(20, Math.floor((containerWidth - (array.length * 4)) / array.length));
 
@@ -49,13 +64,11 @@ class Renderer {
      */
     createBar(value, index, maxValue, barWidth) {
         const bar = document.createElement('div');
-        bar.className = 'bar';
+        bar.className = this.cardMode ? 'bar card' : 'bar';
         bar.dataset.index = index;
         bar.dataset.value = value;
 
-        // Calculate height (min 20%, max 100%)
-        const heightPercent = Math.max(20, (value / maxValue) * 100);
-        bar.style.height = `${heightPercent}%`;
+        bar.style.height = this.getBarHeight(value, maxValue);
         bar.style.width = `${barWidth}px`;
 
         // Value label
@@ -70,6 +83,43 @@ class Renderer {
         return bar;
     }
 
+    /**
+     * CSS height for a bar: proportional to the value (min 20%), fixed for cards
+     * Grid cells take their size from the stylesheet and show the value as a color.
+     * @param {number|string} value - Bar value
+     * @param {number} maxValue - Maximum value for scaling
+     * @returns {string} Height as a percentage
+     */
+    getBarHeight(value, maxValue) {
+        if (this.gridMode) {
+            return '';
+        }
+        if (this.cardMode) {
+            return '60%';
+        }
+        return `${Math.max(20, (value / maxValue) * 100)}%`;
+    }
+
+    /**
+     * Emphasize one character position on every card (string sorts)
+     * Cards shorter than the position show an end marker there instead.
+     * @param {number} charIndex - Character position, 0-based
+     */
+    setCharIndex(charIndex) {
+        if (!this.cardMode) return;
+
+        this.bars.forEach(bar => {
+            const text = bar.dataset.value;
+            const chars = [...text].map((char, i) =>
+                i === charIndex ? `<span class="char-focus">${char}</span>` : char
+            ).join('');
+
+            bar.querySelector('.bar-label').innerHTML = charIndex >= text.length
+                ? `${chars}<span class="char-focus end">$</span>`
+                : chars;
+        });
+    }
+
     /**
      * Handle bar click for selection
      * @param {number} index - Clicked bar index
@@ -148,6 +198,75 @@ class Renderer {
         }
     }
 
+    /**
+     * Color bars by subsequence: index i belongs to group i mod gap
+     * @param {number} gap - Distance between members of a subsequence (1 clears grouping)
+     */
+    setSubsequences(gap) {
+        this.bars.forEach((bar, index) => {
+            if (gap > 1) {
+                bar.classList.add('grouped');
+                bar.style.setProperty('--group-color', this.groupPalette[(index % gap) % this.groupPalette.length]);
+            } else {
+                bar.classList.remove('grouped');
+                bar.style.removeProperty('--group-color');
+            }
+        });
+    }
+
+    /**
+     * Outline runs (TimSort), replacing any previous outlines
+     * @param {Array[]} runs - [start, end] index ranges, inclusive, with an optional label
+     */
+    setRuns(runs) {
+        this.container.querySelectorAll('.run-outline').forEach(outline => outline.remove());
+
+        runs.forEach(([start, end, label], runIndex) => {
+            const first = this.bars[start];
+            const last = this.bars[end];
+            if (!first || !last) return;
+
+            const outline = document.createElement('div');
+            outline.className = 'run-outline';
+            outline.style.left = `${first.offsetLeft - 3}px`;
+            outline.style.width = `${last.offsetLeft + last.offsetWidth - first.offsetLeft + 6}px`;
+            outline.style.setProperty('--group-color', this.groupPalette[runIndex % this.groupPalette.length]);
+            outline.dataset.label = label || `run ${runIndex + 1} · ${end - start + 1}`;
+            this.container.appendChild(outline);
+        });
+    }
+
+    /**
+     * Shade partition regions (3-way and dual-pivot quick sort), replacing any previous bands
+     * @param {Object[]} partitions - {start, end, kind, label}; kind is less, equal, middle or greater
+     */
+    setPartitions(partitions) {
+        this.container.querySelectorAll('.partition-band').forEach(band => band.remove());
+
+        partitions.forEach(({ start, end, kind, label }) => {
+            const first = this.bars[start];
+            const last = this.bars[end];
+            if (start > end || !first || !last) return;
+
+            const band = document.createElement('div');
+            band.className = `partition-band ${kind}`;
+            band.style.left = `${first.offsetLeft - 2}px`;
+            band.style.width = `${last.offsetLeft + last.offsetWidth - first.offsetLeft + 4}px`;
+            band.dataset.label = label;
+            this.container.appendChild(band);
+        });
+    }
+
+    /**
+     * Grey out the bars outside the range still being searched (quickselect)
+     * @param {number[]|null} range - [start, end] inclusive, or null to clear
+     */
+    setFocus(range) {
+        this.bars.forEach((bar, index) => {
+            bar.classList.toggle('out-of-focus', Boolean(range) && (index < range[0] || index > range[1]));
+        });
+    }
+
     /**
      * Clear all highlight states
      */
@@ -173,14 +292,15 @@ class Renderer {
         bar1.classList.add('swapping');
         bar2.classList.add('swapping');
 
-        // Calculate positions
+        // Calculate positions; bars in grid mode can also be a row apart
         const rect1 = bar1.getBoundingClientRect();
         const rect2 = bar2.getBoundingClientRect();
-        const distance = rect2.left - rect1.left;
+        const dx = rect2.left - rect1.left;
+        const dy = rect2.top - rect1.top;
 
         // Animate
-        bar1.style.transform = `translateX(${distance}px)`;
-        bar2.style.transform = `translateX(${-distance}px)`;
+        bar1.style.transform = `translate(${dx}px, ${dy}px)`;
+        bar2.style.transform = `translate(${-dx}px, ${-dy}px)`;
 
         await this.wait(this.animationSpeed);
 
@@ -201,11 +321,99 @@ class Renderer {
         bar2.dataset.value = tempValue;
         bar2.querySelector('.bar-label').textContent = tempLabel;
 
+        if (this.gridMode) {
+            this.paintCell(bar1);
+            this.paintCell(bar2);
+        }
+
         // Clear swapping class
         bar1.classList.remove('swapping');
         bar2.classList.remove('swapping');
     }
 
+    /**
+     * Animate reversing the bars in a range (pancake flips)
+     * @param {number} start - First index of the range
+     * @param {number} end - Last index of the range
+     * @returns {Promise} Resolves when animation completes
+     */
+    async animateReverse(start, end) {
+        const range = this.bars.slice(start, end + 1);
+        if (range.length < 2) return;
+
+        const rects = range.map(bar => bar.getBoundingClientRect());
+        const contents = range.map(bar => ({
+            height: bar.style.height,
+            value: bar.dataset.value,
+            label: bar.querySelector('.bar-label').textContent
+        }));
+
+        // Every bar slides to its mirror position at once
+        range.forEach((bar, k) => {
+            const mirror = range.length - 1 - k;
+            bar.classList.add('swapping');
+            bar.style.transform = `translateX(${rects[mirror].left - rects[k].left}px)`;
+        });
+
+        await this.wait(this.animationSpeed);
+
+        // Reset transforms and write the reversed contents
+        range.forEach((bar, k) => {
+            const content = contents[range.length - 1 - k];
+            bar.style.transform = '';
+            bar.style.height = content.height;
+            bar.dataset.value = content.value;
+            bar.querySelector('.bar-label').textContent = content.label;
+            bar.classList.remove('swapping');
+            if (this.gridMode) {
+                this.paintCell(bar);
+            }
+        });
+    }
+
+    /**
+     * Animate rotating a range: the blocks [start..mid-1] and [mid..end] trade places
+     * @param {number} start - First index of the left block
+     * @param {number} mid - First index of the right block
+     * @param {number} end - Last index of the right block
+     * @returns {Promise} Resolves when animation completes
+     */
+    async animateRotate(start, mid, end) {
+        const range = this.bars.slice(start, end + 1);
+        const leftLength = mid - start;
+        const rightLength = end - mid + 1;
+        if (leftLength < 1 || rightLength < 1) return;
+
+        const rects = range.map(bar => bar.getBoundingClientRect());
+        const contents = range.map(bar => ({
+            height: bar.style.height,
+            value: bar.dataset.value,
+            label: bar.querySelector('.bar-label').textContent
+        }));
+
+        // Both blocks slide at once: the left one right by the right block's length, and vice versa
+        range.forEach((bar, k) => {
+            const target = k < leftLength ? k + rightLength : k - leftLength;
+            bar.classList.add('swapping');
+            bar.style.transform = `translateX(${rects[target].left - rects[k].left}px)`;
+        });
+
+        await this.wait(this.animationSpeed);
+
+        // Reset transforms and write the rotated contents
+        range.forEach((bar, k) => {
+            const content = contents[k < rightLength ? k + leftLength : k - rightLength];
+            bar.style.transform = '';
+            bar.style.height = content.height;
+            bar.dataset.value = content.value;
+            bar.querySelector('.bar-label').textContent = content.label;
+            bar.classList.remove('swapping');
+            if (this.gridMode) {
+                this.paintCell(bar);
+            }
+        });
+    }
+
     /**
      * Update bar values (for merge sort)
      * @param {number} index - Bar index
@@ -216,10 +424,362 @@ class Renderer {
         const bar = this.bars[index];
         if (!bar) return;
 
-        const heightPercent = Math.max(20, (value / maxValue) * 100);
-        bar.style.height = `${heightPercent}%`;
+        bar.style.height = this.getBarHeight(value, maxValue);
         bar.dataset.value = value;
         bar.querySelector('.bar-label').textContent = value;
+        if (this.gridMode) {
+            this.paintCell(bar);
+        }
+    }
+
+    /**
+     * Bring every bar in line with an array state (after steps that write values)
+     * @param {number[]} array - Current array state
+     */
+    setValues(array) {
+        array.forEach((value, index) => {
+            if (this.bars[index] && this.bars[index].dataset.value !== String(value)) {
+                this.updateBar(index, value, this.maxValue);
+            }
+        });
+    }
+
+    /**
+     * Show the bucket/count lane under the bars (counting and radix sort)
+     * @param {Object} lane - {labels: string[], contents: Array<number|number[]>, active: number, rows?: boolean}
+     *   contents holds a count per slot or the list of items in each bucket; rows lays slots out as lists
+     */
+    setLane(lane) {
+        if (!this.lane) {
+            this.lane = document.createElement('div');
+            this.lane.className = 'bucket-lane';
+            this.container.parentElement.appendChild(this.lane);
+        }
+        this.lane.classList.toggle('rows', Boolean(lane.rows));
+
+        this.lane.innerHTML = lane.labels.map((label, slot) => {
+            const content = lane.contents[slot];
+            const items = Array.isArray(content)
+                ? content.map(value => `<span class="bucket-item">${value}</span>`).join('')
+                : `<span class="bucket-count">${content}</span>`;
+
+            return `
+                <div class="bucket-slot ${slot === lane.active ? 'active' : ''}">
+                    <div class="bucket-items">${items}</div>
+                    <span class="bucket-label">${label}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Remove the bucket lane, including one left behind by a previous renderer
+     */
+    clearLane() {
+        const stale = this.container.parentElement.querySelector('.bucket-lane');
+        if (stale) {
+            stale.remove();
+        }
+        this.lane = null;
+    }
+
+    /**
+     * Draw the tree panel next to the bars (tree sort, MSD radix trie, heap), replacing the previous drawing
+     * Binary nodes are placed by in-order rank; nodes with a children list (tries) are
+     * centered over their children. Depth sets the vertical position. Detached nodes
+     * (a heap's sorted suffix) are drawn in a row of their own below the tree.
+     * @param {Object} tree - {nodes: {value, left, right}[] or {value, children}[] by id,
+     *   root, active, path, visited, and optionally comparing, swapping and detached id lists}
+     */
+    setTree(tree) {
+        if (!this.treePanel) {
+            this.treePanel = document.createElement('div');
+            this.treePanel.className = 'tree-panel';
+            this.container.parentElement.classList.add('has-tree');
+            this.container.parentElement.appendChild(this.treePanel);
+        }
+
+        const positions = [];
+        let rank = 0;
+        let depth = 0;
+        const childrenOf = id => tree.nodes[id].children ||
+            [tree.nodes[id].left, tree.nodes[id].right].filter(child => child !== null);
+        const place = (id, level) => {
+            if (id === null) return;
+            const node = tree.nodes[id];
+            depth = Math.max(depth, level);
+
+            if (!node.children) {
+                place(node.left, level + 1);
+                positions[id] = { x: rank++, y: level };
+                place(node.right, level + 1);
+            } else if (node.children.length === 0) {
+                positions[id] = { x: rank++, y: level };
+            } else {
+                node.children.forEach(child => place(child, level + 1));
+                const first = positions[node.children[0]];
+                const last = positions[node.children[node.children.length - 1]];
+                positions[id] = { x: (first.x + last.x) / 2, y: level };
+            }
+        };
+        place(tree.root, 0);
+
+        const detached = tree.detached || [];
+        const detachedRow = tree.root === null ? 0 : depth + 1;
+        detached.forEach((id, k) => {
+            positions[id] = { x: k, y: detachedRow };
+        });
+        if (detached.length > 0) {
+            depth = detachedRow;
+        }
+
+        const spacing = 36;
+        const levelHeight = 48;
+        const width = Math.max(1, rank, detached.length) * spacing;
+        const height = (depth + 1) * levelHeight;
+        const cx = id => positions[id].x * spacing + spacing / 2;
+        const cy = id => positions[id].y * levelHeight + levelHeight / 2;
+
+        const edges = [];
+        const nodes = [];
+        positions.forEach((position, id) => {
+            if (!position) return;
+
+            const isDetached = detached.includes(id);
+
+            (isDetached ? [] : childrenOf(id)).forEach(child => {
+                edges.push(`<line class="tree-edge" x1="${cx(id)}" y1="${cy(id)}" x2="${cx(child)}" y2="${cy(child)}"></line>`);
+            });
+
+            let state = '';
+            if (id === tree.active) state = 'active';
+            else if (tree.visited.includes(id)) state = 'visited';
+            else if ((tree.swapping || []).includes(id)) state = 'swapping';
+            else if ((tree.comparing || []).includes(id)) state = 'comparing';
+            else if (tree.path.includes(id)) state = 'path';
+            else if (isDetached) state = 'detached';
+
+            nodes.push(`
+                <g class="tree-node ${state}">
+                    <circle cx="${cx(id)}" cy="${cy(id)}" r="14"></circle>
+                    <text x="${cx(id)}" y="${cy(id)}">${tree.nodes[id].value}</text>
+                </g>
+            `);
+        });
+
+        this.treePanel.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMin meet">
+                ${edges.join('')}
+                ${nodes.join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Remove the tree panel, including one left behind by a previous renderer
+     */
+    clearTree() {
+        const parent = this.container.parentElement;
+        const stale = parent.querySelector('.tree-panel');
+        if (stale) {
+            stale.remove();
+        }
+        parent.classList.remove('has-tree');
+        this.treePanel = null;
+    }
+
+    /**
+     * Draw a Gantt-style schedule beside the bars (parallel merge sort)
+     * @param {Object} timeline - {lanes, tasks: {lane, start, end, label}[] in start order,
+     *   active: index of the task being shown (its start is the current time), work, span, makespan}
+     */
+    setTimeline(timeline) {
+        if (!this.timelinePanel) {
+            this.timelinePanel = document.createElement('div');
+            this.timelinePanel.className = 'timeline-panel';
+            this.container.parentElement.classList.add('has-timeline');
+            this.container.parentElement.appendChild(this.timelinePanel);
+        }
+
+        const labelWidth = 32;
+        const rowHeight = 28;
+        const width = 360;
+        const scale = (width - labelWidth) / Math.max(1, timeline.makespan);
+        const height = timeline.lanes * rowHeight + 16;
+
+        const lanes = Array.from({ length: timeline.lanes }, (_, lane) => `
+            <text class="timeline-lane" x="0" y="${lane * rowHeight + rowHeight / 2}">P${lane + 1}</text>
+        `).join('');
+
+        const cursor = timeline.tasks[timeline.active];
+        const now = cursor ? cursor.start : timeline.makespan;
+
+        const tasks = timeline.tasks.map((task, index) => {
+            let state = '';
+            if (index === timeline.active) state = 'active';
+            else if (task.end <= now) state = 'done';
+            else if (task.start <= now) state = 'running';
+
+            const x = labelWidth + task.start * scale;
+            const w = (task.end - task.start) * scale;
+            const y = task.lane * rowHeight + 3;
+            return `
+                <g class="timeline-task ${state}">
+                    <rect x="${x}" y="${y}" width="${w}" height="${rowHeight - 6}" rx="3"></rect>
+                    ${w >= 34 ? `<text x="${x + w / 2}" y="${y + (rowHeight - 6) / 2}">${task.label}</text>` : ''}
+                </g>
+            `;
+        }).join('');
+
+        const cursorX = labelWidth + now * scale;
+        const speedup = timeline.makespan > 0 ? (timeline.work / timeline.makespan).toFixed(2) : '-';
+
+        this.timelinePanel.innerHTML = `
+            <div class="timeline-figures">
+                W = ${timeline.work} · S = ${timeline.span} · T = ${timeline.makespan} · speedup ${speedup}
+            </div>
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMin meet">
+                ${lanes}
+                ${tasks}
+                <line class="timeline-cursor" x1="${cursorX}" y1="0" x2="${cursorX}" y2="${height - 16}"></line>
+                <text class="timeline-axis" x="${labelWidth}" y="${height - 4}">0</text>
+                <text class="timeline-axis end" x="${width}" y="${height - 4}">${timeline.makespan}</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * Remove the timeline panel, including one left behind by a previous renderer
+     */
+    clearTimeline() {
+        const parent = this.container.parentElement;
+        const stale = parent.querySelector('.timeline-panel');
+        if (stale) {
+            stale.remove();
+        }
+        parent.classList.remove('has-timeline');
+        this.timelinePanel = null;
+    }
+
+    /**
+     * Lay the bars out as a grid, row by row, colored by value (shear sort)
+     * The first call switches the container to grid mode; later calls only update the
+     * markers beside each row. Cells past the last bar (+∞ padding) stay empty.
+     * @param {Object} grid - {rows, cols, arrows: one marker per row, e.g. '→', '←' or '↓'}
+     */
+    setGrid(grid) {
+        if (!this.gridMode) {
+            this.gridMode = true;
+            this.container.classList.add('grid-mode');
+            this.container.style.gridTemplateColumns = `repeat(${grid.cols}, 48px) auto`;
+
+            this.bars.forEach((bar, index) => {
+                bar.style.gridRow = String(Math.floor(index / grid.cols) + 1);
+                bar.style.gridColumn = String(index % grid.cols + 1);
+                bar.style.height = '';
+                bar.style.width = '';
+                this.paintCell(bar);
+            });
+        }
+
+        this.container.querySelectorAll('.grid-arrow').forEach(marker => marker.remove());
+        grid.arrows.forEach((arrow, row) => {
+            const marker = document.createElement('div');
+            marker.className = 'grid-arrow';
+            marker.style.gridRow = String(row + 1);
+            marker.style.gridColumn = String(grid.cols + 1);
+            marker.textContent = arrow;
+            this.container.appendChild(marker);
+        });
+    }
+
+    /**
+     * Color a grid cell by its value: blue for the minimum through to red for the maximum
+     * @param {HTMLElement} bar - Bar element in grid mode
+     */
+    paintCell(bar) {
+        const range = this.maxValue - this.minValue;
+        const t = range > 0 ? (Number(bar.dataset.value) - this.minValue) / range : 0;
+        bar.style.setProperty('--cell-color', `hsl(${Math.round(240 * (1 - t))}, 70%, 50%)`);
+    }
+
+    /**
+     * Leave grid mode, which a previous renderer may have set on the shared container
+     */
+    clearGrid() {
+        this.gridMode = false;
+        this.container.classList.remove('grid-mode');
+        this.container.style.gridTemplateColumns = '';
+    }
+
+    /**
+     * Draw the linked-list panel under the bars (linked list merge sort), one row per chain
+     * Nodes are boxes labelled with their value and memory index; arrows are next pointers.
+     * @param {Object} list - {values by node id, chains: node ids per list, pointers: {label, node}[],
+     *   link: [from, to] pointer just changed (to = -1 for null) or null, active: highlighted node ids}
+     */
+    setList(list) {
+        if (!this.listPanel) {
+            this.listPanel = document.createElement('div');
+            this.listPanel.className = 'list-panel';
+            this.container.parentElement.appendChild(this.listPanel);
+        }
+
+        const boxWidth = 40;
+        const boxHeight = 26;
+        const gap = 28;
+        const rowHeight = 64;
+        const top = 16;
+        const longest = Math.max(1, ...list.chains.map(chain => chain.length));
+        const width = longest * (boxWidth + gap) + 32;
+        const height = list.chains.length * rowHeight;
+
+        const labels = {};
+        list.pointers.forEach(({ label, node }) => {
+            labels[node] = labels[node] ? `${labels[node]}, ${label}` : label;
+        });
+        const changed = (from, to) => Boolean(list.link) && list.link[0] === from && list.link[1] === to;
+
+        const rows = list.chains.map((chain, row) => chain.map((id, k) => {
+            const x = k * (boxWidth + gap);
+            const y = row * rowHeight + top;
+            const to = k + 1 < chain.length ? chain[k + 1] : -1;
+            const arrowEnd = x + boxWidth + gap - 4;
+
+            return `
+                <g class="list-node ${list.active.includes(id) ? 'active' : ''}">
+                    ${labels[id] ? `<text class="list-pointer" x="${x + boxWidth / 2}" y="${y - 7}">${labels[id]}</text>` : ''}
+                    <rect x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" rx="4"></rect>
+                    <text x="${x + boxWidth / 2}" y="${y + boxHeight / 2}">${list.values[id]}</text>
+                    <text class="list-address" x="${x + boxWidth / 2}" y="${y + boxHeight + 10}">#${id}</text>
+                </g>
+                <line class="list-link ${changed(id, to) ? 'changed' : ''}" x1="${x + boxWidth}" y1="${y + boxHeight / 2}"
+                    x2="${to === -1 ? x + boxWidth + 14 : arrowEnd}" y2="${y + boxHeight / 2}" marker-end="url(#list-arrow)"></line>
+                ${to === -1 ? `<text class="list-null ${changed(id, -1) ? 'changed' : ''}" x="${x + boxWidth + 20}" y="${y + boxHeight / 2}">null</text>` : ''}
+            `;
+        }).join('')).join('');
+
+        this.listPanel.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMinYMin meet">
+                <defs>
+                    <marker id="list-arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+                        <path d="M 0 0 L 8 4 L 0 8 z"></path>
+                    </marker>
+                </defs>
+                ${rows}
+            </svg>
+        `;
+    }
+
+    /**
+     * Remove the list panel, including one left behind by a previous renderer
+     */
+    clearList() {
+        const stale = this.container.parentElement.querySelector('.list-panel');
+        if (stale) {
+            stale.remove();
+        }
+        this.listPanel = null;
     }
 
     /**